@@ -0,0 +1,308 @@
+/**
+ * Pre-flight access audit of the teacher spreadsheets.
+ *
+ * Permission problems otherwise only show up in the middle of Get Counts
+ * as Error Log rows. The audit checks every spreadsheet ID in the campus
+ * Maps and the level sheets before extraction: whether it exists, whether
+ * it is in the trash, who owns it and whether the account running the
+ * script can read it. The result is written to the "Access Audit" sheet,
+ * and the "Share Requests" sheet gets one message per owner to contact,
+ * listing what they need to share or restore.
+ *
+ * Drive (the advanced service) gives the name, owner and trash status of
+ * every file the account can see. It answers "File not found" both for
+ * deleted files and for files that are not shared, so those are checked
+ * again through the Sheets API, which tells the two apart.
+ *
+ * @module AccessAudit
+ */
+
+/**
+ * Name of the sheet listing the access of every spreadsheet.
+ * @type {string}
+ */
+const ACCESS_AUDIT_SHEET_NAME = "Access Audit";
+
+/**
+ * Header row of the Access Audit sheet.
+ * @type {string[]}
+ */
+const ACCESS_AUDIT_HEADERS = ['Level', 'Campus', 'Spreadsheet ID', 'File', 'Listed In', 'Status', 'Detail', 'Owner',
+  'Contact', 'Checked'];
+
+/**
+ * Name of the sheet holding the generated share-request messages.
+ * @type {string}
+ */
+const SHARE_REQUESTS_SHEET_NAME = "Share Requests";
+
+/**
+ * Header row of the Share Requests sheet.
+ * @type {string[]}
+ */
+const SHARE_REQUEST_HEADERS = ['Contact', 'Spreadsheets', 'Subject', 'Message'];
+
+/**
+ * What the owner of a spreadsheet is asked to do, by audit status.
+ * Statuses without an entry ("OK", "Check failed") need no request.
+ * @type {Object<string, string>}
+ */
+const ACCESS_AUDIT_ACTIONS = {
+  'No access': 'please share it with {account} (Viewer is enough)',
+  'Trashed': 'it is in your trash; please restore it',
+  'Not found': 'the link we have no longer opens; please send its current link',
+  'Not a spreadsheet': 'it is not a Google Sheets file; please send the link of the Google Sheets version',
+};
+
+/**
+ * List every spreadsheet ID in the campus Maps and the level sheets with
+ * where it is listed.
+ *
+ * @returns {Array<{id: string, name: string, levels: string[],
+ * campuses: string[], listedIn: string[]}>} One entry per spreadsheet ID,
+ * in the order first found
+ */
+function collectAuditTargets() {
+  const targets = new Map();
+  const add = (id, level, campus, listedIn, name) => {
+    if (!targets.has(id)) {
+      targets.set(id, { id: id, name: '', levels: [], campuses: [], listedIn: [] });
+    }
+    const target = targets.get(id);
+    if (name && !target.name) target.name = name;
+    if (!target.levels.includes(level)) target.levels.push(level);
+    if (campus && !target.campuses.includes(campus)) target.campuses.push(campus);
+    target.listedIn.push(listedIn);
+  };
+
+  const mapSource = readRegistryEntries() === null ? 'CampusMapping.js' : REGISTRY_SHEET_NAME;
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  for (const level of Object.keys(CONFIGS)) {
+    const campusById = {};
+    for (const [campusName, spreadsheetId] of getCampusMap(level)) {
+      if (!spreadsheetId) continue;
+      campusById[spreadsheetId] = campusName;
+      add(spreadsheetId, level, campusName, mapSource, '');
+    }
+
+    const sheet = spreadsheet.getSheetByName(CONFIGS[level].sheetName);
+    if (!sheet || sheet.getLastRow() < 2) continue;
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+    values.forEach(([id, name], i) => {
+      if (!id) return;
+      add(id.toString().trim(), level, campusById[id.toString().trim()] || '', `${CONFIGS[level].sheetName} sheet row ${i + 2}`, name.toString());
+    });
+  }
+  return Array.from(targets.values());
+}
+
+/**
+ * Return the address the spreadsheets must be shared with: the account
+ * running the script. Apps Script only reveals it with the
+ * userinfo.email scope, and not always to other domains' users, so the
+ * admin address of the notifications is used when it is empty.
+ *
+ * @returns {string} Email address, or a description of the account when
+ * neither is known
+ * @example
+ * getAuditAccount(); // "ale-admin@district.org"
+ */
+function getAuditAccount() {
+  return Session.getEffectiveUser().getEmail() ||
+    PropertiesService.getScriptProperties().getProperty(NOTIFICATION_ADMIN_EMAIL_PROPERTY) ||
+    'the account that runs the ALE counts';
+}
+
+/**
+ * Check whether the running account can read each spreadsheet.
+ *
+ * @param {string[]} spreadsheetIds - Spreadsheet IDs to check
+ * @returns {Map<string, {status: string, detail: string, name: string,
+ * ownerName: string, ownerEmail: string}>} Result by ID. `status` is
+ * "OK", "Trashed", "Not a spreadsheet", "No access", "Not found" or
+ * "Check failed"; the owner is only known for files Drive shows
+ * @example
+ * checkSpreadsheetAccess(['1a2b...']).get('1a2b...');
+ * // {status: "Trashed", detail: "...", name: "Adams Hill - Lee", ownerName: "Ana Lee", ownerEmail: "ana.lee@..."}
+ */
+function checkSpreadsheetAccess(spreadsheetIds) {
+  const account = getAuditAccount();
+  const results = new Map();
+  const hidden = [];
+
+  for (const id of spreadsheetIds) {
+    let file;
+    try {
+      file = Drive.Files.get(id, { fields: 'id,name,mimeType,trashed,owners(displayName,emailAddress)', supportsAllDrives: true });
+    } catch (e) {
+      const code = classifyErrorMessage(e.message);
+      if (isTransientErrorCode(code)) {
+        results.set(id, { status: 'Check failed', detail: e.message, name: '', ownerName: '', ownerEmail: '' });
+      } else {
+        hidden.push(id);
+      }
+      continue;
+    }
+
+    const owner = (file.owners && file.owners[0]) || {};
+    const result = { status: 'OK', detail: '', name: file.name || '', ownerName: owner.displayName || '', ownerEmail: owner.emailAddress || '' };
+    if (file.trashed) {
+      result.status = 'Trashed';
+      result.detail = 'In the trash; it is no longer read once it is deleted for good';
+    } else if (file.mimeType !== MimeType.GOOGLE_SHEETS) {
+      result.status = 'Not a spreadsheet';
+      result.detail = `The file is of type ${file.mimeType}`;
+    }
+    results.set(id, result);
+  }
+
+  // Files Drive does not show: 403 means not shared, 404 means gone
+  const responses = callSheetsApi(hidden.map(id => ({ spreadsheetId: id, params: { fields: 'spreadsheetId' } })));
+  hidden.forEach((id, i) => {
+    const result = { status: 'OK', detail: '', name: '', ownerName: '', ownerEmail: '' };
+    const code = responses[i].code;
+    if (code === 'NO_ACCESS') {
+      result.status = 'No access';
+      result.detail = `Not shared with ${account}; the owner cannot be looked up`;
+    } else if (code === 'NOT_FOUND') {
+      result.status = 'Not found';
+      result.detail = 'Deleted for good or listed with a wrong ID';
+    } else if (code) {
+      result.status = 'Check failed';
+      result.detail = `${code}: ${responses[i].error}`;
+    }
+    results.set(id, result);
+  });
+  return results;
+}
+
+/**
+ * Build one share-request message per contact for the spreadsheets that
+ * need their action.
+ *
+ * @param {Array<{id: string, name: string, campuses: string[], status: string,
+ * contact: string, ownerName: string}>} rows - Audited spreadsheets
+ * @param {string} account - Email of the account that needs access
+ * @returns {Array<{contact: string, count: number, subject: string,
+ * message: string}>} Messages; `contact` is empty when nobody is known
+ * @example
+ * buildShareRequests(rows, 'ale-admin@district.org');
+ * // [{contact: "ana.lee@district.org", count: 2, subject: "Please share 2 ALE class count spreadsheets", message: "Hello Ana Lee, ..."}]
+ */
+function buildShareRequests(rows, account) {
+  const byContact = new Map();
+  for (const row of rows) {
+    if (!ACCESS_AUDIT_ACTIONS[row.status]) continue;
+    byContact.set(row.contact, (byContact.get(row.contact) || []).concat([row]));
+  }
+
+  return Array.from(byContact, ([contact, contactRows]) => {
+    const ownerName = contactRows.map(row => row.ownerName).find(Boolean) || '';
+    const lines = contactRows.map(row => {
+      const campus = row.campuses.length > 0 ? ` (${row.campuses.join(', ')})` : '';
+      const action = ACCESS_AUDIT_ACTIONS[row.status].replace('{account}', account);
+      return `- ${row.name || row.id}${campus}: ${action}\n  ${getSpreadsheetUrl(row.id)}`;
+    });
+    const count = contactRows.length;
+    return {
+      contact: contact,
+      count: count,
+      subject: count === 1 ? 'Please share your ALE class count spreadsheet' : `Please share ${count} ALE class count spreadsheets`,
+      message: `Hello${ownerName ? ` ${ownerName}` : ''},\n\n` +
+        `The ALE class counts are read automatically from the teacher spreadsheets below, but ${account} cannot read ` +
+        `${count === 1 ? 'this one' : 'these'}:\n\n${lines.join('\n')}\n\n` +
+        `Until then their students are not included in the campus count. Thank you!`
+    };
+  });
+}
+
+/**
+ * Audit every spreadsheet in the campus Maps and level sheets and rewrite
+ * the Access Audit and Share Requests sheets. Spreadsheets with a problem
+ * are listed first.
+ *
+ * The contact for a spreadsheet is its Drive owner; when the owner is not
+ * known (the file is not shared) it is the Teacher of its Campus Registry
+ * row, then the campus contacts from the Campus Contacts sheet.
+ *
+ * @returns {{checked: number, problems: number, requests: number,
+ * byStatus: Object<string, number>}} Number of spreadsheets checked,
+ * with a problem and share requests written, and the count per status
+ */
+function runAccessAudit() {
+  const account = getAuditAccount();
+  const checkedAt = new Date();
+  const targets = collectAuditTargets();
+  const access = checkSpreadsheetAccess(targets.map(target => target.id));
+
+  const teacherById = new Map();
+  for (const entry of readRegistryEntries() || []) {
+    if (entry.spreadsheetId && entry.teacher && !teacherById.has(entry.spreadsheetId)) {
+      teacherById.set(entry.spreadsheetId, entry.teacher);
+    }
+  }
+  const contacts = readCampusContacts();
+
+  const rows = targets.map(target => {
+    const result = access.get(target.id);
+    const campusContacts = [].concat(...target.campuses.map(campus => contacts.get(campus) || []));
+    return Object.assign({}, target, result, {
+      name: result.name || target.name,
+      contact: result.ownerEmail || teacherById.get(target.id) || campusContacts.join(', ')
+    });
+  });
+  rows.sort((a, b) => Number(a.status === 'OK') - Number(b.status === 'OK'));
+
+  const auditSheet = getOrCreateSheet(ACCESS_AUDIT_SHEET_NAME, ACCESS_AUDIT_HEADERS);
+  auditSheet.clearContents();
+  const output = [ACCESS_AUDIT_HEADERS].concat(rows.map(row => [
+    row.levels.join(', '), row.campuses.join(', '), row.id, row.name, row.listedIn.join('; '), row.status, row.detail,
+    row.ownerEmail ? `${row.ownerName} <${row.ownerEmail}>` : '', row.contact, checkedAt
+  ]));
+  auditSheet.getRange(1, 1, output.length, ACCESS_AUDIT_HEADERS.length).setValues(output);
+
+  const requests = buildShareRequests(rows, account);
+  const requestSheet = getOrCreateSheet(SHARE_REQUESTS_SHEET_NAME, SHARE_REQUEST_HEADERS);
+  requestSheet.clearContents();
+  const requestRows = [SHARE_REQUEST_HEADERS].concat(requests.map(request =>
+    [request.contact || '(unknown; ask the campus)', request.count, request.subject, request.message]));
+  requestSheet.getRange(1, 1, requestRows.length, SHARE_REQUEST_HEADERS.length).setValues(requestRows);
+
+  const byStatus = {};
+  for (const row of rows) {
+    byStatus[row.status] = (byStatus[row.status] || 0) + 1;
+  }
+  const problems = rows.filter(row => row.status !== 'OK').length;
+  Logger.log(`Access audit: ${rows.length} spreadsheets checked, ${problems} with a problem, ${requests.length} share requests.`);
+  return { checked: rows.length, problems: problems, requests: requests.length, byStatus: byStatus };
+}
+
+/**
+ * Menu action: run the access audit and summarise it.
+ *
+ * @returns {void}
+ */
+function auditSpreadsheetAccess() {
+  const ui = SpreadsheetApp.getUi();
+  let result;
+  try {
+    result = runAccessAudit();
+  } catch (e) {
+    const errorMessage = `Error: ${e.message}`;
+    Logger.log(errorMessage);
+    ui.alert(errorMessage);
+    return;
+  }
+
+  let message = `All ${result.checked} spreadsheets can be read.`;
+  if (result.problems > 0) {
+    const counts = Object.keys(result.byStatus).filter(status => status !== 'OK')
+      .map(status => `${status}: ${result.byStatus[status]}`);
+    message = `${result.problems} of ${result.checked} spreadsheets need attention (${counts.join(', ')}). ` +
+      `See the "${ACCESS_AUDIT_SHEET_NAME}" sheet.`;
+    if (result.requests > 0) {
+      message += `\n\n${result.requests} share-request messages were written to the "${SHARE_REQUESTS_SHEET_NAME}" sheet.`;
+    }
+  }
+  ui.alert(message);
+}
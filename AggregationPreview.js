@@ -0,0 +1,302 @@
+/**
+ * Aggregation preview.
+ *
+ * Computes what aggregation would write to the ALE Counts sheet and
+ * lists it on the "Preview" sheet instead: for every campus row the
+ * current Total Enrolled value, the proposed value, its status, the
+ * spreadsheets summed into it and why. Locked rows are listed but not
+ * written. "Apply Preview" then writes exactly those proposed values,
+ * provided the ALE Counts sheet has not changed since the preview.
+ *
+ * @module AggregationPreview
+ */
+
+/**
+ * Name of the preview sheet.
+ * @type {string}
+ */
+const PREVIEW_SHEET_NAME = "Preview";
+
+/**
+ * Column headers of the preview, followed by `GRADE_COLUMN_HEADERS`.
+ * @type {string[]}
+ */
+const PREVIEW_HEADERS = ['Row', 'Level', 'Campus', 'Current Value', 'Proposed Value', 'Change', 'Status', 'Sources', 'Reason'];
+
+/**
+ * Script Property describing the preview waiting to be applied.
+ * @type {string}
+ */
+const PREVIEW_STATE_PROPERTY = "AGGREGATION_PREVIEW";
+
+/**
+ * Compute an aggregation and write it to the Preview sheet without
+ * touching the ALE Counts sheet.
+ *
+ * @param {string} [level] - Level key ('ES', 'MS' or 'HS'); all levels if omitted
+ * @returns {{rows: number, changed: number, errors: number}} Number of
+ * previewed rows, how many would change and the data errors found
+ * @throws {Error} If the ALE Counts sheet is missing or its layout cannot
+ * be recognised
+ */
+function buildAggregationPreview(level) {
+  const validation = validateCountData(level ? [level] : Object.keys(CONFIGS));
+  const plan = planCampusAggregation(level);
+  const headers = PREVIEW_HEADERS.concat(GRADE_COLUMN_HEADERS);
+  const createdAt = new Date();
+
+  const output = plan.rows.map(planned => {
+    const current = planned.current === '' ? '' : Number(planned.current);
+    const change = typeof current === 'number' && !isNaN(current) && planned.proposed !== '' ? planned.proposed - current : '';
+    const sources = planned.sources.map(source => `${source.id} (${source.count})`).join(' + ');
+    return [planned.row, planned.level, planned.campus, planned.current, planned.proposed, change, planned.status, sources, planned.reason]
+      .concat(gradeTallyToRow(planned.grades));
+  });
+
+  const sheet = getOrCreateSheet(PREVIEW_SHEET_NAME, []);
+  sheet.clearContents();
+  const title = `Preview of the ${level || 'all levels'} aggregation, ${createdAt.toLocaleString()}. ` +
+    `Nothing has been written yet; choose "Apply Preview" to write the Proposed Value column to ALE Counts.`;
+  sheet.getRange(1, 1).setValue(title);
+  sheet.getRange(2, 1, 1, headers.length).setValues([headers]);
+  if (output.length > 0) {
+    sheet.getRange(3, 1, output.length, headers.length).setValues(output);
+  }
+  sheet.setFrozenRows(2);
+
+  PropertiesService.getScriptProperties().setProperty(PREVIEW_STATE_PROPERTY, JSON.stringify({
+    level: level || '',
+    totalColumn: plan.totalColumn,
+    createdAt: createdAt.getTime(),
+    errors: validation.errors
+  }));
+
+  return {
+    rows: output.length,
+    changed: output.filter(row => row[3].toString() !== row[4].toString()).length,
+    errors: validation.errors
+  };
+}
+
+/**
+ * Parse the Sources cell of a preview row back into sources.
+ *
+ * @param {*} value - Cell written by `buildAggregationPreview`
+ * @returns {Array<{id: string, count: number}>} Contributing spreadsheets
+ * @example
+ * parsePreviewSources('es-1 (4) + es-2 (6)'); // [{id: 'es-1', count: 4}, {id: 'es-2', count: 6}]
+ */
+function parsePreviewSources(value) {
+  const text = value === null || value === undefined ? '' : value.toString().trim();
+  if (!text) {
+    return [];
+  }
+  return text.split(' + ').map(part => {
+    const match = part.match(/^(\S+) \((.*)\)$/);
+    return match ? { id: match[1], count: Number(match[2]) } : { id: part, count: 0 };
+  });
+}
+
+/**
+ * Write the proposed values of the Preview sheet to the ALE Counts sheet.
+ *
+ * Every previewed row must still hold the same campus and current value;
+ * otherwise nothing is written and the preview has to be rebuilt. Rows
+ * whose Override cell was filled in, changed or cleared since the preview
+ * are skipped, so a lock set in the meantime is respected, and so are
+ * rows whose Proposed Value is not a number (or blank where the preview
+ * proposed a count), so an edited cell is never written as 0. The applied
+ * totals are snapshotted, the Grade Breakdown sheet updated and their
+ * provenance recorded, as after a normal aggregation.
+ *
+ * @returns {{written: number, skipped: string[], rejected: string[]}}
+ * Number of rows written, the campuses skipped for a changed Override
+ * cell and those skipped for an invalid Proposed Value; Locked rows are
+ * listed in the preview but not written
+ * @throws {Error} If there is no preview to apply or the ALE Counts sheet
+ * changed since the preview was built
+ */
+function applyAggregationPreviewRows() {
+  const properties = PropertiesService.getScriptProperties();
+  const saved = properties.getProperty(PREVIEW_STATE_PROPERTY);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PREVIEW_SHEET_NAME);
+  if (!saved || !sheet) {
+    throw new Error('There is no preview to apply. Choose "Preview Aggregation" first.');
+  }
+  const state = JSON.parse(saved);
+
+  const aleCountsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ALE_COUNTS_SHEET_NAME);
+  if (!aleCountsSheet) {
+    throw new Error("ALE Counts sheet not found");
+  }
+  const layout = detectAleCountsLayout(aleCountsSheet);
+  if (layout.totalColumn !== state.totalColumn) {
+    throw new Error('The Total Enrolled column of the ALE Counts sheet moved since the preview was built. Build a new preview.');
+  }
+
+  const width = PREVIEW_HEADERS.length + GRADE_COLUMN_HEADERS.length;
+  const values = sheet.getLastRow() > 2 ? sheet.getRange(3, 1, sheet.getLastRow() - 2, width).getValues() : [];
+  const rows = values.filter(row => row[0] !== '').map(row => ({
+    row: Number(row[0]),
+    level: row[1].toString(),
+    campus: row[2].toString(),
+    current: row[3],
+    proposed: row[4] === '' ? '' : (row[4].toString().trim() === '' ? NaN : Number(row[4])),
+    status: row[6].toString(),
+    sources: parsePreviewSources(row[7]),
+    reason: row[8].toString(),
+    grades: gradeRowToTally(row.slice(PREVIEW_HEADERS.length))
+  }));
+
+  // Read the campus, total and override cells of each block of rows at once
+  const columns = [layout.campusColumn, layout.totalColumn].concat(layout.overrideColumn ? [layout.overrideColumn] : []);
+  const firstColumn = Math.min.apply(null, columns);
+  const blockWidth = Math.max.apply(null, columns) - firstColumn + 1;
+  const cellsByRow = new Map();
+  for (const range of toRowRanges(rows.map(planned => planned.row))) {
+    const block = aleCountsSheet.getRange(range.start, firstColumn, range.end - range.start + 1, blockWidth).getValues();
+    block.forEach((cells, i) => cellsByRow.set(range.start + i, cells));
+  }
+
+  // Refuse to apply if any previewed row changed in the meantime
+  const changedRows = [];
+  const skipped = [];
+  const rejected = [];
+  const previewedOverride = { Locked: 'lock', Override: 'value' };
+  const toWrite = rows.filter(planned => {
+    const cells = cellsByRow.get(planned.row);
+    const campus = cells[layout.campusColumn - firstColumn].toString().trim();
+    const current = cells[layout.totalColumn - firstColumn];
+    if (campus !== planned.campus || current.toString() !== planned.current.toString()) {
+      changedRows.push(planned.row);
+      return true;
+    }
+
+    // Only No Data and Locked rows may have a blank Proposed Value
+    const blankAllowed = planned.status === 'No Data' || planned.status === 'Locked';
+    if (planned.status !== 'Locked' && (planned.proposed === '' ? !blankAllowed : !isFinite(planned.proposed))) {
+      rejected.push(planned.campus);
+      return false;
+    }
+
+    // Skip rows locked, overridden or released since the preview
+    const override = layout.overrideColumn ? parseOverrideCell(cells[layout.overrideColumn - firstColumn]) : { type: 'none' };
+    if (override.type !== (previewedOverride[planned.status] || 'none') ||
+        (override.type === 'value' && override.value !== planned.proposed)) {
+      skipped.push(planned.campus);
+      return false;
+    }
+    return true;
+  });
+  if (changedRows.length > 0) {
+    throw new Error(`The ALE Counts sheet changed since the preview was built (rows ${changedRows.join(', ')}). Build a new preview.`);
+  }
+  if (skipped.length > 0) {
+    Logger.log(`Apply Preview skipped rows whose Override cell changed since the preview: ${skipped.join(', ')}`);
+  }
+  if (rejected.length > 0) {
+    Logger.log(`Apply Preview skipped rows whose Proposed Value is not a number: ${rejected.join(', ')}`);
+  }
+
+  writeAggregationRows(toWrite, layout.totalColumn);
+  writeProvenance(toWrite, layout.totalColumn);
+  writeIaStaffing(toWrite);
+
+  const totalsByCampus = new Map();
+  for (const planned of toWrite) {
+    if (planned.campus && (planned.proposed !== '' || planned.status === 'No Data')) {
+      totalsByCampus.set(planned.campus, { level: planned.level, campus: planned.campus, row: planned.row, total: planned.proposed, grades: planned.grades });
+    }
+  }
+  const totals = Array.from(totalsByCampus.values());
+  recordCountSnapshot(totals);
+  writeGradeBreakdown(totals);
+
+  const written = toWrite.filter(planned => planned.status !== 'Locked').length;
+  properties.deleteProperty(PREVIEW_STATE_PROPERTY);
+  sheet.getRange(1, 1).setValue(`Applied ${new Date().toLocaleString()}: ${written} rows were written to ALE Counts.`);
+
+  return { written: written, skipped: skipped, rejected: rejected };
+}
+
+/**
+ * Menu action: ask which level to preview and build the Preview sheet.
+ *
+ * @returns {void}
+ */
+function previewAggregation() {
+  const ui = SpreadsheetApp.getUi();
+  const allLevels = Object.keys(CONFIGS);
+  const response = ui.prompt(
+    'Preview Aggregation',
+    `Which level should be previewed? Enter ${allLevels.join(', ')}, or leave blank for all levels.`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const level = response.getResponseText().trim().toUpperCase();
+  if (level && !CONFIGS[level]) {
+    ui.alert(`Error: Enter one of ${allLevels.join(', ')}, or leave the answer blank.`);
+    return;
+  }
+
+  let result;
+  try {
+    result = buildAggregationPreview(level || undefined);
+  } catch (e) {
+    Logger.log(e.message);
+    ui.alert(`Error: ${e.message}`);
+    return;
+  }
+
+  let message = `The "${PREVIEW_SHEET_NAME}" sheet lists ${result.rows} rows; ${result.changed} would change. ` +
+    `Nothing was written to ALE Counts. Choose "Apply Preview" to write these values.`;
+  if (result.errors > 0) {
+    message += `\n\n${result.errors} data errors were written to the "${ISSUES_SHEET_NAME}" sheet.`;
+  }
+  Logger.log(message);
+  ui.alert(message);
+}
+
+/**
+ * Menu action: confirm and apply the current preview.
+ *
+ * @returns {void}
+ */
+function applyAggregationPreview() {
+  const ui = SpreadsheetApp.getUi();
+  const saved = PropertiesService.getScriptProperties().getProperty(PREVIEW_STATE_PROPERTY);
+  if (!saved) {
+    ui.alert('There is no preview to apply. Choose "Preview Aggregation" first.');
+    return;
+  }
+
+  const state = JSON.parse(saved);
+  let question = `Write the Proposed Value column of the "${PREVIEW_SHEET_NAME}" sheet ` +
+    `(built ${new Date(state.createdAt).toLocaleString()}) to the ALE Counts sheet?`;
+  if (state.errors > 0) {
+    question += ` The preview found ${state.errors} data errors (see the "${ISSUES_SHEET_NAME}" sheet).`;
+  }
+  if (ui.alert('Apply Preview', question, ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+    return;
+  }
+
+  try {
+    const result = applyAggregationPreviewRows();
+    let message = `${result.written} rows of the ALE Counts sheet were updated from the preview.`;
+    if (result.skipped.length > 0) {
+      message += `\n\nSkipped because their Override cell changed since the preview (${result.skipped.length}):\n${result.skipped.join(', ')}`;
+    }
+    if (result.rejected.length > 0) {
+      message += `\n\nSkipped because their Proposed Value is not a number (${result.rejected.length}):\n${result.rejected.join(', ')}` +
+        `\nFix the value and apply again, or build a new preview.`;
+    }
+    Logger.log(message);
+    ui.alert(message);
+  } catch (e) {
+    Logger.log(e.message);
+    ui.alert(`Error: ${e.message}`);
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * ALE Counts sheet layout detection.
+ *
+ * Instead of relying on fixed row ranges, the layout of the "ALE Counts"
+ * sheet is discovered every time it is written: the header row is found
+ * by its "Campus" and "Total Enrolled" titles, and the section of each
+ * level in `CONFIGS` and the shared Special Programs section are found by
+ * their label rows. Inserting or removing campus rows therefore no longer
+ * misaligns the writes. A sheet without any label rows is still read with
+ * the fixed row ranges it was built with (`legacyRows`).
+ *
+ * @module AleCountsLayout
+ */
+
+/**
+ * Name of the consolidated reporting sheet.
+ * @type {string}
+ */
+const ALE_COUNTS_SHEET_NAME = "ALE Counts";
+
+/**
+ * Header titles used to locate the columns of the ALE Counts sheet.
+ * The Override column is optional (see `parseOverrideCell`), and so are
+ * the Teacher, Tier and Cluster columns, which are only read by exports
+ * and IA staffing, and the ALE IAs column written by `writeIaStaffing`.
+ * @type {{campus: string, total: string, override: string, teacher: string,
+ * tier: string, cluster: string, ias: string}}
+ */
+const ALE_COUNTS_HEADERS = {
+  campus: "Campus",
+  total: "Total Enrolled",
+  override: "Override",
+  teacher: "Teacher",
+  tier: "Tier",
+  cluster: "Cluster",
+  ias: "ALE IAs",
+};
+
+/**
+ * Override cell values that lock a row, keeping its current Total
+ * Enrolled value.
+ * @type {string[]}
+ */
+const OVERRIDE_LOCK_VALUES = ['true', 'lock', 'locked', 'keep', 'manual', 'x', 'yes'];
+
+/**
+ * Label patterns of sections that do not belong to one level. A shared
+ * section's rows are claimed by whichever level's campus map lists the
+ * campus (see `planCampusAggregation`). A level in `CONFIGS` whose key
+ * or `sectionLabel` matches a shared section's name takes that section
+ * over. `legacyRows` are the section's fixed rows in a sheet without
+ * label rows.
+ * @type {Object<string, {name: string, sectionLabel: RegExp,
+ * legacyRows: ({start: number, end: number}|undefined)}>}
+ */
+const ALE_COUNTS_SHARED_SECTIONS = {
+  SP: { name: "Special Programs", sectionLabel: /^special\s+programs?\b/i, legacyRows: { start: 208, end: 212 } },
+};
+
+/**
+ * Patterns matching the label row that starts each section of the ALE
+ * Counts sheet: the `sectionLabel` of every level in `CONFIGS`, then the
+ * shared sections. A label row has an empty Campus cell and a cell whose
+ * text matches one of these patterns and does not say "total", so
+ * subtotal rows such as "ES Total" are not taken for labels.
+ *
+ * @returns {Object<string, RegExp>} Label pattern per section key, levels first
+ * @example
+ * getAleCountsSectionLabels(); // {ES: /^(elementary|es)\b/i, ..., SP: /^special\s+programs?\b/i}
+ */
+function getAleCountsSectionLabels() {
+  const labels = {};
+  for (const level of Object.keys(CONFIGS)) {
+    labels[level] = CONFIGS[level].sectionLabel;
+  }
+  for (const key of Object.keys(ALE_COUNTS_SHARED_SECTIONS)) {
+    const shared = ALE_COUNTS_SHARED_SECTIONS[key];
+    const taken = Object.keys(labels).some(level => level === key || labels[level].test(shared.name));
+    if (!taken) labels[key] = shared.sectionLabel;
+  }
+  return labels;
+}
+
+/**
+ * Build the sections of an ALE Counts sheet without label rows from the
+ * fixed `legacyRows` of each level and shared section: the rows E4:E113,
+ * E116:E160, E163:E206 and E208:E212 the sheet was built with. Only rows
+ * below the header with a campus name count as campus rows.
+ *
+ * @param {Array<Array<*>>} data - Values of the whole sheet
+ * @param {number} headerRowIndex - 0-based index of the header row
+ * @param {number} campusIndex - 0-based index of the Campus column
+ * @returns {Object<string, {label: string, start: number, end: number,
+ * rows: number[]}>} Sections keyed like the ones read from label rows
+ * @throws {Error} If a level in `CONFIGS` has no `legacyRows`
+ */
+function buildLegacyAleCountsSections(data, headerRowIndex, campusIndex) {
+  const withoutRows = Object.keys(CONFIGS).filter(key => !CONFIGS[key].legacyRows);
+  if (withoutRows.length > 0) {
+    const examples = withoutRows.map(key => `"${CONFIGS[key].name}"`).join(', ');
+    throw new Error(`No section label rows were found and the ${withoutRows.join(', ')} level(s) have no fixed rows. Add a label row such as ${examples} above each section.`);
+  }
+
+  const ranges = {};
+  for (const key of Object.keys(CONFIGS)) {
+    ranges[key] = { label: CONFIGS[key].name, rows: CONFIGS[key].legacyRows };
+  }
+  for (const key of Object.keys(ALE_COUNTS_SHARED_SECTIONS)) {
+    const shared = ALE_COUNTS_SHARED_SECTIONS[key];
+    if (!ranges[key] && shared.legacyRows) ranges[key] = { label: shared.name, rows: shared.legacyRows };
+  }
+
+  const sections = {};
+  for (const key of Object.keys(ranges)) {
+    const rows = [];
+    for (let row = Math.max(ranges[key].rows.start, headerRowIndex + 2); row <= ranges[key].rows.end && row <= data.length; row++) {
+      const campusCell = data[row - 1][campusIndex];
+      if (campusCell !== null && campusCell !== undefined && campusCell.toString().trim() !== '') rows.push(row);
+    }
+    sections[key] = { label: ranges[key].label, labelRow: 0, start: rows[0] || 0, end: rows[rows.length - 1] || 0, rows: rows };
+  }
+  return sections;
+}
+
+/**
+ * Detect the header columns and level sections of the ALE Counts sheet.
+ * When the sheet has no section label rows at all, the sections are
+ * taken from the fixed row ranges (see `buildLegacyAleCountsSections`).
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The ALE Counts sheet
+ * @returns {{headerRow: number, campusColumn: number, totalColumn: number,
+ * overrideColumn: number, teacherColumn: number, tierColumn: number,
+ * clusterColumn: number, iasColumn: number, sections: Object<string, {label: string,
+ * start: number, end: number, rows: number[]}>}} Layout with 1-based row
+ * and column numbers; an optional column is 0 when the sheet does not
+ * have it
+ * @throws {Error} If the header row or the section of a level in
+ * `CONFIGS` cannot be recognised; the message explains what is missing
+ * @example
+ * const layout = detectAleCountsLayout(aleCountsSheet);
+ * // layout.sections.ES => {label: "Elementary", start: 4, end: 113, rows: [4, 5, ...]}
+ */
+function detectAleCountsLayout(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const sectionLabels = getAleCountsSectionLabels();
+  const normalize = value => (value === null || value === undefined) ? '' : value.toString().trim().toLowerCase();
+
+  // Find every header row; the first one defines the columns
+  const headerRowIndexes = [];
+  let campusIndex = -1;
+  let totalIndex = -1;
+  let overrideIndex = -1;
+  let optionalIndexes = {};
+  for (let r = 0; r < data.length; r++) {
+    const cells = data[r].map(normalize);
+    const rowCampusIndex = cells.indexOf(ALE_COUNTS_HEADERS.campus.toLowerCase());
+    const rowTotalIndex = cells.indexOf(ALE_COUNTS_HEADERS.total.toLowerCase());
+    if (rowCampusIndex === -1 || rowTotalIndex === -1) continue;
+
+    if (headerRowIndexes.length === 0) {
+      campusIndex = rowCampusIndex;
+      totalIndex = rowTotalIndex;
+      overrideIndex = cells.indexOf(ALE_COUNTS_HEADERS.override.toLowerCase());
+      optionalIndexes = {
+        teacher: cells.indexOf(ALE_COUNTS_HEADERS.teacher.toLowerCase()),
+        tier: cells.indexOf(ALE_COUNTS_HEADERS.tier.toLowerCase()),
+        cluster: cells.indexOf(ALE_COUNTS_HEADERS.cluster.toLowerCase()),
+        ias: cells.indexOf(ALE_COUNTS_HEADERS.ias.toLowerCase())
+      };
+    } else if (rowCampusIndex !== campusIndex || rowTotalIndex !== totalIndex) {
+      throw new Error(`The header in row ${r + 1} puts "${ALE_COUNTS_HEADERS.campus}" or "${ALE_COUNTS_HEADERS.total}" in a different column than the header in row ${headerRowIndexes[0] + 1}.`);
+    }
+    headerRowIndexes.push(r);
+  }
+
+  if (headerRowIndexes.length === 0) {
+    throw new Error(`No header row containing "${ALE_COUNTS_HEADERS.campus}" and "${ALE_COUNTS_HEADERS.total}" was found.`);
+  }
+
+  // Walk the rows, starting a new section at each label row
+  let sections = {};
+  let currentSection = null;
+  let firstUnlabelledRow = -1;
+  for (let r = 0; r < data.length; r++) {
+    if (headerRowIndexes.includes(r)) continue;
+
+    const campusName = normalize(data[r][campusIndex]);
+    if (!campusName) {
+      // Subtotal rows ("ES Total", "High School Total") start no section
+      const labelCell = data[r].find(cell => normalize(cell) !== '' && !/\btotals?\b/i.test(cell.toString()) &&
+        Object.keys(sectionLabels).some(key => sectionLabels[key].test(cell.toString().trim())));
+      if (labelCell === undefined) continue;
+
+      const labelText = labelCell.toString().trim();
+      const key = Object.keys(sectionLabels).find(k => sectionLabels[k].test(labelText));
+      if (sections[key]) {
+        throw new Error(`The ${key} section label appears twice (rows ${sections[key].labelRow} and ${r + 1}).`);
+      }
+      sections[key] = { label: labelText, labelRow: r + 1, start: 0, end: 0, rows: [] };
+      currentSection = sections[key];
+      continue;
+    }
+
+    if (r < headerRowIndexes[0]) continue;
+
+    if (!currentSection) {
+      if (firstUnlabelledRow === -1) firstUnlabelledRow = r;
+      continue;
+    }
+    currentSection.rows.push(r + 1);
+    if (!currentSection.start) currentSection.start = r + 1;
+    currentSection.end = r + 1;
+  }
+
+  // A sheet without label rows still has the fixed ranges it was built with
+  if (Object.keys(sections).length === 0) {
+    sections = buildLegacyAleCountsSections(data, headerRowIndexes[0], campusIndex);
+  } else if (firstUnlabelledRow !== -1) {
+    throw new Error(`Row ${firstUnlabelledRow + 1} lists campus "${data[firstUnlabelledRow][campusIndex]}" before any section label (for example "Elementary").`);
+  }
+
+  // Every configured level needs its section
+  const missingSections = Object.keys(CONFIGS).filter(key => !sections[key] || sections[key].rows.length === 0);
+  if (missingSections.length > 0) {
+    const examples = missingSections.map(key => `"${CONFIGS[key].name}"`).join(', ');
+    throw new Error(`No campus rows were found for the ${missingSections.join(', ')} section(s). Check that each section has a label row such as ${examples}.`);
+  }
+
+  // Drop labels without campus rows (e.g. an empty Special Programs block)
+  for (const key of Object.keys(sections)) {
+    if (sections[key].rows.length === 0) delete sections[key];
+  }
+
+  return {
+    headerRow: headerRowIndexes[0] + 1,
+    campusColumn: campusIndex + 1,
+    totalColumn: totalIndex + 1,
+    overrideColumn: overrideIndex + 1,
+    teacherColumn: optionalIndexes.teacher + 1,
+    tierColumn: optionalIndexes.tier + 1,
+    clusterColumn: optionalIndexes.cluster + 1,
+    iasColumn: optionalIndexes.ias + 1,
+    sections: sections
+  };
+}
+
+/**
+ * Read the campus rows of the ALE Counts sheet as they were last
+ * written, for reports that show the sheet rather than recompute it. A
+ * row of a shared section takes the level whose campus map lists its
+ * campus, as in `planCampusAggregation`, or the section key if none does.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The ALE Counts sheet
+ * @returns {Array<{row: number, level: string, campus: string,
+ * total: (number|string), teacher: string, tier: string, cluster: string}>}
+ * One entry per campus row, section by section; `total` is the Total
+ * Enrolled cell ("" when blank) and an optional column the sheet does
+ * not have reads as ""
+ * @throws {Error} If the layout cannot be recognised (see `detectAleCountsLayout`)
+ * @example
+ * readAleCountsRows(aleCountsSheet)[0];
+ * // {row: 4, level: "ES", campus: "Adams Hill", total: 14, teacher: "", tier: "Tier 2", cluster: "North"}
+ */
+function readAleCountsRows(sheet) {
+  const layout = detectAleCountsLayout(sheet);
+  const data = sheet.getDataRange().getValues();
+  const cell = (values, column) => column ? values[column - 1].toString().trim() : '';
+
+  const levelByCampus = {};
+  for (const level of Object.keys(CONFIGS)) {
+    for (const [campusName] of getCampusMap(level)) {
+      if (!levelByCampus[campusName]) levelByCampus[campusName] = level;
+    }
+  }
+
+  const rows = [];
+  for (const key of Object.keys(layout.sections)) {
+    for (const row of layout.sections[key].rows) {
+      const values = data[row - 1];
+      const campus = cell(values, layout.campusColumn);
+      rows.push({
+        row: row,
+        level: CONFIGS[key] ? key : levelByCampus[campus] || key,
+        campus: campus,
+        total: values[layout.totalColumn - 1],
+        teacher: cell(values, layout.teacherColumn),
+        tier: cell(values, layout.tierColumn),
+        cluster: cell(values, layout.clusterColumn)
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Group sorted row numbers into contiguous ranges so each range can be
+ * read and written with a single call.
+ *
+ * @param {number[]} rowNumbers - 1-based row numbers
+ * @returns {Array<{start: number, end: number}>} Contiguous row ranges
+ * @example
+ * toRowRanges([4, 5, 6, 9]); // [{start: 4, end: 6}, {start: 9, end: 9}]
+ */
+function toRowRanges(rowNumbers) {
+  const sorted = rowNumbers.slice().sort((a, b) => a - b);
+  const ranges = [];
+  for (const row of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && row === last.end + 1) {
+      last.end = row;
+    } else if (!last || row > last.end) {
+      ranges.push({ start: row, end: row });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Interpret a cell of the optional Override column.
+ *
+ * A number replaces the aggregated count. A checked box or a lock word
+ * such as "Lock" or "Keep" keeps whatever is in Total Enrolled, and so
+ * does any other text, so a note explaining a hand-entered count also
+ * protects it. Empty cells and unchecked boxes have no effect.
+ *
+ * @param {*} value - Raw cell value
+ * @returns {{type: string, value: (number|undefined), note: (string|undefined)}}
+ * `type` is "none", "lock" or "value"; `note` holds the text of a lock
+ * that is not one of `OVERRIDE_LOCK_VALUES`
+ * @example
+ * parseOverrideCell(12);        // {type: 'value', value: 12}
+ * parseOverrideCell(true);      // {type: 'lock', note: ''}
+ * parseOverrideCell('Counted by hand'); // {type: 'lock', note: 'Counted by hand'}
+ */
+function parseOverrideCell(value) {
+  if (value === null || value === undefined || value === false) {
+    return { type: 'none' };
+  }
+  const text = value.toString().trim();
+  if (text === '' || text.toLowerCase() === 'false') {
+    return { type: 'none' };
+  }
+  if (typeof value === 'number' || !isNaN(Number(text))) {
+    return { type: 'value', value: Number(text) };
+  }
+  return { type: 'lock', note: OVERRIDE_LOCK_VALUES.includes(text.toLowerCase()) ? '' : text };
+}
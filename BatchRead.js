@@ -0,0 +1,264 @@
+/**
+ * Batched reading of teacher spreadsheets through the Sheets API.
+ *
+ * Opening every teacher spreadsheet with `SpreadsheetApp.openById` and
+ * reading each tab's whole data range is slow. Instead, the spreadsheets
+ * of a batch are read through the Sheets advanced service with a single
+ * request each: the cell values of the tabs the rule searches (only the
+ * rule's `sheetName` when it has one, or only its named range), without
+ * formatting. The header is then found and the column under it read
+ * with `extractValueFromColumn`, exactly as the rule describes.
+ *
+ * Requests are paced to the Sheets API read quota of a user, requests
+ * that fail with a transient error (a rate limit or a temporary service
+ * error) are retried, and every failure is given a code from
+ * `EXTRACTION_ERROR_CODES`.
+ *
+ * @module BatchRead
+ */
+
+/**
+ * Read requests the Sheets API allows a user per minute.
+ * @type {number}
+ */
+const SHEETS_READS_PER_MINUTE = 60;
+
+/**
+ * Number of spreadsheets read in one batch. Each takes one read request,
+ * so a batch uses a third of the per-minute read quota; the requests are
+ * paced by `waitForSheetsReadQuota` rather than sent at once.
+ * @type {number}
+ */
+const SHEETS_READ_BATCH_SIZE = 20;
+
+/**
+ * Times a request is retried after a transient error (see `isTransientErrorCode`).
+ * @type {number}
+ */
+const SHEETS_FETCH_MAX_RETRIES = 3;
+
+/**
+ * Pause before the first retry of a temporary service error, doubled for
+ * each further retry.
+ * @type {number}
+ */
+const SHEETS_RETRY_DELAY_MS = 2000;
+
+/**
+ * Pause before retrying a rate-limited request: the quota is counted per
+ * minute, so a shorter pause would only be refused again.
+ * @type {number}
+ */
+const SHEETS_RATE_LIMIT_DELAY_MS = 60 * 1000;
+
+/**
+ * Time to keep in hand before starting a batch: up to a minute waiting
+ * for the read quota plus the requests themselves. Retries within a
+ * batch stop at the deadline (see `callSheetsApi`), so a batch started
+ * with this much time left ends near the deadline at the latest.
+ * @type {number}
+ */
+const SHEETS_BATCH_RESERVE_MS = 2 * 60 * 1000;
+
+/**
+ * Times of the Sheets API read requests of the last minute in this
+ * execution, oldest first.
+ * @type {number[]}
+ */
+const SHEETS_READ_TIMES = [];
+
+/**
+ * Wait until another Sheets API read request fits in the per-minute
+ * quota, then record it.
+ *
+ * @returns {void}
+ */
+function waitForSheetsReadQuota() {
+  const now = Date.now();
+  while (SHEETS_READ_TIMES.length > 0 && now - SHEETS_READ_TIMES[0] >= 60 * 1000) {
+    SHEETS_READ_TIMES.shift();
+  }
+  if (SHEETS_READ_TIMES.length >= SHEETS_READS_PER_MINUTE) {
+    Utilities.sleep(60 * 1000 - (now - SHEETS_READ_TIMES.shift()));
+  }
+  SHEETS_READ_TIMES.push(Date.now());
+}
+
+/**
+ * Send `spreadsheets.get` requests one after another through the Sheets
+ * advanced service, retrying transient failures.
+ *
+ * @param {Array<{spreadsheetId: string, params: Object}>} requests -
+ * Spreadsheet ID and query parameters (`fields`, `ranges`,
+ * `includeGridData`) of each request
+ * @param {number} [retryUntil] - Timestamp (ms) after which a failed
+ * request is not retried, so no pause runs past it; omit to always retry
+ * @returns {Array<{ok: boolean, body: Object, code: string, error: string}>}
+ * One entry per request, in order; `error` and its `code` (a key of
+ * `EXTRACTION_ERROR_CODES`) are set when `ok` is false
+ * @example
+ * callSheetsApi([{ spreadsheetId: '1a2b...', params: { fields: 'sheets.properties.title' } }]);
+ * // [{ok: true, body: {sheets: [...]}, code: '', error: ''}]
+ */
+function callSheetsApi(requests, retryUntil) {
+  return requests.map(request => {
+    for (let attempt = 0; ; attempt++) {
+      waitForSheetsReadQuota();
+      try {
+        const body = Sheets.Spreadsheets.get(request.spreadsheetId, request.params);
+        return { ok: true, body: body, code: '', error: '' };
+      } catch (e) {
+        const error = e.message.replace(/^API call to \S+ failed with error: /, '');
+        const code = classifyErrorMessage(error);
+        const delay = code === 'RATE_LIMITED' ? SHEETS_RATE_LIMIT_DELAY_MS : SHEETS_RETRY_DELAY_MS * Math.pow(2, attempt);
+        if (attempt >= SHEETS_FETCH_MAX_RETRIES || !isTransientErrorCode(code) || (retryUntil && Date.now() + delay > retryUntil)) {
+          return { ok: false, body: {}, code: code, error: error };
+        }
+        Logger.log(`Sheets API request for ${request.spreadsheetId} failed on attempt ${attempt + 1}: ${error}`);
+        Utilities.sleep(delay);
+      }
+    }
+  });
+}
+
+/**
+ * Quote a tab title for use in an A1 range.
+ *
+ * @param {string} title - Tab title
+ * @returns {string} Title in single quotes, with quotes doubled
+ * @example
+ * quoteSheetTitle("Ms. Lee's Class"); // "'Ms. Lee''s Class'"
+ */
+function quoteSheetTitle(title) {
+  return `'${title.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Fields of a `spreadsheets.get` answer needed to read a count: each
+ * tab's title and the unformatted values of its cells.
+ * @type {string}
+ */
+const SHEETS_GRID_FIELDS = 'sheets(properties.title,data(startRow,startColumn,rowData.values.effectiveValue))';
+
+/**
+ * Turn the grid data of one tab into rows of cell values, positioned from
+ * cell A1 and with '' for empty cells, like `Range.getValues`.
+ *
+ * @param {Object} gridData - One entry of a sheet's `data` in a
+ * `spreadsheets.get` answer
+ * @returns {Array<Array<*>>} Rows of values; rows may differ in length
+ * @example
+ * gridDataToValues({ startRow: 1, rowData: [{ values: [{ effectiveValue: { numberValue: 3 } }] }] });
+ * // [[], [3]]
+ */
+function gridDataToValues(gridData) {
+  const startRow = gridData.startRow || 0;
+  const startColumn = gridData.startColumn || 0;
+  const rows = [];
+  for (let r = 0; r < startRow; r++) {
+    rows.push([]);
+  }
+  for (const rowData of gridData.rowData || []) {
+    const row = new Array(startColumn).fill('');
+    for (const cell of rowData.values || []) {
+      const value = cell.effectiveValue || {};
+      if ('numberValue' in value) row.push(value.numberValue);
+      else if ('stringValue' in value) row.push(value.stringValue);
+      else if ('boolValue' in value) row.push(value.boolValue);
+      else row.push('');
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Read the count from a `spreadsheets.get` answer with grid data.
+ *
+ * @param {Object} body - Answer of the request made by `readSpreadsheetCounts`
+ * @param {Object} rule - Rule from `resolveExtractionRule`
+ * @returns {{value: *, grades: ?Object<string, number>, error: string,
+ * code: string}} The count, or the error and its code
+ */
+function readCountFromGrid(body, rule) {
+  const result = { value: '', grades: null, error: '', code: '' };
+  const grids = (body.sheets || [])
+    .filter(sheet => !rule.sheetName || sheet.properties.title === rule.sheetName)
+    .map(sheet => (sheet.data && sheet.data[0]) || {});
+
+  if (rule.mode === 'namedRange') {
+    // Only the tab holding the named range has rows; its first cell is the value
+    const grid = grids.find(data => data.rowData && data.rowData.length > 0);
+    const rows = grid ? gridDataToValues({ rowData: grid.rowData }) : [];
+    result.value = rows[0] && rows[0].length > 0 ? rows[0][0] : '';
+    return result;
+  }
+
+  let foundHeader = false;
+  for (const rows of grids.map(gridDataToValues)) {
+    const column = findRuleHeaderColumn(rows[rule.headerRow - 1] || [], rule);
+    if (column === -1) continue;
+    foundHeader = true;
+
+    // The first tab whose column yields a value wins
+    const cells = rows.slice(rule.headerRow).map(row => (column < row.length ? row[column] : ''));
+    const extracted = extractValueFromColumn(cells, rule);
+    if (extracted) {
+      result.value = extracted.value;
+      result.grades = extracted.grades;
+      return result;
+    }
+  }
+  result.code = foundHeader ? 'VALUE_MISSING' : 'HEADER_MISSING';
+  result.error = foundHeader
+    ? `Found the '${rule.headerAliases[0]}' header but no value below it.`
+    : `Could not find the '${rule.headerAliases[0]}' header.`;
+  return result;
+}
+
+/**
+ * Read the count of several teacher spreadsheets, one request each, each
+ * with its own extraction rule.
+ *
+ * Behaves like reading each spreadsheet with its rule through
+ * `SpreadsheetApp`: tabs are searched in order (or only the rule's
+ * `sheetName`), a tab whose header column has no value is skipped, and a
+ * header text read as the value counts as 0.
+ *
+ * @param {Array<{id: string, rule: Object}>} jobs - Spreadsheet IDs and
+ * rules from `resolveExtractionRule`
+ * @param {number} [retryUntil] - Timestamp (ms) after which failed
+ * requests are not retried (see `callSheetsApi`)
+ * @returns {Array<{value: *, grades: ?Object<string, number>, error: string,
+ * code: string}>} One result per job, in order; `error` and its `code`
+ * (a key of `EXTRACTION_ERROR_CODES`) are set instead of a value when the
+ * spreadsheet, tab, named range, header or value cannot be read
+ * @example
+ * readSpreadsheetCounts([{ id: '1a2b...', rule: DEFAULT_EXTRACTION_RULE }]);
+ * // [{value: 14, grades: {K: 0, 1: 3, ...}, error: '', code: ''}]
+ */
+function readSpreadsheetCounts(jobs, retryUntil) {
+  const responses = callSheetsApi(jobs.map(job => {
+    const params = { includeGridData: true, fields: SHEETS_GRID_FIELDS };
+    if (job.rule.mode === 'namedRange') {
+      params.ranges = [job.rule.namedRange];
+    } else if (job.rule.sheetName) {
+      params.ranges = [quoteSheetTitle(job.rule.sheetName)];
+    }
+    return { spreadsheetId: job.id, params: params };
+  }), retryUntil);
+
+  return jobs.map((job, index) => {
+    const response = responses[index];
+    if (response.ok) {
+      return readCountFromGrid(response.body, job.rule);
+    }
+    // A tab or named range that does not exist is reported as a range the API cannot parse
+    if (/unable to parse range/i.test(response.error)) {
+      return job.rule.mode === 'namedRange'
+        ? { value: '', grades: null, code: 'NAMED_RANGE_MISSING', error: `Could not find the named range '${job.rule.namedRange}'.` }
+        : { value: '', grades: null, code: 'TAB_MISSING', error: `Could not find a tab named '${job.rule.sheetName}'.` };
+    }
+    return { value: '', grades: null, error: response.error, code: response.code };
+  });
+}
@@ -1,3 +1,10 @@
+/**
+ * Legacy campus name to spreadsheet ID mappings for ES/MS/HS.
+ *
+ * These Maps are no longer read during aggregation once the "Campus
+ * Registry" sheet exists (see CampusRegistry.js). They seed the registry
+ * through "Import From CampusMapping.js" and act as a fallback until then.
+ */
 const elementarySchoolCampusMap = new Map([
   ["Adams Hill", "13wc-fUtXx9LX4ddcVSd67FZNsZra_WTpXrO22CaYnOk"],
   ["Allen", "1xsrz7SFfAJnQ6y5CJ415cTlDZiIXlMpGBtkQVtTpnnE"],
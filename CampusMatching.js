@@ -0,0 +1,268 @@
+/**
+ * Campus matching for newly scanned spreadsheets.
+ *
+ * When a folder scan lists a spreadsheet whose ID is not in the Campus
+ * Registry, its file name (for example "Bernal 1 - Tracey Sorrell") is
+ * normalized and compared with the registry's campus names for that
+ * level. The best candidate and a confidence score are written next to
+ * the file in the level sheet, and "Accept Proposed Matches" copies the
+ * proposals into the registry.
+ *
+ * @module CampusMatching
+ */
+
+/**
+ * Proposals scoring below this confidence are not written.
+ * @type {number}
+ */
+const MIN_MATCH_CONFIDENCE = 0.5;
+
+/**
+ * Factor applied to the confidence of a campus that is already mapped to
+ * a spreadsheet still listed in the level sheet. It is below
+ * `MIN_MATCH_CONFIDENCE`, so even an exact name match on such a campus
+ * is never proposed; a campus whose mapped spreadsheet is no longer
+ * listed can still be proposed as its replacement.
+ * @type {number}
+ */
+const MAPPED_CAMPUS_PENALTY = 0.4;
+
+/**
+ * Normalize a campus name or file name so both can be compared.
+ *
+ * Rules (see Requirement 2/3 of the campus-count-aggregation spec):
+ * - remove the teacher suffix (everything from " - " on);
+ * - turn space-separated numbers into "#" numbers ("Bernal 1" -> "bernal #1");
+ * - keep "AU" designations and parenthetical tags such as "(MS)",
+ *   tidying the spacing inside the parentheses;
+ * - collapse whitespace and lowercase the result.
+ *
+ * @param {string} sourceName - Raw campus or file name
+ * @returns {string} Normalized campus name
+ * @example
+ * normalizeCampusName("Bernal 1 - Tracey Sorrell"); // "bernal #1"
+ * normalizeCampusName("Clark ( 3 Periods ) - Karen Pumphrey"); // "clark (3 periods)"
+ */
+function normalizeCampusName(sourceName) {
+  let name = (sourceName || '').toString();
+
+  // Remove teacher name suffix
+  const suffixIndex = name.indexOf(' - ');
+  if (suffixIndex !== -1) {
+    name = name.substring(0, suffixIndex);
+  }
+
+  // Numbers outside parentheses become "#N"; parenthetical text is only tidied
+  const parts = name.split(/(\([^)]*\))/);
+  const normalizedParts = parts.map(part => {
+    if (part.startsWith('(')) {
+      return '(' + part.slice(1, -1).trim().replace(/\s+/g, ' ') + ')';
+    }
+    return part
+      .replace(/#\s*(\d+)/g, ' #$1')
+      .replace(/(^|\s)(\d+)(?=\s|$)/g, '$1#$2');
+  });
+
+  return normalizedParts.join(' ').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Extract the teacher name from a file name ("Campus - Teacher").
+ *
+ * @param {string} fileName - Spreadsheet file name
+ * @returns {string} Teacher name, or an empty string if none is present
+ */
+function extractTeacherName(fileName) {
+  const name = (fileName || '').toString();
+  const suffixIndex = name.indexOf(' - ');
+  return suffixIndex === -1 ? '' : name.substring(suffixIndex + 3).trim();
+}
+
+/**
+ * Remove the parenthetical level tag matching `level`, e.g. "(ms)" for
+ * MS, so "Holmgreen (MS)" can match a file named "Holmgreen - ...".
+ *
+ * @param {string} normalizedName - Output of `normalizeCampusName`
+ * @param {string} level - Level key ('ES', 'MS' or 'HS')
+ * @returns {string} Name without the level tag
+ */
+function stripLevelTag(normalizedName, level) {
+  const tag = new RegExp(`\\s*\\(${level.toLowerCase()}\\)`, 'g');
+  return normalizedName.replace(tag, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Score how well a normalized file name matches a normalized campus name.
+ *
+ * @param {string} fileKey - Normalized file name
+ * @param {string} campusKey - Normalized campus name
+ * @param {string} level - Level key used to ignore level tags
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreCampusMatch(fileKey, campusKey, level) {
+  if (fileKey === campusKey) return 1;
+
+  const fileBase = stripLevelTag(fileKey, level);
+  const campusBase = stripLevelTag(campusKey, level);
+  if (fileBase === campusBase) return 0.9;
+
+  // Same campus without a section number ("Bernal" vs "Bernal #1")
+  const withoutNumber = value => value.replace(/\s*#\d+\b/g, '').trim();
+  if (withoutNumber(fileBase) === withoutNumber(campusBase)) return 0.6;
+
+  // Word overlap (Dice coefficient) for spelling variations
+  const fileTokens = new Set(fileBase.split(' '));
+  const campusTokens = new Set(campusBase.split(' '));
+  let shared = 0;
+  for (const token of fileTokens) {
+    if (campusTokens.has(token)) shared++;
+  }
+  return 0.8 * (2 * shared) / (fileTokens.size + campusTokens.size);
+}
+
+/**
+ * Find the best campus for a file name among a level's campuses.
+ *
+ * Campuses already mapped to another spreadsheet listed in the level
+ * sheet are penalised by `MAPPED_CAMPUS_PENALTY`, which keeps them below
+ * `MIN_MATCH_CONFIDENCE`.
+ *
+ * @param {string} fileName - Spreadsheet file name
+ * @param {Map<string, ?string>} campusMap - Campus name to spreadsheet ID map
+ * @param {string} level - Level key ('ES', 'MS' or 'HS')
+ * @param {Set<string>} [listedIds] - Spreadsheet IDs present in the level sheet
+ * @returns {?{campus: string, confidence: number}} Best match, or null
+ * if nothing reaches `MIN_MATCH_CONFIDENCE`
+ * @example
+ * proposeCampusForFile("Bernal 1 - Tracey Sorrell", getCampusMap('MS'), 'MS');
+ * // {campus: "Bernal #1", confidence: 1}
+ */
+function proposeCampusForFile(fileName, campusMap, level, listedIds) {
+  const fileKey = normalizeCampusName(fileName);
+  if (!fileKey) return null;
+
+  let best = null;
+  for (const [campusName, spreadsheetId] of campusMap) {
+    let confidence = scoreCampusMatch(fileKey, normalizeCampusName(campusName), level);
+    if (spreadsheetId && listedIds && listedIds.has(spreadsheetId)) {
+      confidence *= MAPPED_CAMPUS_PENALTY;
+    }
+    if (!best || confidence > best.confidence) {
+      best = { campus: campusName, confidence: confidence };
+    }
+  }
+
+  if (!best || best.confidence < MIN_MATCH_CONFIDENCE) {
+    return null;
+  }
+  best.confidence = Math.round(best.confidence * 100) / 100;
+  return best;
+}
+
+/**
+ * Write campus proposals for every unmapped spreadsheet in a level sheet.
+ *
+ * Rows whose ID is already mapped have their proposal cells cleared.
+ *
+ * @param {{folderId: string, sheetName: string}} levelConfig
+ * Configuration object for a level (from `CONFIGS`).
+ * @returns {{unmapped: number, proposed: number}} Number of unmapped
+ * files and how many of them received a proposal
+ */
+function proposeCampusMatches(levelConfig) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(levelConfig.sheetName);
+  const result = { unmapped: 0, proposed: 0 };
+  if (!sheet || sheet.getLastRow() < 2) {
+    return result;
+  }
+
+  const level = getLevelKey(levelConfig);
+  const campusMap = getCampusMap(level);
+  const mappedIds = new Set([...campusMap.values()].filter(id => id));
+
+  const lastRow = sheet.getLastRow();
+  const rows = sheet.getRange(2, 1, lastRow - 1, 2).getValues();
+  const listedIds = new Set(rows.map(row => row[0].toString().trim()).filter(id => id));
+
+  const output = rows.map(([id, fileName]) => {
+    const spreadsheetId = id.toString().trim();
+    if (!spreadsheetId || mappedIds.has(spreadsheetId)) {
+      return ['', ''];
+    }
+
+    result.unmapped++;
+    const proposal = proposeCampusForFile(fileName, campusMap, level, listedIds);
+    if (!proposal) {
+      return ['', ''];
+    }
+    result.proposed++;
+    return [proposal.campus, proposal.confidence];
+  });
+
+  const proposalColumn = LEVEL_SHEET_HEADERS.indexOf('Proposed Campus') + 1;
+  sheet.getRange(1, proposalColumn, 1, 2).setValues([['Proposed Campus', 'Match Confidence']]);
+  sheet.getRange(2, proposalColumn, output.length, 2).setValues(output);
+
+  return result;
+}
+
+/**
+ * Copy every proposal in the ES, MS and HS sheets into the Campus
+ * Registry. Coordinators review the "Proposed Campus" column first and
+ * clear or correct any wrong proposal; every non-empty proposal is
+ * accepted. Accepted proposals are cleared from the level sheet. A
+ * proposal for a campus that is already mapped replaces its spreadsheet
+ * ID; the alert lists those replacements separately.
+ *
+ * @returns {void}
+ */
+function acceptCampusProposals() {
+  const ui = SpreadsheetApp.getUi();
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+
+  if (!spreadsheet.getSheetByName(REGISTRY_SHEET_NAME)) {
+    ui.alert(`Error: A sheet named "${REGISTRY_SHEET_NAME}" could not be found. Run "Import From CampusMapping.js" first.`);
+    return;
+  }
+
+  const proposalColumn = LEVEL_SHEET_HEADERS.indexOf('Proposed Campus') + 1;
+  const added = [];
+  const replaced = [];
+
+  for (const level of Object.keys(CONFIGS)) {
+    const sheet = spreadsheet.getSheetByName(CONFIGS[level].sheetName);
+    if (!sheet || sheet.getLastRow() < 2) continue;
+
+    const lastRow = sheet.getLastRow();
+    const rows = sheet.getRange(2, 1, lastRow - 1, 2).getValues();
+    const proposals = sheet.getRange(2, proposalColumn, lastRow - 1, 2).getValues();
+
+    for (let i = 0; i < rows.length; i++) {
+      const spreadsheetId = rows[i][0].toString().trim();
+      const campusName = proposals[i][0].toString().trim();
+      if (!spreadsheetId || !campusName) continue;
+
+      const change = setRegistryMapping(level, campusName, spreadsheetId, extractTeacherName(rows[i][1]));
+      if (change.replacedId) {
+        Logger.log(`${level} ${campusName}: replaced spreadsheet ID ${change.replacedId} with ${spreadsheetId}`);
+        replaced.push(`${level} ${campusName} (${change.replacedId} -> ${spreadsheetId})`);
+      } else {
+        added.push(`${level} ${campusName}`);
+      }
+      proposals[i] = ['', ''];
+    }
+
+    sheet.getRange(2, proposalColumn, proposals.length, 2).setValues(proposals);
+  }
+
+  const parts = [];
+  if (added.length > 0) {
+    parts.push(`${added.length} proposed matches were added to the "${REGISTRY_SHEET_NAME}" sheet:\n${added.join(', ')}`);
+  }
+  if (replaced.length > 0) {
+    parts.push(`${replaced.length} campuses already mapped had their spreadsheet ID replaced:\n${replaced.join('\n')}`);
+  }
+  const message = parts.length === 0 ? 'There were no proposed matches to accept.' : parts.join('\n\n');
+  Logger.log(message);
+  ui.alert(message);
+}
@@ -0,0 +1,344 @@
+/**
+ * Campus Registry for the class counts utility.
+ *
+ * The "Campus Registry" sheet is the managed source of truth for which
+ * teacher spreadsheet belongs to which campus. Each row holds a level
+ * (ES, MS, HS), the campus name as it appears in the ALE Counts sheet,
+ * the spreadsheet ID, an active flag, the teacher's name and an optional
+ * campus capacity used by the data quality checks. The Maps in
+ * CampusMapping.js are only used to seed the registry and as a fallback
+ * while the registry sheet has not been created yet.
+ *
+ * @module CampusRegistry
+ */
+
+/**
+ * Name of the sheet holding the campus registry.
+ * @type {string}
+ */
+const REGISTRY_SHEET_NAME = "Campus Registry";
+
+/**
+ * Header row of the registry sheet. The "Validation" column is
+ * rewritten by `validateCampusRegistry` and ignored when loading.
+ * "Capacity" comes last so registries created before it keep their
+ * columns.
+ * @type {string[]}
+ */
+const REGISTRY_HEADERS = ["Level", "Campus", "Spreadsheet ID", "Active", "Teacher", "Validation", "Capacity"];
+
+/**
+ * Return the hard-coded campus Map from CampusMapping.js for a level, as
+ * named by its `legacyCampusMap` in `CONFIGS`.
+ *
+ * @param {string} level - Level key ('ES', 'MS' or 'HS')
+ * @returns {Map<string, ?string>|null} Campus name to spreadsheet ID map,
+ * or null for an unknown level or a level without a legacy Map
+ */
+function getLegacyCampusMap(level) {
+  const levelConfig = CONFIGS[level];
+  return levelConfig && levelConfig.legacyCampusMap ? levelConfig.legacyCampusMap() : null;
+}
+
+/**
+ * Interpret the registry "Active" cell. Blank cells count as active so
+ * rows added by hand only need a level, campus and ID.
+ *
+ * @param {*} value - Raw cell value
+ * @returns {boolean} Whether the row is active
+ */
+function isRegistryRowActive(value) {
+  if (value === true) return true;
+  if (value === false) return false;
+  const text = (value === null || value === undefined) ? '' : value.toString().trim().toLowerCase();
+  return !['false', 'no', 'n', '0', 'inactive'].includes(text);
+}
+
+/**
+ * Read every row of the registry sheet.
+ *
+ * @returns {?Array<{row: number, level: string, campus: string,
+ * spreadsheetId: string, active: boolean, teacher: string, capacity: ?number}>}
+ * Registry entries, or null if the registry sheet does not exist. A
+ * blank or non-numeric capacity is null.
+ */
+function readRegistryEntries() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REGISTRY_SHEET_NAME);
+  if (!sheet) {
+    return null;
+  }
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+
+  const values = sheet.getRange(2, 1, lastRow - 1, REGISTRY_HEADERS.length).getValues();
+  const entries = [];
+  for (let i = 0; i < values.length; i++) {
+    const [level, campus, spreadsheetId, active, teacher, , capacity] = values[i];
+    const campusName = (campus || '').toString().trim();
+    if (!campusName) continue;
+
+    entries.push({
+      row: i + 2,
+      level: (level || '').toString().trim().toUpperCase(),
+      campus: campusName,
+      spreadsheetId: (spreadsheetId || '').toString().trim(),
+      active: isRegistryRowActive(active),
+      teacher: (teacher || '').toString().trim(),
+      capacity: capacity.toString().trim() === '' || isNaN(Number(capacity)) ? null : Number(capacity)
+    });
+  }
+  return entries;
+}
+
+/**
+ * Load the campus to spreadsheet ID map for a level from the registry.
+ *
+ * Only active rows are included. Campuses without an ID map to null,
+ * mirroring the `null` entries of the legacy Maps. When the registry
+ * sheet does not exist yet the legacy Map from CampusMapping.js is
+ * returned so the script keeps working until the registry is seeded.
+ *
+ * @param {string} level - Level key ('ES', 'MS' or 'HS')
+ * @returns {Map<string, ?string>} Campus name to spreadsheet ID map
+ * @example
+ * const esMap = getCampusMap('ES');
+ * // Map { "Adams Hill" => "13wc-...", "Helotes" => null, ... }
+ */
+function getCampusMap(level) {
+  const entries = readRegistryEntries();
+
+  if (entries === null) {
+    Logger.log(`Warning: ${REGISTRY_SHEET_NAME} sheet not found, using CampusMapping.js for ${level}`);
+    return getLegacyCampusMap(level) || new Map();
+  }
+
+  const campusMap = new Map();
+  for (const entry of entries) {
+    if (entry.level !== level || !entry.active) continue;
+
+    // Keep the first ID listed for a campus; duplicates are reported by validation
+    if (!campusMap.get(entry.campus)) {
+      campusMap.set(entry.campus, entry.spreadsheetId || null);
+    }
+  }
+  return campusMap;
+}
+
+/**
+ * Seed the registry sheet from the Maps in CampusMapping.js.
+ *
+ * Intended as a one-time import. If the registry already contains rows
+ * the user is asked to confirm before they are replaced.
+ *
+ * @returns {void}
+ */
+function importCampusMappingsToRegistry() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = getOrCreateSheet(REGISTRY_SHEET_NAME, REGISTRY_HEADERS);
+
+  if (sheet.getLastRow() > 1) {
+    const response = ui.alert(
+      `The "${REGISTRY_SHEET_NAME}" sheet already has entries. Replace them with the mappings from CampusMapping.js?`,
+      ui.ButtonSet.YES_NO
+    );
+    if (response !== ui.Button.YES) {
+      return;
+    }
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, REGISTRY_HEADERS.length).clearContent();
+  }
+
+  const rows = [];
+  for (const level of Object.keys(CONFIGS)) {
+    const legacyMap = getLegacyCampusMap(level);
+    if (!legacyMap) continue;
+
+    for (const [campusName, spreadsheetId] of legacyMap) {
+      rows.push([level, campusName, spreadsheetId || '', true, '', '', '']);
+    }
+  }
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, REGISTRY_HEADERS.length).setValues(rows);
+  }
+
+  const message = `${rows.length} campus mappings were imported into the "${REGISTRY_SHEET_NAME}" sheet.`;
+  Logger.log(message);
+  ui.alert(message);
+}
+
+/**
+ * Check the registry for problems and report them.
+ *
+ * Flags duplicate spreadsheet IDs, duplicate campus names within a
+ * level, IDs that are not in the level's configured Drive folder,
+ * active campuses with no ID, unknown levels and capacities that are
+ * not numbers. Findings are written
+ * to the "Validation" column of each affected row and summarised in an
+ * alert.
+ *
+ * @returns {void}
+ */
+function validateCampusRegistry() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REGISTRY_SHEET_NAME);
+  const entries = readRegistryEntries();
+
+  if (!sheet || entries === null) {
+    ui.alert(`Error: A sheet named "${REGISTRY_SHEET_NAME}" could not be found. Run "Import From CampusMapping.js" first.`);
+    return;
+  }
+
+  const findingsByRow = new Map();
+  const counts = { duplicateIds: 0, duplicateCampuses: 0, notInFolder: 0, missingIds: 0, unknownLevels: 0, badCapacities: 0 };
+  const addFinding = (row, text) => {
+    if (!findingsByRow.has(row)) findingsByRow.set(row, []);
+    findingsByRow.get(row).push(text);
+  };
+
+  const activeEntries = entries.filter(entry => entry.active);
+
+  // Duplicate spreadsheet IDs across all levels
+  const rowsById = new Map();
+  for (const entry of activeEntries) {
+    if (!entry.spreadsheetId) continue;
+    if (!rowsById.has(entry.spreadsheetId)) rowsById.set(entry.spreadsheetId, []);
+    rowsById.get(entry.spreadsheetId).push(entry);
+  }
+  for (const duplicates of rowsById.values()) {
+    if (duplicates.length < 2) continue;
+    counts.duplicateIds++;
+    for (const entry of duplicates) {
+      const others = duplicates.filter(other => other !== entry).map(other => other.row);
+      addFinding(entry.row, `Duplicate ID (also row ${others.join(', ')})`);
+    }
+  }
+
+  // Duplicate campus names within a level
+  const rowsByCampus = new Map();
+  for (const entry of activeEntries) {
+    const key = `${entry.level}|${entry.campus.toLowerCase()}`;
+    if (!rowsByCampus.has(key)) rowsByCampus.set(key, []);
+    rowsByCampus.get(key).push(entry);
+  }
+  for (const duplicates of rowsByCampus.values()) {
+    if (duplicates.length < 2) continue;
+    counts.duplicateCampuses++;
+    for (const entry of duplicates) {
+      const others = duplicates.filter(other => other !== entry).map(other => other.row);
+      addFinding(entry.row, `Duplicate campus in ${entry.level} (also row ${others.join(', ')})`);
+    }
+  }
+
+  // Capacities that were typed but could not be read as a number
+  const capacityColumn = REGISTRY_HEADERS.indexOf("Capacity") + 1;
+  if (sheet.getLastRow() > 1) {
+    const capacityValues = sheet.getRange(2, capacityColumn, sheet.getLastRow() - 1, 1).getValues();
+    for (const entry of activeEntries) {
+      const capacity = capacityValues[entry.row - 2][0];
+      if (capacity.toString().trim() !== '' && (isNaN(Number(capacity)) || Number(capacity) < 0)) {
+        counts.badCapacities++;
+        addFinding(entry.row, `Capacity "${capacity}" is not a number of students`);
+      }
+    }
+  }
+
+  // IDs missing from the configured folders, campuses without IDs, unknown levels
+  const folderIdsByLevel = {};
+  for (const entry of activeEntries) {
+    if (!CONFIGS[entry.level]) {
+      counts.unknownLevels++;
+      addFinding(entry.row, `Unknown level "${entry.level}"`);
+      continue;
+    }
+
+    if (!entry.spreadsheetId) {
+      counts.missingIds++;
+      addFinding(entry.row, 'No spreadsheet ID');
+      continue;
+    }
+
+    if (!folderIdsByLevel[entry.level]) {
+      try {
+        const files = listFolderSpreadsheets(CONFIGS[entry.level].folderId, resolveScanOptions(CONFIGS[entry.level]));
+        folderIdsByLevel[entry.level] = new Set(files.map(file => file.id));
+      } catch (e) {
+        Logger.log(`Error listing ${entry.level} folder during registry validation: ${e.message}`);
+        folderIdsByLevel[entry.level] = null;
+      }
+    }
+
+    const folderIds = folderIdsByLevel[entry.level];
+    if (folderIds && !folderIds.has(entry.spreadsheetId)) {
+      counts.notInFolder++;
+      addFinding(entry.row, `ID not found in ${entry.level} folder`);
+    }
+  }
+
+  // Rewrite the Validation column for every data row
+  const lastRow = sheet.getLastRow();
+  if (lastRow > 1) {
+    const validationColumn = REGISTRY_HEADERS.indexOf("Validation") + 1;
+    const output = [];
+    for (let row = 2; row <= lastRow; row++) {
+      output.push([findingsByRow.has(row) ? findingsByRow.get(row).join('; ') : '']);
+    }
+    sheet.getRange(1, validationColumn).setValue("Validation");
+    sheet.getRange(1, capacityColumn).setValue("Capacity");
+    sheet.getRange(2, validationColumn, output.length, 1).setValues(output);
+  }
+
+  const unreadableLevels = Object.keys(folderIdsByLevel).filter(level => folderIdsByLevel[level] === null);
+  let message = findingsByRow.size === 0
+    ? `No problems found in the "${REGISTRY_SHEET_NAME}" sheet.`
+    : `${findingsByRow.size} registry rows need attention (see the Validation column):\n\n` +
+      `Duplicate spreadsheet IDs: ${counts.duplicateIds}\n` +
+      `Duplicate campus names: ${counts.duplicateCampuses}\n` +
+      `IDs not found in the level folder: ${counts.notInFolder}\n` +
+      `Campuses with no ID: ${counts.missingIds}\n` +
+      `Unknown levels: ${counts.unknownLevels}\n` +
+      `Invalid capacities: ${counts.badCapacities}`;
+  if (unreadableLevels.length > 0) {
+    message += `\n\nThe ${unreadableLevels.join(', ')} folder(s) could not be read, so their IDs were not checked.`;
+  }
+
+  Logger.log(message);
+  ui.alert(message);
+}
+
+/**
+ * Point a registry campus at a spreadsheet ID, adding the campus if the
+ * registry does not list it for that level yet.
+ *
+ * @param {string} level - Level key ('ES', 'MS' or 'HS')
+ * @param {string} campusName - Campus name as shown in the ALE Counts sheet
+ * @param {string} spreadsheetId - Spreadsheet ID to store
+ * @param {string} [teacher] - Teacher name, written only if the cell is empty
+ * @returns {{added: boolean, replacedId: string}} Whether a new row was
+ * appended and the previous ID that was overwritten, if any
+ * @throws {Error} If the registry sheet does not exist
+ */
+function setRegistryMapping(level, campusName, spreadsheetId, teacher) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REGISTRY_SHEET_NAME);
+  if (!sheet) {
+    throw new Error(`A sheet named "${REGISTRY_SHEET_NAME}" could not be found.`);
+  }
+
+  const entry = readRegistryEntries().find(candidate =>
+    candidate.level === level && candidate.campus.toLowerCase() === campusName.toLowerCase());
+
+  if (!entry) {
+    sheet.appendRow([level, campusName, spreadsheetId, true, teacher || '', '', '']);
+    return { added: true, replacedId: '' };
+  }
+
+  sheet.getRange(entry.row, 3, 1, 2).setValues([[spreadsheetId, true]]);
+  if (teacher && !entry.teacher) {
+    sheet.getRange(entry.row, 5).setValue(teacher);
+  }
+
+  const replacedId = entry.spreadsheetId && entry.spreadsheetId !== spreadsheetId ? entry.spreadsheetId : '';
+  return { added: false, replacedId: replacedId };
+}
@@ -11,26 +11,129 @@
 
 /**
  * SCRIPT CONFIGURATION
- * Central object to hold settings for each school level.
- * @type {{ES: {folderId: string, sheetName: string},
- * MS: {folderId: string, sheetName: string}, HS: {folderId: string
- * sheetName: string}}}
+ * Registry of school levels, keyed by level key. Each level is defined
+ * only here: its menu entries (see `defineLevelMenuHandlers`), its
+ * section of the ALE Counts sheet and its aggregation follow from the
+ * entry, so adding a level such as a "Summer" program only needs a new
+ * entry, a sheet named after `sheetName`, a label row in the ALE Counts
+ * sheet matching `sectionLabel` and Campus Registry rows with the level
+ * key.
+ *
+ * - `name`: menu and message label
+ * - `folderId`: Drive folder holding the teacher spreadsheets
+ * - `sheetName`: sheet the spreadsheet IDs and counts are written to
+ * - `sectionLabel`: pattern matching the label row of the level's
+ *   section in the ALE Counts sheet (see `detectAleCountsLayout`)
+ * - `legacyCampusMap`: optional, returns the Map from CampusMapping.js
+ *   used until the Campus Registry exists
+ * - `legacyRows`: optional, the fixed rows of the level's section in an
+ *   ALE Counts sheet that has no label rows yet
+ *
+ * A level may also set `extractionRule` to override parts of
+ * `DEFAULT_EXTRACTION_RULE` (see `ExtractionRules.js`) and `scan` to
+ * override parts of `DEFAULT_SCAN_OPTIONS` (see `FolderScan.js`). Level
+ * keys must be letters only, since they are part of the menu handler
+ * names.
+ * @type {Object<string, {name: string, folderId: string, sheetName: string,
+ * sectionLabel: RegExp, legacyCampusMap: (function(): Map<string, ?string>|undefined),
+ * legacyRows: ({start: number, end: number}|undefined)}>}
  */
 const CONFIGS = {
   ES: {
+    name: "Elementary School",
     folderId: "1HHFNXX2Xcn57HHERowLlDfTjj4dQ20LE",
     sheetName: "ES",
+    sectionLabel: /^(elementary|es)\b/i,
+    legacyCampusMap: () => elementarySchoolCampusMap,
+    legacyRows: { start: 4, end: 113 },
   },
   MS: {
+    name: "Middle School",
     folderId: "1s0SF6LBg14hU03wwcTSyVWT4kVwSA4CH",
     sheetName: "MS",
+    sectionLabel: /^(middle|ms)\b/i,
+    legacyCampusMap: () => middleSchoolCampusMap,
+    legacyRows: { start: 116, end: 160 },
   },
   HS: {
+    name: "High School",
     folderId: "1vv3_YMUom8ynJJpiyNKKKMXF8ZfRIQz8",
     sheetName: "HS",
+    sectionLabel: /^(high|hs)\b/i,
+    legacyCampusMap: () => highSchoolCampusMap,
+    legacyRows: { start: 163, end: 206 },
   },
 };
 
+/**
+ * Grade levels tallied in the per-grade breakdown, in column order.
+ * Values that are not one of these are counted as "Other".
+ * @type {string[]}
+ */
+const GRADE_LEVELS = ['K', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', 'Other'];
+
+/**
+ * Column headers of the per-grade breakdown, one per `GRADE_LEVELS` entry.
+ * @type {string[]}
+ */
+const GRADE_COLUMN_HEADERS = GRADE_LEVELS.map(grade => grade === 'Other' ? 'Other Grade' : `Grade ${grade}`);
+
+/**
+ * Header row written to the ES, MS and HS sheets by the folder scan.
+ * Columns E and F hold campus proposals for unmapped spreadsheets,
+ * column G the Drive folder each file was found in, column H when the
+ * file was last modified and column I when its count was last read
+ * successfully; the per-grade breakdown of each spreadsheet follows from
+ * column J, and the code of the Error Log entry (see
+ * `EXTRACTION_ERROR_CODES`) comes last.
+ * @type {string[]}
+ */
+const LEVEL_SHEET_HEADERS = ['Spreadsheet ID', 'Campus', 'Error Log', 'Count', 'Proposed Campus', 'Match Confidence',
+  'Folder Path', 'Last Updated', 'Last Read']
+  .concat(GRADE_COLUMN_HEADERS)
+  .concat(['Error Code']);
+
+/**
+ * Column of the level sheets holding the folder path of each file.
+ * @type {number}
+ */
+const LEVEL_FOLDER_PATH_COLUMN = LEVEL_SHEET_HEADERS.indexOf('Folder Path') + 1;
+
+/**
+ * Column of the level sheets holding when each file was last modified.
+ * @type {number}
+ */
+const LEVEL_LAST_UPDATED_COLUMN = LEVEL_SHEET_HEADERS.indexOf('Last Updated') + 1;
+
+/**
+ * Column of the level sheets holding when the count was last read.
+ * @type {number}
+ */
+const LEVEL_LAST_READ_COLUMN = LEVEL_SHEET_HEADERS.indexOf('Last Read') + 1;
+
+/**
+ * Column of the level sheets holding the first grade of the breakdown.
+ * @type {number}
+ */
+const LEVEL_GRADE_COLUMN = LEVEL_SHEET_HEADERS.indexOf(GRADE_COLUMN_HEADERS[0]) + 1;
+
+/**
+ * Column of the level sheets holding the code of each Error Log entry.
+ * @type {number}
+ */
+const LEVEL_ERROR_CODE_COLUMN = LEVEL_SHEET_HEADERS.indexOf('Error Code') + 1;
+
+/**
+ * Return the key of a level configuration in `CONFIGS`.
+ *
+ * @param {{folderId: string, sheetName: string}} levelConfig
+ * Configuration object for a level (from `CONFIGS`).
+ * @returns {string|undefined} Level key ('ES', 'MS' or 'HS')
+ */
+function getLevelKey(levelConfig) {
+  return Object.keys(CONFIGS).find(key => CONFIGS[key] === levelConfig);
+}
+
 /**
  * Read campus count data from a source sheet using spreadsheet ID mapping.
  * 
@@ -40,12 +143,15 @@ const CONFIGS = {
  * 
  * @param {string} sheetName - Name of the sheet (ES, MS, or HS)
  * @param {Map} campusMap - Map of campus names to spreadsheet IDs
- * @returns {Array<{campus: string, count: number}>} Array of campus-count pairs
+ * @param {string[]} [unmappedIds] - Optional array that collects IDs with no campus mapping
+ * @returns {Array<{campus: string, id: string, count: number, grades: ?Object<string, number>}>}
+ * Array of campus-count pairs with the source spreadsheet ID, and the
+ * per-grade breakdown when the sheet has one for that row
  * @example
- * const esData = readSourceSheetData("ES", elementarySchoolCampusMap);
- * // Returns: [{campus: "Bernal #1", count: 17}, ...]
+ * const esData = readSourceSheetData("ES", getCampusMap('ES'));
+ * // Returns: [{campus: "Bernal #1", id: "1a2b...", count: 17, grades: {K: 0, 1: 3, ...}}, ...]
  */
-function readSourceSheetData(sheetName, campusMap) {
+function readSourceSheetData(sheetName, campusMap, unmappedIds) {
   const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = spreadsheet.getSheetByName(sheetName);
 
@@ -72,6 +178,12 @@ function readSourceSheetData(sheetName, campusMap) {
   const countRange = sheet.getRange(2, 4, lastRow - 1, 1);
   const countValues = countRange.getValues();
 
+  // Read the per-grade breakdown, if the sheet was scanned with grade columns
+  let gradeValues = null;
+  if (sheet.getLastColumn() >= LEVEL_GRADE_COLUMN) {
+    gradeValues = sheet.getRange(2, LEVEL_GRADE_COLUMN, lastRow - 1, GRADE_LEVELS.length).getValues();
+  }
+
   // Create reverse lookup map: spreadsheet ID -> campus name
   const idToCampusMap = new Map();
   for (const [campusName, spreadsheetId] of campusMap) {
@@ -97,6 +209,9 @@ function readSourceSheetData(sheetName, campusMap) {
     // Skip if no mapping found for this spreadsheet ID
     if (!campusName) {
       Logger.log(`Warning: No campus mapping found for spreadsheet ID ${spreadsheetId} in ${sheetName}`);
+      if (unmappedIds) {
+        unmappedIds.push(spreadsheetId.toString());
+      }
       continue;
     }
 
@@ -114,7 +229,9 @@ function readSourceSheetData(sheetName, campusMap) {
     // Add to results array
     results.push({
       campus: campusName,
-      count: count
+      id: spreadsheetId.toString(),
+      count: count,
+      grades: gradeValues ? gradeRowToTally(gradeValues[i]) : null
     });
   }
 
@@ -122,72 +239,107 @@ function readSourceSheetData(sheetName, campusMap) {
 }
 
 /**
- * Aggregate campus counts from ES, MS, HS sheets into ALE Counts sheet.
+ * Work out what aggregation would write to the ALE Counts sheet, without
+ * writing anything.
  * 
  * This function reads campus names from the ALE Counts sheet, processes
  * count data from the specified source sheet(s) using spreadsheet ID
- * mappings, aggregates the counts, and writes the totals back to the ALE Counts sheet.
+ * mappings and aggregates the counts. For every campus row it returns the
+ * current Total Enrolled value, the proposed total, a status and why.
+ * 
+ * Statuses: "Counted" (sum of the matched spreadsheets), "No Data" (no
+ * source count; proposed as blank instead of 0), "Override" (a number in
+ * the Override column) and "Locked" (the Override column keeps the
+ * current value; see `parseOverrideCell`). Rows without a campus name
+ * are left out and never written.
+ * 
+ * The rows and columns are found with `detectAleCountsLayout`. A level
+ * covers its own section plus the rows of shared sections (Special
+ * Programs, see `ALE_COUNTS_SHARED_SECTIONS`) whose campus is in its
+ * campus map.
  * 
  * @param {string} [level] - Optional level to aggregate ('ES', 'MS', 'HS'). If omitted, aggregates all levels.
- * @returns {number} Number of campuses updated with non-zero counts
+ * @returns {{level: (string|undefined), totalColumn: number,
+ * rows: Array<{row: number, level: string, campus: string, current: *,
+ * proposed: (number|string), status: string, sources: Array<{id: string,
+ * count: number}>, reason: string, grades: ?Object<string, number>}>,
+ * campusesUpdated: number, missingCampuses: string[], zeroCampuses: string[],
+ * noDataCampuses: string[], overriddenCampuses: string[], unmappedIds: string[],
+ * totals: Array<{level: string, campus: string, row: number, total: (number|string),
+ * grades: ?Object<string, number>}>}} One entry per row to write, and
+ * the summary that `runCampusAggregation` returns; a campus without data
+ * has a blank `total`, matching its cleared cell
+ * @throws {Error} If the ALE Counts sheet is missing or its layout cannot
+ * be recognised
  * @example
- * const updatedCount = aggregateCampusCounts('ES'); // Only elementary
- * const updatedCount = aggregateCampusCounts(); // All levels
+ * const plan = planCampusAggregation('ES');
+ * // plan.rows[0]: {row: 4, campus: 'Adams Hill', current: 12, proposed: 14, reason: 'Sum of 2 spreadsheets', ...}
  */
-function aggregateCampusCounts(level) {
+function planCampusAggregation(level) {
   // Get active spreadsheet reference
   const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
   
   // Get ALE Counts sheet reference
-  const aleCountsSheet = spreadsheet.getSheetByName("ALE Counts");
-  
-  // Display error and return if ALE Counts sheet doesn't exist
+  const aleCountsSheet = spreadsheet.getSheetByName(ALE_COUNTS_SHEET_NAME);
   if (!aleCountsSheet) {
-    const errorMessage = "Error: ALE Counts sheet not found";
-    Logger.log(errorMessage);
-    SpreadsheetApp.getUi().alert(errorMessage);
-    return 0;
+    throw new Error("ALE Counts sheet not found");
   }
   
-  // Define row ranges for each level in ALE Counts sheet
-  const rowRanges = {
-    ES: { start: 4, end: 113 },   // E4:E113 (110 rows)
-    MS: { start: 116, end: 160 }, // E116:E160 (45 rows) + E208:E209 (2 rows)
-    HS: { start: 163, end: 206 }  // E163:E206 (44 rows) + E210:E212 (3 rows)
-  };
+  // Discover the header columns and level sections; refuse to write if unrecognised
+  let layout;
+  try {
+    layout = detectAleCountsLayout(aleCountsSheet);
+  } catch (e) {
+    throw new Error(`The layout of the ALE Counts sheet could not be recognised, so no counts were written. ${e.message}`);
+  }
+  
+  // Get the appropriate campus map from the Campus Registry based on level
+  let campusMap;
+  if (level && CONFIGS[level]) {
+    campusMap = getCampusMap(level);
+  }
   
   // Determine which rows to process based on level
   let rowsToProcess = [];
-  if (level === 'ES') {
-    rowsToProcess = [{ start: 4, end: 113 }];
-  } else if (level === 'MS') {
-    rowsToProcess = [
-      { start: 116, end: 160 },
-      { start: 208, end: 209 }
-    ];
-  } else if (level === 'HS') {
-    rowsToProcess = [
-      { start: 163, end: 206 },
-      { start: 210, end: 212 }
-    ];
+  if (campusMap) {
+    const section = layout.sections[level];
+    rowsToProcess.push({ start: section.start, end: section.end, level: level });
+    
+    // Rows of shared sections belong to the level whose campus map lists them
+    for (const key of Object.keys(layout.sections).filter(key => !CONFIGS[key])) {
+      const shared = layout.sections[key];
+      const campusValues = aleCountsSheet.getRange(shared.start, layout.campusColumn,
+        shared.end - shared.start + 1, 1).getValues();
+      const levelRows = shared.rows.filter(row =>
+        campusMap.has(campusValues[row - shared.start][0].toString().trim()));
+      rowsToProcess = rowsToProcess.concat(toRowRanges(levelRows).map(range => Object.assign(range, { level: level })));
+    }
   } else {
-    // If no level specified, process all rows
-    rowsToProcess = [{ start: 4, end: 212 }];
+    // If no level specified, process every section
+    for (const key of Object.keys(layout.sections)) {
+      rowsToProcess.push({ start: layout.sections[key].start, end: layout.sections[key].end, level: key });
+    }
   }
   
   // Build campus lookup map with exact campus names as keys
   const campusLookup = {};
   const campusValuesByRange = [];
   
-  // Read campus names from column D for each range
+  // Read campus names, current totals and overrides for each range
   for (const range of rowsToProcess) {
     const numRows = range.end - range.start + 1;
-    const campusRange = aleCountsSheet.getRange(range.start, 4, numRows, 1);
+    const campusRange = aleCountsSheet.getRange(range.start, layout.campusColumn, numRows, 1);
     const campusValues = campusRange.getValues();
+    const currentValues = aleCountsSheet.getRange(range.start, layout.totalColumn, numRows, 1).getValues();
+    const overrideValues = layout.overrideColumn
+      ? aleCountsSheet.getRange(range.start, layout.overrideColumn, numRows, 1).getValues()
+      : null;
     
     campusValuesByRange.push({
       range: range,
-      values: campusValues
+      values: campusValues,
+      current: currentValues,
+      overrides: overrideValues
     });
     
     for (let i = 0; i < campusValues.length; i++) {
@@ -195,60 +347,49 @@ function aggregateCampusCounts(level) {
       if (campusName && campusName.toString().trim() !== '') {
         campusLookup[campusName.toString().trim()] = {
           row: i + range.start, // Actual row number in sheet
+          level: range.level,
           originalName: campusName.toString(),
           totalCount: 0,
+          grades: null,
+          sources: [],
+          inCampusMap: false,
           foundInSource: false
         };
       }
     }
   }
   
-  // Track campuses with missing counts
+  // Track campuses with missing counts and IDs without a campus mapping
   const missingCampuses = [];
-  
-  // Get the appropriate campus map based on level
-  let campusMap;
-  if (level === 'ES') {
-    campusMap = elementarySchoolCampusMap;
-  } else if (level === 'MS') {
-    campusMap = middleSchoolCampusMap;
-  } else if (level === 'HS') {
-    campusMap = highSchoolCampusMap;
-  }
+  const unmappedIds = [];
   
   // Process only the specified level, or all levels if no level specified
-  if (!level || level === 'ES') {
-    const esData = readSourceSheetData("ES", elementarySchoolCampusMap);
-    for (const record of esData) {
-      if (campusLookup[record.campus]) {
-        campusLookup[record.campus].totalCount += record.count;
-        campusLookup[record.campus].foundInSource = true;
-      } else {
-        Logger.log(`Warning: Campus "${record.campus}" from ES sheet not found in ALE Counts`);
-      }
-    }
-  }
-  
-  if (!level || level === 'MS') {
-    const msData = readSourceSheetData("MS", middleSchoolCampusMap);
-    for (const record of msData) {
-      if (campusLookup[record.campus]) {
-        campusLookup[record.campus].totalCount += record.count;
-        campusLookup[record.campus].foundInSource = true;
-      } else {
-        Logger.log(`Warning: Campus "${record.campus}" from MS sheet not found in ALE Counts`);
+  const levelsToRead = level ? [level] : Object.keys(CONFIGS);
+  for (const levelKey of levelsToRead) {
+    const levelCampusMap = getCampusMap(levelKey);
+    const sourceData = readSourceSheetData(CONFIGS[levelKey].sheetName, levelCampusMap, unmappedIds);
+    
+    // Rows of shared sections take the level of the campus map that lists them
+    for (const [campusName] of levelCampusMap) {
+      if (campusLookup[campusName]) {
+        campusLookup[campusName].inCampusMap = true;
+        if (!CONFIGS[campusLookup[campusName].level]) {
+          campusLookup[campusName].level = levelKey;
+        }
       }
     }
-  }
-  
-  if (!level || level === 'HS') {
-    const hsData = readSourceSheetData("HS", highSchoolCampusMap);
-    for (const record of hsData) {
+    
+    for (const record of sourceData) {
       if (campusLookup[record.campus]) {
-        campusLookup[record.campus].totalCount += record.count;
-        campusLookup[record.campus].foundInSource = true;
+        const entry = campusLookup[record.campus];
+        entry.totalCount += record.count;
+        entry.sources.push({ id: record.id, count: record.count });
+        if (record.grades) {
+          entry.grades = addGradeTally(entry.grades || createEmptyGradeTally(), record.grades);
+        }
+        entry.foundInSource = true;
       } else {
-        Logger.log(`Warning: Campus "${record.campus}" from HS sheet not found in ALE Counts`);
+        Logger.log(`Warning: Campus "${record.campus}" from ${levelKey} sheet not found in ALE Counts`);
       }
     }
   }
@@ -262,52 +403,249 @@ function aggregateCampusCounts(level) {
     }
   }
   
-  // Build output arrays and write to each range
+  // Propose a value for every campus row of each range, with the reason.
+  // Rows without a campus name (e.g. subtotals) are never written.
+  const rows = [];
   for (const rangeData of campusValuesByRange) {
-    const outputArray = [];
     for (let i = 0; i < rangeData.values.length; i++) {
-      const campusName = rangeData.values[i][0];
-      if (campusName && campusName.toString().trim() !== '') {
-        const count = campusLookup[campusName.toString().trim()] ? campusLookup[campusName.toString().trim()].totalCount : 0;
-        outputArray.push([count]);
+      const campusName = rangeData.values[i][0] ? rangeData.values[i][0].toString().trim() : '';
+      if (!campusName) continue;
+      
+      const entry = campusLookup[campusName];
+      const override = rangeData.overrides ? parseOverrideCell(rangeData.overrides[i][0]) : { type: 'none' };
+      const planned = {
+        row: rangeData.range.start + i,
+        level: entry.level,
+        campus: campusName,
+        current: rangeData.current[i][0],
+        proposed: entry.totalCount,
+        status: 'Counted',
+        sources: entry.sources,
+        reason: '',
+        grades: entry.grades
+      };
+      
+      if (override.type === 'lock') {
+        planned.proposed = planned.current;
+        planned.status = 'Locked';
+        planned.reason = override.note ? `Locked by the Override column: ${override.note}` : 'Locked by the Override column; current value kept';
+      } else if (override.type === 'value') {
+        planned.proposed = override.value;
+        planned.status = 'Override';
+        planned.reason = entry.foundInSource
+          ? `Override column value used instead of the counted ${entry.totalCount}`
+          : 'Override column value used';
+      } else if (entry.foundInSource) {
+        planned.reason = entry.sources.length === 1 ? 'Matched 1 spreadsheet' : `Sum of ${entry.sources.length} spreadsheets`;
       } else {
-        outputArray.push([0]);
+        // No source data: leave the cell blank rather than write a misleading 0
+        planned.proposed = '';
+        planned.status = 'No Data';
+        planned.reason = entry.inCampusMap
+          ? `No count for this campus in the ${entry.level} sheet; left blank`
+          : `Campus is not in the ${REGISTRY_SHEET_NAME}; left blank`;
       }
+      rows.push(planned);
     }
-    
-    // Write counts to column E for this specific row range
-    const numRows = rangeData.range.end - rangeData.range.start + 1;
-    const outputRange = aleCountsSheet.getRange(rangeData.range.start, 5, numRows, 1);
-    outputRange.setValues(outputArray);
   }
   
-  // Count number of campuses with non-zero values
+  // Summarise per campus; a campus listed on several rows is counted once
+  const rowsByCampus = new Map(rows.map(planned => [planned.campus, planned]));
   let campusesUpdated = 0;
-  for (const campusName in campusLookup) {
-    if (campusLookup[campusName].totalCount > 0) {
+  const zeroCampuses = [];
+  const noDataCampuses = [];
+  const overriddenCampuses = [];
+  const totals = [];
+  for (const planned of rowsByCampus.values()) {
+    const displayName = campusLookup[planned.campus].originalName;
+    if (planned.status === 'No Data') {
+      noDataCampuses.push(displayName);
+    } else if (planned.status !== 'Counted') {
+      overriddenCampuses.push(displayName);
+    } else if (planned.proposed > 0) {
       campusesUpdated++;
+    } else {
+      zeroCampuses.push(displayName);
+    }
+    
+    if (planned.status === 'No Data') {
+      totals.push({ level: planned.level, campus: displayName, row: planned.row, total: '', grades: null });
+    } else if (planned.proposed !== '' && !isNaN(Number(planned.proposed))) {
+      totals.push({ level: planned.level, campus: displayName, row: planned.row, total: Number(planned.proposed), grades: planned.grades });
     }
   }
   
+  return {
+    level: level,
+    totalColumn: layout.totalColumn,
+    rows: rows,
+    campusesUpdated: campusesUpdated,
+    missingCampuses: missingCampuses,
+    zeroCampuses: zeroCampuses,
+    noDataCampuses: noDataCampuses,
+    overriddenCampuses: overriddenCampuses,
+    unmappedIds: unmappedIds,
+    totals: totals
+  };
+}
+
+/**
+ * Aggregate campus counts from ES, MS, HS sheets into ALE Counts sheet
+ * without any UI, so it can run from the pipeline and from triggers.
+ * 
+ * The extracted counts are checked first with `validateCountData`; if
+ * it finds error-level issues nothing is written unless the override is
+ * turned on (see `isAggregationOverrideEnabled`) or `skipValidation` is
+ * set by a caller that already checked and confirmed.
+ * 
+ * The values come from `planCampusAggregation`. If the layout cannot be
+ * recognised nothing is written. The written totals are snapshotted in
+ * the Count History sheet (see `recordCountSnapshot`), the per-grade
+ * breakdown of each campus is written to the Grade Breakdown sheet (see
+ * `writeGradeBreakdown`), the sources of each value are recorded (see
+ * `writeProvenance`) and the ALE IAs column is recalculated (see
+ * `writeIaStaffing`).
+ * 
+ * @param {string} [level] - Optional level to aggregate ('ES', 'MS', 'HS'). If omitted, aggregates all levels.
+ * @param {{skipValidation: (boolean|undefined)}} [options] - Set
+ * `skipValidation` to aggregate without checking the counts again
+ * @returns {{level: (string|undefined), campusesUpdated: number,
+ * missingCampuses: string[], zeroCampuses: string[], noDataCampuses: string[],
+ * overriddenCampuses: string[], unmappedIds: string[],
+ * iaChanges: Array<{level: string, campus: string, row: number, total: number,
+ * previous: number, current: number}>,
+ * totals: Array<{level: string, campus: string, row: number, total: number,
+ * grades: ?Object<string, number>}>}}
+ * Summary of the aggregation, including the total written for each campus.
+ * `zeroCampuses` counted 0 students, `noDataCampuses` had no count and
+ * were left blank, `overriddenCampuses` were set by the Override column
+ * and `iaChanges` lists the campuses whose ALE IAs changed.
+ * @throws {Error} If the ALE Counts sheet is missing, its layout cannot
+ * be recognised or error-level data issues block aggregation
+ * @example
+ * const result = runCampusAggregation('ES');
+ * // {level: 'ES', campusesUpdated: 98, missingCampuses: ['Helotes'], ...}
+ */
+function runCampusAggregation(level, options) {
+  const settings = options || {};
+  
+  // Check the extracted counts; error-level issues block aggregation unless overridden
+  if (!settings.skipValidation) {
+    const validation = validateCountData(level ? [level] : Object.keys(CONFIGS));
+    if (validation.errors > 0 && !isAggregationOverrideEnabled()) {
+      throw new Error(`Aggregation was blocked by ${validation.errors} data errors listed in the "${ISSUES_SHEET_NAME}" sheet. ` +
+        `Fix them, or turn on "Allow Aggregation With Errors".`);
+    }
+  }
+  
+  const plan = planCampusAggregation(level);
+  writeAggregationRows(plan.rows, plan.totalColumn);
+  writeProvenance(plan.rows, plan.totalColumn);
+  const staffing = writeIaStaffing(plan.rows);
+  
+  // Keep a dated copy of the totals and refresh the change report
+  recordCountSnapshot(plan.totals);
+  writeGradeBreakdown(plan.totals);
+  
+  return {
+    level: level,
+    campusesUpdated: plan.campusesUpdated,
+    missingCampuses: plan.missingCampuses,
+    zeroCampuses: plan.zeroCampuses,
+    noDataCampuses: plan.noDataCampuses,
+    overriddenCampuses: plan.overriddenCampuses,
+    unmappedIds: plan.unmappedIds,
+    iaChanges: staffing.changes,
+    totals: plan.totals
+  };
+}
+
+/**
+ * Write proposed totals to the Total Enrolled column of the ALE Counts
+ * sheet, one `setValues` call per block of consecutive rows. Locked rows
+ * are skipped so their cells are never touched.
+ * 
+ * @param {Array<{row: number, proposed: (number|string), status: string}>} rows - Rows to write
+ * @param {number} totalColumn - Column of Total Enrolled
+ * @returns {void}
+ */
+function writeAggregationRows(rows, totalColumn) {
+  const aleCountsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ALE_COUNTS_SHEET_NAME);
+  const rowsToWrite = rows.filter(planned => planned.status !== 'Locked');
+  const proposedByRow = new Map(rowsToWrite.map(planned => [planned.row, planned.proposed]));
+  
+  for (const range of toRowRanges(rowsToWrite.map(planned => planned.row))) {
+    const outputArray = [];
+    for (let row = range.start; row <= range.end; row++) {
+      outputArray.push([proposedByRow.get(row)]);
+    }
+    aleCountsSheet.getRange(range.start, totalColumn, outputArray.length, 1).setValues(outputArray);
+  }
+}
+
+/**
+ * Aggregate campus counts from ES, MS, HS sheets into ALE Counts sheet
+ * and report the result in an alert. If the data quality checks find
+ * errors the user is asked whether to aggregate anyway.
+ * 
+ * @param {string} [level] - Optional level to aggregate ('ES', 'MS', 'HS'). If omitted, aggregates all levels.
+ * @returns {number} Number of campuses updated with non-zero counts
+ * @example
+ * const updatedCount = aggregateCampusCounts('ES'); // Only elementary
+ * const updatedCount = aggregateCampusCounts(); // All levels
+ */
+function aggregateCampusCounts(level) {
+  const ui = SpreadsheetApp.getUi();
+  let result;
+  try {
+    const validation = validateCountData(level ? [level] : Object.keys(CONFIGS));
+    if (validation.errors > 0 && !isAggregationOverrideEnabled()) {
+      const response = ui.alert(
+        'Data Issues Found',
+        `${validation.errors} errors and ${validation.warnings} warnings were written to the "${ISSUES_SHEET_NAME}" sheet. ` +
+        `Update the ALE Counts sheet anyway?`,
+        ui.ButtonSet.YES_NO
+      );
+      if (response !== ui.Button.YES) {
+        Logger.log(`Aggregation for ${level} cancelled because of ${validation.errors} data errors.`);
+        return 0;
+      }
+    }
+    result = runCampusAggregation(level, { skipValidation: true });
+  } catch (e) {
+    const errorMessage = `Error: ${e.message}`;
+    Logger.log(errorMessage);
+    ui.alert(errorMessage);
+    return 0;
+  }
+  
   // Display success message with count of updated campuses
-  let successMessage = `${campusesUpdated} ${level}'s Total Enrolled values in the ALE Counts sheet were updated.`;
+  let successMessage = `${result.campusesUpdated} ${level}'s Total Enrolled values in the ALE Counts sheet were updated.`;
   
-  // Add missing campuses information if any
-  if (missingCampuses.length > 0) {
-    successMessage += `\n\nCampuses with missing counts (${missingCampuses.length}):\n${missingCampuses.join(', ')}\n\nA value of 0 was added for those campuses.`;
+  // Add campuses without data and campuses set by the Override column, if any
+  if (result.noDataCampuses.length > 0) {
+    successMessage += `\n\nCampuses with no data (${result.noDataCampuses.length}):\n${result.noDataCampuses.join(', ')}\n\nTheir Total Enrolled cells were left blank.`;
+  }
+  if (result.overriddenCampuses.length > 0) {
+    successMessage += `\n\nCampuses set or kept by the Override column (${result.overriddenCampuses.length}):\n${result.overriddenCampuses.join(', ')}`;
+  }
+  if (result.iaChanges.length > 0) {
+    const changes = result.iaChanges.map(change => `${change.campus}: ${change.previous} → ${change.current} (${change.total} students)`);
+    successMessage += `\n\nCampuses whose ALE IAs changed (${changes.length}):\n${changes.join('\n')}`;
   }
   
   Logger.log(successMessage);
-  SpreadsheetApp.getUi().alert(successMessage);
+  ui.alert(successMessage);
   
   // Return number of campuses updated
-  return campusesUpdated;
+  return result.campusesUpdated;
 }
 
 /**
  * Install the custom menu into the active spreadsheet UI.
- * This creates a top-level "Update Counts" menu with sub-menus for
- * Elementary, Middle, and High school actions.
+ * This creates a top-level "Update Counts" menu with a sub-menu per
+ * level in `CONFIGS` and sub-menus for previews, reports, notifications
+ * and maintaining the Campus Registry.
  *
  * @returns {void}
  */
@@ -315,84 +653,98 @@ function onOpen() {
   const ui = SpreadsheetApp.getUi();
   const menu = ui.createMenu('Update Counts');
 
-  // Elementary School Sub-Menu
-  const esMenu = ui.createMenu('Elementary School');
-  esMenu.addItem('1. Get Spreadsheet IDs', 'getESSpreadsheetIds');
-  esMenu.addItem('2. Get Counts', 'extractESGradeLevelValue');
-  menu.addSubMenu(esMenu);
+  // One sub-menu per level, calling the handlers of defineLevelMenuHandlers
+  for (const level of Object.keys(CONFIGS)) {
+    const levelMenu = ui.createMenu(CONFIGS[level].name);
+    levelMenu.addItem('1. Get Spreadsheet IDs', `get${level}SpreadsheetIds`);
+    levelMenu.addItem('2. Get Counts', `extract${level}GradeLevelValue`);
+    menu.addSubMenu(levelMenu);
+  }
 
-  // Middle School Sub-Menu
-  const msMenu = ui.createMenu('Middle School');
-  msMenu.addItem('1. Get Spreadsheet IDs', 'getMSSpreadsheetIds');
-  msMenu.addItem('2. Get Counts', 'extractMSGradeLevelValue');
-  menu.addSubMenu(msMenu);
+  // Whole pipeline for every level
+  menu.addSeparator();
+  menu.addItem('Open Dashboard', 'showSidebar');
+  menu.addItem('Audit Spreadsheet Access', 'auditSpreadsheetAccess');
+  menu.addItem('Update Everything', 'updateEverything');
+  menu.addItem('Resume Get Counts', 'continueExtraction');
+  menu.addItem('Force Full Refresh', 'forceFullRefresh');
 
-  // High School Sub-Menu
-  const hsMenu = ui.createMenu('High School');
-  hsMenu.addItem('1. Get Spreadsheet IDs', 'getHSSpreadsheetIds');
-  hsMenu.addItem('2. Get Counts', 'extractHSGradeLevelValue');
-  menu.addSubMenu(hsMenu);
+  // Preview Sub-Menu
+  const previewMenu = ui.createMenu('Preview');
+  previewMenu.addItem('Preview Aggregation', 'previewAggregation');
+  previewMenu.addItem('Apply Preview', 'applyAggregationPreview');
+  menu.addSubMenu(previewMenu);
 
-  menu.addToUi();
-}
+  // Nightly Refresh Sub-Menu
+  const scheduleMenu = ui.createMenu('Nightly Refresh');
+  scheduleMenu.addItem('Install Nightly Refresh', 'installNightlyRefresh');
+  scheduleMenu.addItem('Remove Nightly Refresh', 'removeNightlyRefresh');
+  menu.addSubMenu(scheduleMenu);
 
-/**
- * WRAPPER FUNCTIONS (Called by the menu)
- * These short functions pass the correct configuration to
- * the main functions.
- */
+  // Reports Sub-Menu
+  const reportsMenu = ui.createMenu('Reports');
+  reportsMenu.addItem('Build Change Report', 'showChangeReport');
+  reportsMenu.addItem('Set Change Threshold', 'setChangeThreshold');
+  reportsMenu.addSeparator();
+  reportsMenu.addItem('Check Data Quality', 'showDataIssues');
+  reportsMenu.addItem('Allow Aggregation With Errors (On/Off)', 'toggleAggregationOverride');
+  reportsMenu.addSeparator();
+  reportsMenu.addItem('IA Staffing Rules', 'showIaStaffingRules');
+  reportsMenu.addSeparator();
+  reportsMenu.addItem('Export CSV and JSON', 'exportAleCountsFiles');
+  reportsMenu.addItem('Set Export Folder', 'setExportFolder');
+  menu.addSubMenu(reportsMenu);
 
-/**
- * Get spreadsheet IDs for Elementary School folder and write
- * them to the configured sheet.
- * @returns {void}
- */
-function getESSpreadsheetIds() { getSpreadsheetIdsFromFolder(CONFIGS.ES); }
+  // Notifications Sub-Menu
+  const notificationsMenu = ui.createMenu('Notifications');
+  notificationsMenu.addItem('Preview Notifications', 'previewNotifications');
+  notificationsMenu.addItem('Send Notifications Now', 'sendNotificationsNow');
+  notificationsMenu.addItem('Notification Settings', 'setNotificationSettings');
+  menu.addSubMenu(notificationsMenu);
 
-/**
- * Get spreadsheet IDs for Middle School folder and write
- * them to the configured sheet.
- * @returns {void}
- */
-function getMSSpreadsheetIds() { getSpreadsheetIdsFromFolder(CONFIGS.MS); }
-
-/**
- * Get spreadsheet IDs for High School folder and write them
- * to the configured sheet.
- * @returns {void}
- */
-function getHSSpreadsheetIds() { getSpreadsheetIdsFromFolder(CONFIGS.HS); }
+  // Campus Registry Sub-Menu
+  menu.addSeparator();
+  const registryMenu = ui.createMenu('Campus Registry');
+  registryMenu.addItem('Accept Proposed Matches', 'acceptCampusProposals');
+  registryMenu.addItem('Validate Registry', 'validateCampusRegistry');
+  registryMenu.addItem('Import From CampusMapping.js', 'importCampusMappingsToRegistry');
+  menu.addSubMenu(registryMenu);
 
-/**
- * Extract grade-level value for Elementary School spreadsheets
- * listed in the sheet.
- * @returns {void}
- */
-function extractESGradeLevelValue() { 
-  extractGradeLevelValue(CONFIGS.ES);
-  aggregateCampusCounts('ES');
+  menu.addToUi();
 }
 
 /**
- * Extract grade-level value for Middle School spreadsheets
- * listed in the sheet.
- * @returns {void}
+ * WRAPPER FUNCTIONS (Called by the menu)
+ * Menu items can only call global functions by name, so a pair of short
+ * handlers is defined for every level in `CONFIGS` when the script
+ * loads. They pass the level's configuration to the main functions.
  */
-function extractMSGradeLevelValue() { 
-  extractGradeLevelValue(CONFIGS.MS);
-  aggregateCampusCounts('MS');
-}
 
 /**
- * Extract grade-level value for High School spreadsheets
- * listed in the sheet.
+ * Define the menu handlers of every level on the global scope:
+ * `get<Level>SpreadsheetIds` scans the level's folder (see
+ * `getSpreadsheetIdsFromFolder`) and `extract<Level>GradeLevelValue`
+ * reads its counts and aggregates them (see `extractGradeLevelValue`).
+ *
+ * @param {Object} scope - Object receiving the handlers (the global object)
  * @returns {void}
+ * @example
+ * defineLevelMenuHandlers(globalThis);
+ * getESSpreadsheetIds(); // same as getSpreadsheetIdsFromFolder(CONFIGS.ES)
  */
-function extractHSGradeLevelValue() { 
-  extractGradeLevelValue(CONFIGS.HS);
-  aggregateCampusCounts('HS');
+function defineLevelMenuHandlers(scope) {
+  for (const level of Object.keys(CONFIGS)) {
+    scope[`get${level}SpreadsheetIds`] = () => getSpreadsheetIdsFromFolder(CONFIGS[level]);
+    scope[`extract${level}GradeLevelValue`] = () => {
+      if (extractGradeLevelValue(CONFIGS[level])) {
+        aggregateCampusCounts(level);
+      }
+    };
+  }
 }
 
+defineLevelMenuHandlers(globalThis);
+
 /**
  * MAIN GENERIC FUNCTIONS
  * These perform the core logic and are reusable for any level.
@@ -401,157 +753,534 @@ function extractHSGradeLevelValue() {
 /**
  * Generic: scan a Drive folder and write the IDs and file names
  * of Google Sheets to the configured sheet in the active spreadsheet.
+ * Files that are not in the Campus Registry get a proposed campus
+ * (see `proposeCampusMatches`). Results are reported in an alert.
  *
  * @param {{folderId: string, sheetName: string}} levelConfig
  * Configuration object for a level (from `CONFIGS`).
- * @throws {Error} If the configured sheet is not found or the
- * Drive folder cannot be accessed.
  * @returns {void}
  * @example
  * Called by the UI wrappers above, e.g. getESSpreadsheetIds()
  * getSpreadsheetIdsFromFolder(CONFIGS.ES);
  */
 function getSpreadsheetIdsFromFolder(levelConfig) {
+  let result;
+  try {
+    result = scanLevelFolder(levelConfig);
+  } catch (e) {
+    Logger.log(e.message);
+    SpreadsheetApp.getUi().alert(e.message);
+    return;
+  }
+
+  let message = `Script finished. IDs and file names have been logged in the "${levelConfig.sheetName}" sheet.`;
+  if (result.unmapped > 0) {
+    message += `\n\n${result.unmapped} files are not in the Campus Registry. ${result.proposed} of them have a proposed campus in the "Proposed Campus" column; review them and choose "Accept Proposed Matches".`;
+  }
+  const skipped = [];
+  if (result.excluded > 0) skipped.push(`${result.excluded} excluded by name`);
+  if (result.trashed > 0) skipped.push(`${result.trashed} in the trash`);
+  if (result.duplicates > 0) skipped.push(`${result.duplicates} already listed`);
+  if (skipped.length > 0) {
+    message += `\n\nSkipped files: ${skipped.join(', ')}.`;
+  }
+  SpreadsheetApp.getUi().alert(message);
+}
+
+/**
+ * Generic: scan a Drive folder and write the IDs, file names and folder
+ * paths of Google Sheets to the configured sheet, without any UI. The
+ * level's scan options decide whether subfolders and shortcuts are
+ * followed and which file names are listed (see `resolveScanOptions`).
+ *
+ * @param {{folderId: string, sheetName: string}} levelConfig
+ * Configuration object for a level (from `CONFIGS`).
+ * @returns {{fileCount: number, unmapped: number, proposed: number,
+ * trashed: number, excluded: number, duplicates: number}} Number of
+ * spreadsheets listed, how many are not in the Campus Registry, how many
+ * of those received a proposed campus, and how many files were skipped
+ * because they are trashed, excluded by name or already listed
+ * @throws {Error} If the configured sheet is not found or the
+ * Drive folder cannot be accessed.
+ */
+function scanLevelFolder(levelConfig) {
   const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = spreadsheet.getSheetByName(levelConfig.sheetName);
 
   if (!sheet) {
-    const errorMessage = `Error: A sheet named "${levelConfig.sheetName}" could not be found.`;
-    Logger.log(errorMessage);
-    SpreadsheetApp.getUi().alert(errorMessage);
-    return;
+    throw new Error(`Error: A sheet named "${levelConfig.sheetName}" could not be found.`);
   }
 
+  // Keep the counts already read so unchanged files need not be reopened
+  const previousReads = readPreviousReads(sheet);
+
   sheet.clearContents();
-  sheet.getRange('A1:D1').setValues([['Spreadsheet ID', 'Campus', 'Error Log', 'Count']]);
+  sheet.getRange(1, 1, 1, LEVEL_SHEET_HEADERS.length).setValues([LEVEL_SHEET_HEADERS]);
+
+  // The row list is rebuilt, so any saved extraction position is stale
+  clearExtractionCheckpoint(getLevelKey(levelConfig));
 
   const parentFolderId = levelConfig.folderId;
 
+  let scan;
   try {
-    const parentFolder = DriveApp.getFolderById(parentFolderId);
-    const files = parentFolder.getFiles();
-    const spreadsheetData = [];
-
-    while (files.hasNext()) {
-      const file = files.next();
-      if (file.getMimeType() === MimeType.GOOGLE_SHEETS) {
-        spreadsheetData.push([file.getId(), file.getName()]);
-      }
+    scan = scanDriveFolder(parentFolderId, resolveScanOptions(levelConfig));
+  } catch (e) {
+    throw new Error(`An unexpected error occurred. Please check the folder ID for ${levelConfig.sheetName}. Error: ${e.message}`);
+  }
+  const spreadsheetData = scan.files.map(file => [file.id, file.name, file.path, file.lastUpdated || '']);
+
+  // Sort by file name (column B) ascending before writing to the sheet
+  if (spreadsheetData.length > 0) {
+    spreadsheetData.sort(function(a, b) {
+      const nameA = (a[1] || '').toString().toLowerCase();
+      const nameB = (b[1] || '').toString().toLowerCase();
+      if (nameA < nameB) return -1;
+      if (nameA > nameB) return 1;
+      return 0;
+    });
+
+    const previous = spreadsheetData.map(row => previousReads.get(row[0]) || { count: '', lastRead: '', grades: null });
+    sheet.getRange(2, 1, spreadsheetData.length, 2).setValues(spreadsheetData.map(row => [row[0], row[1]]));
+    sheet.getRange(2, 4, spreadsheetData.length, 1).setValues(previous.map(read => [read.count]));
+    sheet.getRange(2, LEVEL_FOLDER_PATH_COLUMN, spreadsheetData.length, 3)
+      .setValues(spreadsheetData.map((row, i) => [row[2], row[3], previous[i].lastRead]));
+    sheet.getRange(2, LEVEL_GRADE_COLUMN, spreadsheetData.length, GRADE_LEVELS.length)
+      .setValues(previous.map(read => read.grades || GRADE_LEVELS.map(() => '')));
+  }
+
+  // Propose campuses for files that are not in the Campus Registry yet
+  const matches = proposeCampusMatches(levelConfig);
+
+  return {
+    fileCount: spreadsheetData.length,
+    unmapped: matches.unmapped,
+    proposed: matches.proposed,
+    trashed: scan.trashed,
+    excluded: scan.excluded,
+    duplicates: scan.duplicates
+  };
+}
+
+/**
+ * Read the counts of a level sheet that were read successfully, so a
+ * rescan can keep them next to the same spreadsheet IDs. Sheets written
+ * before the Last Read column existed give nothing.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Level sheet
+ * @returns {Map<string, {count: *, lastRead: *, grades: Array<*>}>}
+ * Count, last read time and grade row by spreadsheet ID
+ */
+function readPreviousReads(sheet) {
+  const reads = new Map();
+  const lastRow = sheet.getLastRow();
+  const width = LEVEL_SHEET_HEADERS.length;
+  if (lastRow < 2 || sheet.getLastColumn() < LEVEL_LAST_READ_COLUMN ||
+    sheet.getRange(1, LEVEL_LAST_READ_COLUMN).getValue() !== 'Last Read') {
+    return reads;
+  }
+
+  const values = sheet.getRange(2, 1, lastRow - 1, width).getValues();
+  for (const row of values) {
+    const [id, , errorMessage, count] = row;
+    const lastRead = row[LEVEL_LAST_READ_COLUMN - 1];
+    if (id && !errorMessage && count !== '' && lastRead !== '') {
+      reads.set(id.toString(), { count: count, lastRead: lastRead, grades: row.slice(LEVEL_GRADE_COLUMN - 1, LEVEL_GRADE_COLUMN - 1 + GRADE_LEVELS.length) });
     }
+  }
+  return reads;
+}
 
-    // Sort by file name (column B) ascending before writing to the sheet
-    if (spreadsheetData.length > 0) {
-      spreadsheetData.sort(function(a, b) {
-        const nameA = (a[1] || '').toString().toLowerCase();
-        const nameB = (b[1] || '').toString().toLowerCase();
-        if (nameA < nameB) return -1;
-        if (nameA > nameB) return 1;
-        return 0;
-      });
+/**
+ * Whether a level sheet row holds a count read after its spreadsheet was
+ * last modified, so the spreadsheet need not be opened again.
+ *
+ * @param {*} count - Count cell
+ * @param {*} errorMessage - Error Log cell
+ * @param {*} lastUpdated - Last Updated cell
+ * @param {*} lastRead - Last Read cell
+ * @returns {boolean} True when the stored count can be reused
+ */
+function isStoredCountCurrent(count, errorMessage, lastUpdated, lastRead) {
+  if (count === '' || errorMessage || lastUpdated === '' || lastRead === '') {
+    return false;
+  }
+  const updatedAt = new Date(lastUpdated).getTime();
+  const readAt = new Date(lastRead).getTime();
+  return !isNaN(updatedAt) && !isNaN(readAt) && updatedAt <= readAt;
+}
 
-      sheet.getRange(2, 1, spreadsheetData.length, 2).setValues(spreadsheetData);
+/**
+ * Update the Last Updated cells of level sheet rows whose count looks
+ * current. The folder scan records when each file was last modified, so
+ * a spreadsheet edited after the scan would otherwise be skipped as
+ * unchanged. Drive is asked for the modified time of each of these files
+ * only (see `getSpreadsheetModifiedTimes`).
+ *
+ * @param {Array<Array<*>>} rowValues - Level sheet rows from row 2,
+ * `LEVEL_SHEET_HEADERS` wide; Last Updated cells are updated in place
+ * @param {number[]} indexes - Indexes into `rowValues` of the rows to check
+ * @returns {Set<number>} Indexes that could not be checked because Drive
+ * did not return the file; they should be read again
+ */
+function refreshLastUpdatedTimes(rowValues, indexes) {
+  const unchecked = new Set();
+  const modified = getSpreadsheetModifiedTimes(indexes.map(index => rowValues[index][0].toString()));
+  for (const index of indexes) {
+    const modifiedAt = modified[rowValues[index][0].toString()];
+    if (modifiedAt) {
+      rowValues[index][LEVEL_LAST_UPDATED_COLUMN - 1] = modifiedAt;
+    } else {
+      unchecked.add(index);
     }
+  }
+  return unchecked;
+}
 
-    SpreadsheetApp.getUi().alert(`Script finished. IDs and file names have been logged in the "${levelConfig.sheetName}" sheet.`);
+/**
+ * Generic: extract counts for every spreadsheet listed in the
+ * configured sheet (see `extractLevelCounts`) within this execution's
+ * time budget. If the budget runs out, a continuation is scheduled and
+ * the user is told that aggregation will follow automatically; otherwise
+ * the time the reads took is shown in a toast.
+ *
+ * @param {{folderId: string, sheetName: string}} levelConfig
+ * Configuration object for a level (from `CONFIGS`).
+ * @returns {boolean} True when every row was processed and the caller
+ * can aggregate
+ */
+function extractGradeLevelValue(levelConfig) {
+  const level = getLevelKey(levelConfig);
+  let summary;
+  try {
+    summary = extractLevelCounts(levelConfig, getExecutionDeadline());
   } catch (e) {
-    const errorMessage = `An unexpected error occurred. Please check the folder ID for ${levelConfig.sheetName}. Error: ${e.message}`;
-    Logger.log(errorMessage);
-    SpreadsheetApp.getUi().alert(errorMessage);
+    Logger.log(e.message);
+    SpreadsheetApp.getUi().alert(e.message);
+    return false;
+  }
+
+  if (!summary.complete) {
+    scheduleExtractionContinuation({ mode: 'level', startedAt: Date.now(), entries: [{ level: level, scanned: true }] });
+    const message = `Get Counts for ${level} stopped at row ${summary.nextRow} to stay within the Apps Script time limit. ` +
+      `It will continue automatically in about a minute (or choose "Resume Get Counts"), and the ALE Counts sheet will be updated once every row is done.`;
+    Logger.log(message);
+    SpreadsheetApp.getUi().alert(message);
+    return false;
   }
+
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    `${summary.processed} spreadsheets read and ${summary.reused} unchanged ones skipped in ${formatDuration(summary.durationMs)}.`,
+    `Get Counts for ${level}`);
+  return true;
 }
 
 /**
- * Generic: open each spreadsheet ID listed in the configured sheet
- * and search for the header "Current Grade Level". When found,
- * the function writes the value appearing after the first empty
- * cell below that column into column D of the IDs sheet. Any
- * errors are written to column C.
+ * Generic: read the count of each spreadsheet ID listed in the configured
+ * sheet using the extraction rule for that level and campus (see
+ * `resolveExtractionRule`). By default this is the value appearing after
+ * the first empty cell below the "Current Grade Level" header. The value
+ * is written into column D of the IDs sheet, the time of the read into
+ * the Last Read column and the students per grade into the grade
+ * columns. Any errors are written to column C and their code to the
+ * Error Code column (see `EXTRACTION_ERROR_CODES`); a transient error
+ * keeps the stored count so the next run can read it again.
  *
  * Behavior notes:
+ * - Spreadsheets are read `SHEETS_READ_BATCH_SIZE` at a time, fetching
+ *   only the cells the rule needs (see `readSpreadsheetCounts`).
+ *   The results of each batch are written back with a single `setValues`
+ *   call and the checkpoint saved, so a stopped execution loses at most
+ *   the batch it was reading.
+ * - A spreadsheet whose Last Updated time is not after its Last Read
+ *   time is not read; its stored count and grades are kept (see
+ *   `clearLastReadTimes` to force every spreadsheet to be read). Last
+ *   Updated is first refreshed from Drive, so edits made after the folder
+ *   scan are picked up (see `refreshLastUpdatedTimes`).
  * - If the extracted value is the literal header text 'Current
- *   Grade Level', it is normalized to 0 before writing.
+ *   Grade Level' (or another header alias), it is normalized to 0
+ *   before writing.
  * - If no ID rows are found in the sheet (less than 2 rows),
  *   the function exits quietly.
+ * - Processing starts at the level's saved checkpoint. A batch is only
+ *   started with `SHEETS_BATCH_RESERVE_MS` left before `deadline`; once
+ *   less is left, the first unread row is saved as the checkpoint and the
+ *   function returns with `complete` set to false.
  *
  * @param {{folderId: string, sheetName: string}} levelConfig
  * Configuration object for a level (from `CONFIGS`).
- * @returns {void}
- * @throws {Error} If a target spreadsheet cannot be opened or
- * required cells are missing; individual errors are
- * captured per-row and written into the sheet rather than propagated.
+ * @param {number} [deadline] - Timestamp (ms) by which reading must
+ * end; omit to process every row
+ * @param {function(Object): void} [onProgress] - Called before each batch
+ * is read with `{level, done, total, file, count}`, where `done` counts
+ * the rows already handled, `file` is the name of the first file of the
+ * batch and `count` the number of files in it (see `showSidebar`)
+ * @returns {{complete: boolean, nextRow: number, processed: number,
+ * reused: number, durationMs: number, errors: Array<{row: number, id: string,
+ * name: string, message: string, code: string}>}} Whether every row was processed, the
+ * row to resume from, the number of spreadsheets read and of stored counts
+ * kept in this call, how long the call took, and every row of the sheet
+ * that has an error logged
+ * @throws {Error} If the configured sheet is not found. Errors for
+ * individual spreadsheets are captured per-row and written into the
+ * sheet rather than propagated.
  */
-function extractGradeLevelValue(levelConfig) {
+function extractLevelCounts(levelConfig, deadline, onProgress) {
+  const startedAt = Date.now();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const idsSheet = ss.getSheetByName(levelConfig.sheetName);
+  const level = getLevelKey(levelConfig);
+  const summary = { complete: true, nextRow: 0, processed: 0, reused: 0, durationMs: 0, errors: [] };
 
   if (!idsSheet) {
-    SpreadsheetApp.getUi().alert(`Error: A sheet named "${levelConfig.sheetName}" was not found.`);
-    return;
+    throw new Error(`Error: A sheet named "${levelConfig.sheetName}" was not found.`);
   }
 
   const lastRow = idsSheet.getLastRow();
   if (lastRow < 2) {
     Logger.log("No spreadsheet IDs found in column A to process.");
-    return;
+    return summary;
   }
-  const idValues = idsSheet.getRange(`A2:A${lastRow}`).getValues();
-
-  idValues.forEach((row, index) => {
-    const id = row[0];
-    const currentRowInSheet = index + 2;
-
-    if (!id) return;
-
-    try {
-      const targetSpreadsheet = SpreadsheetApp.openById(id);
-      let valueFound = false;
-      let extractedValue = null;
-      const sheets = targetSpreadsheet.getSheets();
-
-      for (const sheet of sheets) {
-        const data = sheet.getDataRange().getValues();
-        if (data.length < 3) continue;
-
-        const headerRow = data[1];
-        const columnIndex = headerRow.findIndex(header => header.toString().trim() === "Current Grade Level");
-
-        if (columnIndex !== -1) {
-          let foundEmptyCell = false;
-          for (let r = 2; r < data.length; r++) {
-            const cellValue = data[r][columnIndex];
-            if (!cellValue || cellValue.toString().trim() === '') {
-              foundEmptyCell = true;
-            } else if (foundEmptyCell) {
-              extractedValue = cellValue;
-              valueFound = true;
-              break;
-            }
-          }
-        }
-        if (valueFound) break;
-      }
+  const rowWidth = LEVEL_SHEET_HEADERS.length;
+  const rowValues = idsSheet.getRange(2, 1, lastRow - 1, rowWidth).getValues();
 
-      if (valueFound) {
-        // If the extracted value is the literal header text 'Current Grade Level', treat it as 0.
-        const normalized = extractedValue && extractedValue.toString().trim().toLowerCase();
-        const valueToWrite = (normalized === 'current grade level') ? 0 : extractedValue;
-        idsSheet.getRange(currentRowInSheet, 4).setValue(valueToWrite);
-        idsSheet.getRange(currentRowInSheet, 3).clearContent();
+  // Campus names let CAMPUS_EXTRACTION_RULES be keyed by campus
+  const campusById = {};
+  const campusMap = getCampusMap(level);
+  for (const [campusName, spreadsheetId] of campusMap) {
+    if (spreadsheetId) campusById[spreadsheetId] = campusName;
+  }
+  const startIndex = Math.max(getExtractionCheckpoint(level) - 2, 0);
+
+  // Rows to read, in order; rows with a current stored count are kept
+  // unless Drive shows the file was edited after the folder scan
+  const toRead = [];
+  const storedRows = [];
+  const isCurrent = row => isStoredCountCurrent(row[3], row[2], row[LEVEL_LAST_UPDATED_COLUMN - 1], row[LEVEL_LAST_READ_COLUMN - 1]);
+  for (let index = startIndex; index < rowValues.length; index++) {
+    if (!rowValues[index][0]) continue;
+    (isCurrent(rowValues[index]) ? storedRows : toRead).push(index);
+  }
+  const unchecked = refreshLastUpdatedTimes(rowValues, storedRows);
+  for (const index of storedRows) {
+    if (unchecked.has(index) || !isCurrent(rowValues[index])) {
+      toRead.push(index);
+    } else {
+      summary.reused++;
+    }
+  }
+  toRead.sort((a, b) => a - b);
+
+  // Rows up to the end of each batch are written, so stored rows whose
+  // Last Updated was refreshed are written along with the batch after them
+  let writeFrom = toRead.length > 0 ? toRead[0] : 0;
+  for (let b = 0; b < toRead.length; b += SHEETS_READ_BATCH_SIZE) {
+    const batch = toRead.slice(b, b + SHEETS_READ_BATCH_SIZE);
+
+    // Stop before a batch that might not finish within the time budget
+    if (deadline && Date.now() + SHEETS_BATCH_RESERVE_MS >= deadline) {
+      summary.complete = false;
+      summary.nextRow = batch[0] + 2;
+      saveExtractionCheckpoint(level, summary.nextRow);
+      break;
+    }
+    if (onProgress) {
+      onProgress({ level: level, done: batch[0], total: rowValues.length, file: rowValues[batch[0]][1].toString(), count: batch.length });
+    }
+    summary.processed += batch.length;
+
+    const results = readSpreadsheetCounts(batch.map(index => {
+      const id = rowValues[index][0].toString();
+      return { id: id, rule: resolveExtractionRule(levelConfig, id, campusById[id]) };
+    }), deadline);
+
+    const readAt = new Date();
+    batch.forEach((index, i) => {
+      const row = rowValues[index];
+      const result = results[i];
+      if (result.error) {
+        const code = result.code || classifyErrorMessage(result.error);
+        Logger.log(`Error processing row ${index + 2}, ID ${row[0]}: ${code} ${result.error}`);
+
+        // Write a user-friendly error message and its code to the sheet
+        row[2] = describeExtractionError(code, result.error);
+        row[LEVEL_LAST_READ_COLUMN - 1] = '';
+        row[LEVEL_ERROR_CODE_COLUMN - 1] = code;
+
+        // A temporary failure keeps the last count; anything else clears it
+        if (!isTransientErrorCode(code)) {
+          row[3] = '';
+          row.fill('', LEVEL_GRADE_COLUMN - 1, LEVEL_GRADE_COLUMN - 1 + GRADE_LEVELS.length);
+        }
       } else {
-        throw new Error("Could not find 'Current Grade Level' header or target value.");
-      }
-    } catch (e) {
-      // Log the error for debugging
-      Logger.log(`Error processing row ${currentRowInSheet}, ID ${id}: ${e.message}`);
-      
-      // Write a user-friendly error message to the sheet
-      let errorMessage = e.message;
-      if (errorMessage.includes("permission") || errorMessage.includes("access")) {
-        errorMessage = "No permission to access this spreadsheet";
+        row[2] = '';
+        row[3] = result.value;
+        row[LEVEL_LAST_READ_COLUMN - 1] = readAt;
+        row.splice(LEVEL_GRADE_COLUMN - 1, GRADE_LEVELS.length, ...gradeTallyToRow(result.grades));
+        row[LEVEL_ERROR_CODE_COLUMN - 1] = '';
       }
-      
-      idsSheet.getRange(currentRowInSheet, 3).setValue(errorMessage);
-      idsSheet.getRange(currentRowInSheet, 4).clearContent();
+    });
+
+    // Write the batch back at once, from the Error Log column on, then
+    // move the checkpoint past it
+    const writeTo = batch[batch.length - 1];
+    idsSheet.getRange(writeFrom + 2, 3, writeTo - writeFrom + 1, rowWidth - 2)
+      .setValues(rowValues.slice(writeFrom, writeTo + 1).map(row => row.slice(2)));
+    writeFrom = writeTo + 1;
+    if (b + SHEETS_READ_BATCH_SIZE < toRead.length) {
+      saveExtractionCheckpoint(level, toRead[b + SHEETS_READ_BATCH_SIZE] + 2);
+    }
+  }
+
+  if (summary.complete) {
+    clearExtractionCheckpoint(level);
+  }
+
+  // Report every logged error, including rows handled by earlier executions
+  summary.errors = readExtractionErrors(idsSheet);
+  summary.durationMs = Date.now() - startedAt;
+  Logger.log(`${level}: read ${summary.processed} spreadsheets and kept ${summary.reused} stored counts in ${formatDuration(summary.durationMs)}.`);
+
+  return summary;
+}
+
+/**
+ * Read the rows of a level sheet that have an Error Log entry.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Level sheet
+ * @returns {Array<{row: number, id: string, name: string, message: string,
+ * code: string}>} One entry per row with both an ID and an error; entries
+ * logged before the Error Code column existed are classified by message
+ */
+function readExtractionErrors(sheet) {
+  const errors = [];
+  if (sheet.getLastRow() < 2) {
+    return errors;
+  }
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+  const codes = sheet.getRange(2, LEVEL_ERROR_CODE_COLUMN, values.length, 1).getValues();
+  for (let i = 0; i < values.length; i++) {
+    const [id, name, errorMessage] = values[i];
+    if (id && errorMessage) {
+      const code = codes[i][0] ? codes[i][0].toString() : classifyErrorMessage(errorMessage);
+      errors.push({ row: i + 2, id: id.toString(), name: name.toString(), message: errorMessage.toString(), code: code });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Forget when the spreadsheets of the given levels were last read, so the
+ * next extraction opens every one of them again. Useful after changing
+ * an extraction rule, which does not change the teacher spreadsheets.
+ *
+ * @param {string[]} levels - Level keys whose Last Read column is cleared
+ * @returns {number} Number of rows cleared
+ */
+function clearLastReadTimes(levels) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let cleared = 0;
+  for (const level of levels) {
+    const sheet = spreadsheet.getSheetByName(CONFIGS[level].sheetName);
+    if (!sheet || sheet.getLastRow() < 2 || sheet.getLastColumn() < LEVEL_LAST_READ_COLUMN) {
+      continue;
+    }
+    const range = sheet.getRange(2, LEVEL_LAST_READ_COLUMN, sheet.getLastRow() - 1, 1);
+    cleared += range.getValues().filter(row => row[0] !== '').length;
+    range.clearContent();
+  }
+  return cleared;
+}
+
+/**
+ * Menu action: confirm and clear the Last Read times of every level so
+ * the next Get Counts, Update Everything or nightly refresh reopens
+ * every spreadsheet.
+ *
+ * @returns {void}
+ */
+function forceFullRefresh() {
+  const ui = SpreadsheetApp.getUi();
+  const question = 'Get Counts only reopens spreadsheets changed since their count was last read. ' +
+    'Make the next Get Counts, Update Everything or nightly refresh read every spreadsheet again?';
+  if (ui.alert('Force Full Refresh', question, ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+    return;
+  }
+
+  const cleared = clearLastReadTimes(Object.keys(CONFIGS));
+  const message = `${cleared} stored counts will be read again the next time counts are collected.`;
+  Logger.log(message);
+  ui.alert(message);
+}
+
+/**
+ * SHARED HELPERS
+ * Small utilities used by the main functions and the other modules.
+ */
+
+/**
+ * Return the sheet with the given name from the active spreadsheet,
+ * creating it with a header row if it does not exist yet.
+ *
+ * @param {string} sheetName - Name of the sheet
+ * @param {string[]} headers - Header values written to row 1 of a new
+ * sheet; pass an empty array for sheets that lay out their own rows
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The existing or new sheet
+ */
+function getOrCreateSheet(sheetName, headers) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(sheetName);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+    if (headers.length > 0) {
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      sheet.setFrozenRows(1);
     }
-  });
-}
\ No newline at end of file
+  }
+
+  return sheet;
+}
+
+/**
+ * Return the spreadsheet UI, or null when running without one (for
+ * example from a time-driven trigger, where `getUi()` throws).
+ *
+ * @returns {?GoogleAppsScript.Base.Ui} The UI, if available
+ */
+function getUiOrNull() {
+  try {
+    return SpreadsheetApp.getUi();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Format a duration for messages.
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "8.4 s" or "3 min 12 s"
+ */
+function formatDuration(ms) {
+  const seconds = ms / 1000;
+  if (seconds < 60) {
+    return `${seconds.toFixed(1)} s`;
+  }
+  return `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s`;
+}
+
+/**
+ * List the Google Sheets files of a Drive folder (see `scanDriveFolder`).
+ *
+ * @param {string} folderId - ID of the Drive folder to scan
+ * @param {Object} [options] - Options from `resolveScanOptions`; the
+ * defaults if omitted
+ * @returns {Array<{id: string, name: string, path: string}>} Spreadsheet
+ * IDs, file names and folder paths
+ * @throws {Error} If the folder cannot be accessed
+ */
+function listFolderSpreadsheets(folderId, options) {
+  return scanDriveFolder(folderId, options).files;
+}
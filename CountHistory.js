@@ -0,0 +1,247 @@
+/**
+ * Count history and change report.
+ *
+ * Every aggregation appends the per-campus totals it wrote to the "Count
+ * History" sheet, so earlier Total Enrolled values are kept after the ALE
+ * Counts sheet is overwritten. A campus left blank for lack of data is
+ * recorded with a blank total and is not compared until it has a count
+ * again. The "Count Changes" sheet compares each
+ * campus's latest snapshot with the one taken about a week earlier and
+ * flags changes larger than a configurable threshold.
+ *
+ * @module CountHistory
+ */
+
+/**
+ * Name of the append-only snapshot sheet.
+ * @type {string}
+ */
+const COUNT_HISTORY_SHEET_NAME = "Count History";
+
+/**
+ * Header row of the Count History sheet.
+ * @type {string[]}
+ */
+const COUNT_HISTORY_HEADERS = ['Snapshot Time', 'Level', 'Campus', 'Total Enrolled'];
+
+/**
+ * Name of the generated comparison sheet.
+ * @type {string}
+ */
+const CHANGE_REPORT_SHEET_NAME = "Count Changes";
+
+/**
+ * Script Property overriding `DEFAULT_CHANGE_THRESHOLD`.
+ * @type {string}
+ */
+const CHANGE_THRESHOLD_PROPERTY = "CHANGE_THRESHOLD";
+
+/**
+ * Campuses whose count changed by more than this many students are flagged.
+ * @type {number}
+ */
+const DEFAULT_CHANGE_THRESHOLD = 3;
+
+/**
+ * How many days back the "previous" snapshot is taken from.
+ * @type {number}
+ */
+const CHANGE_COMPARISON_DAYS = 7;
+
+/**
+ * Return the change threshold from Script Properties, or the default.
+ *
+ * @returns {number} Threshold in students
+ */
+function getChangeThreshold() {
+  const saved = PropertiesService.getScriptProperties().getProperty(CHANGE_THRESHOLD_PROPERTY);
+  const threshold = Number(saved);
+  return saved !== null && !isNaN(threshold) ? threshold : DEFAULT_CHANGE_THRESHOLD;
+}
+
+/**
+ * Append a snapshot of per-campus totals and rebuild the change report.
+ *
+ * @param {Array<{level: string, campus: string, total: (number|string)}>} totals
+ * Totals written by `runCampusAggregation`; "" for a campus without data
+ * @param {Date} [snapshotTime] - Time of the snapshot; defaults to now
+ * @returns {void}
+ */
+function recordCountSnapshot(totals, snapshotTime) {
+  if (totals.length === 0) {
+    return;
+  }
+
+  const time = snapshotTime || new Date();
+  const sheet = getOrCreateSheet(COUNT_HISTORY_SHEET_NAME, COUNT_HISTORY_HEADERS);
+  const rows = totals.map(entry => [time, entry.level, entry.campus, entry.total]);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, COUNT_HISTORY_HEADERS.length).setValues(rows);
+
+  buildChangeReport();
+}
+
+/**
+ * Return when each level was last aggregated, from the Count History sheet.
+ *
+ * @returns {Object<string, Date>} Time of the latest snapshot keyed by
+ * level; empty when there is no history
+ */
+function getLastSnapshotTimes() {
+  const historySheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(COUNT_HISTORY_SHEET_NAME);
+  const latest = {};
+  if (!historySheet || historySheet.getLastRow() < 2) {
+    return latest;
+  }
+
+  const values = historySheet.getRange(2, 1, historySheet.getLastRow() - 1, 2).getValues();
+  for (const [time, level] of values) {
+    if (!time || !level) continue;
+    const snapshotTime = new Date(time);
+    if (!latest[level] || snapshotTime > latest[level]) {
+      latest[level] = snapshotTime;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Rebuild the "Count Changes" sheet from the Count History sheet.
+ *
+ * For each campus the current value is its latest snapshot. The previous
+ * value is the latest snapshot taken at least `CHANGE_COMPARISON_DAYS`
+ * days earlier, or, while the history is shorter than that, the oldest
+ * snapshot from an earlier day. Level totals are listed first, then
+ * campuses, with changes above the threshold flagged.
+ *
+ * @returns {{flagged: Array<{level: string, campus: string, previous: number,
+ * current: number, delta: number}>}} Campuses whose change exceeded the threshold
+ */
+function buildChangeReport() {
+  const historySheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(COUNT_HISTORY_SHEET_NAME);
+  const report = { flagged: [] };
+  if (!historySheet || historySheet.getLastRow() < 2) {
+    return report;
+  }
+
+  const timeZone = Session.getScriptTimeZone();
+  const dayOf = time => Utilities.formatDate(new Date(time), timeZone, 'yyyy-MM-dd');
+  const values = historySheet.getRange(2, 1, historySheet.getLastRow() - 1, COUNT_HISTORY_HEADERS.length).getValues();
+
+  // Group snapshots by level and campus, oldest first
+  const snapshotsByCampus = new Map();
+  for (const [time, level, campus, total] of values) {
+    if (!time || !campus) continue;
+    const key = `${level}|${campus}`;
+    if (!snapshotsByCampus.has(key)) {
+      snapshotsByCampus.set(key, { level: level, campus: campus, snapshots: [] });
+    }
+    snapshotsByCampus.get(key).snapshots.push({ time: new Date(time).getTime(), total: total === '' ? null : Number(total) || 0 });
+  }
+
+  const threshold = getChangeThreshold();
+  const dayMs = 24 * 60 * 60 * 1000;
+  const campusRows = [];
+  const levelTotals = {};
+
+  for (const entry of snapshotsByCampus.values()) {
+    const snapshots = entry.snapshots.sort((a, b) => a.time - b.time);
+    const current = snapshots[snapshots.length - 1];
+    const cutoff = current.time - CHANGE_COMPARISON_DAYS * dayMs;
+
+    let previous = null;
+    for (const snapshot of snapshots) {
+      if (snapshot.time <= cutoff) previous = snapshot;
+    }
+    if (!previous) {
+      previous = snapshots.find(snapshot => dayOf(snapshot.time) !== dayOf(current.time)) || null;
+    }
+
+    // A blank snapshot (no data) has nothing to compare
+    const comparable = previous !== null && previous.total !== null && current.total !== null;
+    const delta = comparable ? current.total - previous.total : '';
+    const flagged = comparable && Math.abs(delta) > threshold;
+    if (flagged) {
+      report.flagged.push({ level: entry.level, campus: entry.campus, previous: previous.total, current: current.total, delta: delta });
+    }
+
+    campusRows.push([
+      entry.level,
+      entry.campus,
+      previous ? new Date(previous.time) : '',
+      previous && previous.total !== null ? previous.total : '',
+      new Date(current.time),
+      current.total !== null ? current.total : '',
+      delta,
+      flagged ? `Changed by more than ${threshold}` : ''
+    ]);
+
+    if (!levelTotals[entry.level]) {
+      levelTotals[entry.level] = { previous: 0, current: 0 };
+    }
+    levelTotals[entry.level].previous += previous ? previous.total || 0 : 0;
+    levelTotals[entry.level].current += current.total || 0;
+  }
+
+  campusRows.sort((a, b) => a[0].toString().localeCompare(b[0].toString()) || a[1].toString().localeCompare(b[1].toString()));
+
+  const rows = [['Level', 'Campus', 'Previous Snapshot', 'Previous', 'Current Snapshot', 'Current', 'Delta', 'Flag']];
+  for (const level of Object.keys(levelTotals).sort()) {
+    const totals = levelTotals[level];
+    rows.push([level, '(All campuses)', '', totals.previous, '', totals.current, totals.current - totals.previous, '']);
+  }
+  rows.push(...campusRows);
+
+  const reportSheet = getOrCreateSheet(CHANGE_REPORT_SHEET_NAME, []);
+  reportSheet.clearContents();
+  reportSheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  reportSheet.setFrozenRows(1);
+
+  return report;
+}
+
+/**
+ * Menu action: rebuild the change report and summarise flagged campuses.
+ *
+ * @returns {void}
+ */
+function showChangeReport() {
+  const report = buildChangeReport();
+  const threshold = getChangeThreshold();
+
+  let message = `The "${CHANGE_REPORT_SHEET_NAME}" sheet was rebuilt. No campus changed by more than ${threshold} students.`;
+  if (report.flagged.length > 0) {
+    const lines = report.flagged.map(change =>
+      `${change.level} ${change.campus}: ${change.previous} → ${change.current} (${change.delta > 0 ? '+' : ''}${change.delta})`);
+    message = `The "${CHANGE_REPORT_SHEET_NAME}" sheet was rebuilt. ${report.flagged.length} campuses changed by more than ${threshold} students:\n\n${lines.join('\n')}`;
+  }
+
+  Logger.log(message);
+  SpreadsheetApp.getUi().alert(message);
+}
+
+/**
+ * Menu action: ask for a new change threshold and store it.
+ *
+ * @returns {void}
+ */
+function setChangeThreshold() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    'Change Threshold',
+    `Flag campuses whose count changes by more than how many students? (currently ${getChangeThreshold()})`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const threshold = Number(response.getResponseText().trim());
+  if (response.getResponseText().trim() === '' || isNaN(threshold) || threshold < 0) {
+    ui.alert('Error: Enter a number of students, for example 3.');
+    return;
+  }
+
+  PropertiesService.getScriptProperties().setProperty(CHANGE_THRESHOLD_PROPERTY, String(threshold));
+  buildChangeReport();
+  ui.alert(`Change threshold set to ${threshold}. The "${CHANGE_REPORT_SHEET_NAME}" sheet was rebuilt.`);
+}
@@ -0,0 +1,244 @@
+/**
+ * Data quality checks between extraction and aggregation.
+ *
+ * `readSourceSheetData` turns empty or non-numeric counts into 0, so bad
+ * values would otherwise reach the ALE Counts sheet unnoticed. Before
+ * aggregating, the ES, MS and HS sheets are checked for counts that are
+ * not whole numbers, negative counts, campuses above their capacity in
+ * the Campus Registry, spreadsheet IDs listed more than once and rows
+ * with an Error Log entry. Every finding is written to the "Issues"
+ * sheet with a severity; error-level findings block aggregation unless
+ * the override is turned on.
+ *
+ * @module DataQuality
+ */
+
+/**
+ * Name of the sheet listing data quality findings.
+ * @type {string}
+ */
+const ISSUES_SHEET_NAME = "Issues";
+
+/**
+ * Header row of the Issues sheet.
+ * @type {string[]}
+ */
+const ISSUES_HEADERS = ['Checked At', 'Level', 'Severity', 'Check', 'Row', 'Spreadsheet ID', 'Campus', 'Detail'];
+
+/**
+ * Script Property that lets aggregation run despite error-level issues.
+ * @type {string}
+ */
+const AGGREGATION_OVERRIDE_PROPERTY = "AGGREGATE_DESPITE_ERRORS";
+
+/**
+ * Whether aggregation may run despite error-level issues.
+ *
+ * @returns {boolean} True when the override is turned on
+ */
+function isAggregationOverrideEnabled() {
+  return PropertiesService.getScriptProperties().getProperty(AGGREGATION_OVERRIDE_PROPERTY) === 'true';
+}
+
+/**
+ * Check the extracted counts of the given levels and rewrite their rows
+ * of the Issues sheet. Rows of other levels are kept.
+ *
+ * Duplicate spreadsheet IDs are looked for across every level sheet, but
+ * only reported for the levels being checked.
+ *
+ * @param {string[]} levels - Level keys to check
+ * @returns {{issues: Array<{level: string, severity: string, check: string,
+ * row: number, id: string, campus: string, detail: string}>, errors: number,
+ * warnings: number}} Findings and the number per severity
+ */
+function validateCountData(levels) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const issues = [];
+  const addIssue = (level, severity, check, row, id, campus, detail) =>
+    issues.push({ level: level, severity: severity, check: check, row: row, id: id, campus: campus, detail: detail });
+
+  // Read every level sheet so duplicates between levels are found
+  const rowsByLevel = {};
+  const listings = new Map();
+  for (const level of Object.keys(CONFIGS)) {
+    const sheet = spreadsheet.getSheetByName(CONFIGS[level].sheetName);
+    rowsByLevel[level] = [];
+    if (!sheet || sheet.getLastRow() < 2) continue;
+
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
+    const codes = sheet.getRange(2, LEVEL_ERROR_CODE_COLUMN, values.length, 1).getValues();
+    for (let i = 0; i < values.length; i++) {
+      const [id, name, errorLog, count] = values[i];
+      if (!id || id.toString().trim() === '') continue;
+
+      const entry = { level: level, row: i + 2, id: id.toString().trim(), name: name, errorLog: errorLog, count: count,
+        errorCode: codes[i][0] ? codes[i][0].toString() : classifyErrorMessage(errorLog) };
+      rowsByLevel[level].push(entry);
+      if (!listings.has(entry.id)) listings.set(entry.id, []);
+      listings.get(entry.id).push(entry);
+    }
+  }
+
+  const capacities = readCampusCapacities();
+
+  for (const level of levels) {
+    const campusById = new Map();
+    for (const [campusName, spreadsheetId] of getCampusMap(level)) {
+      if (spreadsheetId) campusById.set(spreadsheetId, campusName);
+    }
+    const campusTotals = new Map();
+
+    for (const entry of rowsByLevel[level] || []) {
+      const campus = campusById.get(entry.id) || '';
+
+      const others = listings.get(entry.id).filter(other => other !== entry);
+      if (others.length > 0) {
+        addIssue(level, 'Error', 'Duplicate spreadsheet ID', entry.row, entry.id, campus,
+          `Also listed in ${others.map(other => `${other.level} row ${other.row}`).join(', ')}; it would be counted more than once.`);
+      }
+
+      if (entry.errorLog && entry.errorLog.toString().trim() !== '') {
+        const kept = isTransientErrorCode(entry.errorCode) && entry.count !== '' && entry.count !== null;
+        addIssue(level, 'Warning', 'Error Log entry', entry.row, entry.id, campus, kept
+          ? `${entry.errorLog} (${entry.errorCode}). Its last count, ${entry.count}, is used until it is read again.`
+          : `${entry.errorLog} (${entry.errorCode}). The spreadsheet's count is missing and will be treated as 0.`);
+        continue;
+      }
+
+      if (entry.count === '' || entry.count === null) {
+        addIssue(level, 'Warning', 'Missing count', entry.row, entry.id, campus,
+          'No count was extracted; it will be treated as 0.');
+        continue;
+      }
+
+      const count = Number(entry.count);
+      if (isNaN(count)) {
+        addIssue(level, 'Error', 'Not a number', entry.row, entry.id, campus,
+          `"${entry.count}" is not a number; it would be counted as 0.`);
+        continue;
+      }
+      if (!Number.isInteger(count)) {
+        addIssue(level, 'Error', 'Not a whole number', entry.row, entry.id, campus,
+          `${count} is not a whole number of students.`);
+      }
+      if (count < 0) {
+        addIssue(level, 'Error', 'Negative count', entry.row, entry.id, campus,
+          `${count} is negative.`);
+      }
+
+      if (campus) {
+        campusTotals.set(campus, (campusTotals.get(campus) || 0) + count);
+      }
+    }
+
+    for (const [campus, total] of campusTotals) {
+      const capacity = capacities.get(`${level}|${campus}`);
+      if (capacity !== undefined && total > capacity) {
+        addIssue(level, 'Error', 'Over capacity', '', '', campus,
+          `Total of ${total} students is above the capacity of ${capacity} in the ${REGISTRY_SHEET_NAME}.`);
+      }
+    }
+  }
+
+  writeIssues(levels, issues);
+
+  return {
+    issues: issues,
+    errors: issues.filter(issue => issue.severity === 'Error').length,
+    warnings: issues.filter(issue => issue.severity === 'Warning').length
+  };
+}
+
+/**
+ * Read campus capacities from the Capacity column of the Campus Registry.
+ * A campus listed on several rows uses the largest capacity.
+ *
+ * @returns {Map<string, number>} Capacity keyed by "level|campus"
+ */
+function readCampusCapacities() {
+  const capacities = new Map();
+  for (const entry of readRegistryEntries() || []) {
+    if (!entry.active || entry.capacity === null) continue;
+    const key = `${entry.level}|${entry.campus}`;
+    capacities.set(key, Math.max(capacities.get(key) || 0, entry.capacity));
+  }
+  return capacities;
+}
+
+/**
+ * Replace the Issues sheet rows of the given levels.
+ *
+ * @param {string[]} levels - Levels that were checked
+ * @param {Array<Object>} issues - Findings from `validateCountData`
+ * @returns {void}
+ */
+function writeIssues(levels, issues) {
+  const sheet = getOrCreateSheet(ISSUES_SHEET_NAME, ISSUES_HEADERS);
+  const checkedAt = new Date();
+
+  let rows = [];
+  if (sheet.getLastRow() > 1) {
+    rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, ISSUES_HEADERS.length).getValues()
+      .filter(row => row[1] && !levels.includes(row[1].toString()));
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, ISSUES_HEADERS.length).clearContent();
+  }
+
+  for (const issue of issues) {
+    rows.push([checkedAt, issue.level, issue.severity, issue.check, issue.row, issue.id, issue.campus, issue.detail]);
+  }
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, ISSUES_HEADERS.length).setValues(rows);
+  }
+}
+
+/**
+ * Menu action: check every level and summarise the findings.
+ *
+ * @returns {void}
+ */
+function showDataIssues() {
+  const result = validateCountData(Object.keys(CONFIGS));
+
+  let message = `No data issues found. The "${ISSUES_SHEET_NAME}" sheet was cleared.`;
+  if (result.issues.length > 0) {
+    message = `${result.errors} errors and ${result.warnings} warnings were written to the "${ISSUES_SHEET_NAME}" sheet.`;
+    if (result.errors > 0) {
+      message += isAggregationOverrideEnabled()
+        ? '\n\n"Allow Aggregation With Errors" is on, so aggregation will still run.'
+        : '\n\nAggregation is blocked until the errors are fixed or "Allow Aggregation With Errors" is turned on.';
+    }
+  }
+
+  Logger.log(message);
+  SpreadsheetApp.getUi().alert(message);
+}
+
+/**
+ * Menu action: turn the aggregation override on or off.
+ *
+ * @returns {void}
+ */
+function toggleAggregationOverride() {
+  const ui = SpreadsheetApp.getUi();
+  const properties = PropertiesService.getScriptProperties();
+
+  if (isAggregationOverrideEnabled()) {
+    properties.deleteProperty(AGGREGATION_OVERRIDE_PROPERTY);
+    ui.alert('Aggregation is blocked again while there are error-level data issues.');
+    return;
+  }
+
+  const response = ui.alert(
+    'Allow Aggregation With Errors',
+    `Aggregation, including Update Everything and the nightly refresh, will write counts even when the "${ISSUES_SHEET_NAME}" sheet lists errors. Continue?`,
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) {
+    return;
+  }
+
+  properties.setProperty(AGGREGATION_OVERRIDE_PROPERTY, 'true');
+  ui.alert('Aggregation will run despite error-level data issues until this is turned off again.');
+}
@@ -0,0 +1,211 @@
+/**
+ * CSV and JSON export of the aggregated counts.
+ *
+ * District reporting tools need a file rather than cells, so the export
+ * writes the result of the aggregation, one row per campus, as a CSV file
+ * and a JSON file into a configured Drive folder. The totals are the
+ * Total Enrolled values of the ALE Counts sheet as last written (see
+ * `readAleCountsRows`), including hand edits and locked rows, and the
+ * source spreadsheets are those the Provenance sheet recorded for them.
+ * Every export creates new files named after its timestamp; earlier
+ * exports are never overwritten.
+ *
+ * The columns of `EXPORT_FIELDS` are a stable schema: fields may be added
+ * at the end in a later `EXPORT_SCHEMA_VERSION`, but never renamed,
+ * reordered or removed.
+ *
+ * @module Export
+ */
+
+/**
+ * Script Property holding the ID of the Drive folder exports are written to.
+ * @type {string}
+ */
+const EXPORT_FOLDER_PROPERTY = "EXPORT_FOLDER_ID";
+
+/**
+ * Version of the export schema, included in the JSON file.
+ * @type {number}
+ */
+const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Export columns, in order. Used as the CSV header row and as the keys of
+ * each JSON record.
+ * @type {string[]}
+ */
+const EXPORT_FIELDS = ['level', 'campus', 'teacher', 'tier', 'cluster', 'total_enrolled', 'source_spreadsheet_ids', 'exported_at'];
+
+/**
+ * Compute the export records for every level.
+ *
+ * Teacher, Tier and Cluster are read from the matching optional columns
+ * of the ALE Counts sheet; when there is no Teacher column the teachers
+ * of the source spreadsheets in the Campus Registry are used. A blank
+ * Total Enrolled cell gives a null `total_enrolled`, and a campus the
+ * Provenance sheet has no rows for has no source spreadsheet IDs.
+ *
+ * @param {Date} [exportedAt] - Time stamped on every record; defaults to now
+ * @returns {Array<Object>} One record per campus row, keyed by `EXPORT_FIELDS`;
+ * `source_spreadsheet_ids` is an array
+ * @throws {Error} If the ALE Counts sheet is missing or its layout cannot
+ * be recognised
+ */
+function buildExportRecords(exportedAt) {
+  const timestamp = (exportedAt || new Date()).toISOString();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ALE_COUNTS_SHEET_NAME);
+  if (!sheet) {
+    throw new Error("ALE Counts sheet not found");
+  }
+  const layout = detectAleCountsLayout(sheet);
+  const sources = readProvenanceSources();
+
+  const teacherById = {};
+  for (const entry of readRegistryEntries() || []) {
+    if (entry.spreadsheetId && entry.teacher) teacherById[entry.spreadsheetId] = entry.teacher;
+  }
+
+  return readAleCountsRows(sheet).map(entry => {
+    const provenance = sources.get(`${entry.level}|${entry.campus}`);
+    const ids = provenance ? provenance.ids : [];
+    const registryTeachers = ids.map(id => teacherById[id]).filter(Boolean);
+    const total = entry.total === '' ? NaN : Number(entry.total);
+    return {
+      level: entry.level,
+      campus: entry.campus,
+      teacher: layout.teacherColumn ? entry.teacher : Array.from(new Set(registryTeachers)).join('; '),
+      tier: entry.tier,
+      cluster: entry.cluster,
+      total_enrolled: isNaN(total) ? null : total,
+      source_spreadsheet_ids: ids,
+      exported_at: timestamp
+    };
+  });
+}
+
+/**
+ * Format export records as CSV with a header row. Source spreadsheet IDs
+ * are joined with semicolons and a missing total is an empty field.
+ *
+ * @param {Array<Object>} records - Records from `buildExportRecords`
+ * @returns {string} CSV text with CRLF line endings
+ */
+function formatExportCsv(records) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : value.toString();
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [EXPORT_FIELDS.join(',')];
+  for (const record of records) {
+    lines.push(EXPORT_FIELDS.map(field =>
+      escape(Array.isArray(record[field]) ? record[field].join(';') : record[field])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Format export records as JSON, wrapped with the schema version and the
+ * export time.
+ *
+ * @param {Array<Object>} records - Records from `buildExportRecords`
+ * @param {Date} exportedAt - Time of the export
+ * @returns {string} JSON text
+ */
+function formatExportJson(records, exportedAt) {
+  return JSON.stringify({
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    fields: EXPORT_FIELDS,
+    records: records
+  }, null, 2);
+}
+
+/**
+ * Write a CSV and a JSON export of the aggregated counts to the export
+ * folder, without UI.
+ *
+ * @returns {{records: number, csvFile: {id: string, name: string},
+ * jsonFile: {id: string, name: string}}} Number of records and the
+ * created files
+ * @throws {Error} If no export folder is set, the folder cannot be
+ * opened, or the ALE Counts sheet cannot be read
+ * @example
+ * const result = exportAleCounts();
+ * // result.csvFile.name => "ALE Counts 2025-01-07 020512.csv"
+ */
+function exportAleCounts() {
+  const folderId = PropertiesService.getScriptProperties().getProperty(EXPORT_FOLDER_PROPERTY);
+  if (!folderId) {
+    throw new Error('No export folder is set. Choose "Set Export Folder" first.');
+  }
+
+  let folder;
+  try {
+    folder = DriveApp.getFolderById(folderId);
+  } catch (e) {
+    throw new Error(`The export folder could not be opened. Check the folder ID and your access to it. Error: ${e.message}`);
+  }
+
+  const exportedAt = new Date();
+  const records = buildExportRecords(exportedAt);
+  const baseName = `${ALE_COUNTS_SHEET_NAME} ${Utilities.formatDate(exportedAt, Session.getScriptTimeZone(), 'yyyy-MM-dd HHmmss')}`;
+  const csvFile = folder.createFile(`${baseName}.csv`, formatExportCsv(records), MimeType.CSV);
+  const jsonFile = folder.createFile(`${baseName}.json`, formatExportJson(records, exportedAt), 'application/json');
+
+  return {
+    records: records.length,
+    csvFile: { id: csvFile.getId(), name: csvFile.getName() },
+    jsonFile: { id: jsonFile.getId(), name: jsonFile.getName() }
+  };
+}
+
+/**
+ * Menu action: export the aggregated counts and report the file names.
+ *
+ * @returns {void}
+ */
+function exportAleCountsFiles() {
+  let message;
+  try {
+    const result = exportAleCounts();
+    message = `${result.records} campus rows were exported to "${result.csvFile.name}" and "${result.jsonFile.name}".`;
+  } catch (e) {
+    message = `Error: ${e.message}`;
+  }
+  Logger.log(message);
+  SpreadsheetApp.getUi().alert(message);
+}
+
+/**
+ * Menu action: ask for the Drive folder exports are written to.
+ *
+ * @returns {void}
+ */
+function setExportFolder() {
+  const ui = SpreadsheetApp.getUi();
+  const properties = PropertiesService.getScriptProperties();
+  const response = ui.prompt(
+    'Set Export Folder',
+    `Paste the ID or link of the Drive folder for exports (currently ${properties.getProperty(EXPORT_FOLDER_PROPERTY) || 'none'}).`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  // Accept a folder link as well as a bare ID
+  const text = response.getResponseText().trim();
+  const match = text.match(/folders\/([\w-]+)/);
+  const folderId = match ? match[1] : text;
+
+  let folderName;
+  try {
+    folderName = DriveApp.getFolderById(folderId).getName();
+  } catch (e) {
+    ui.alert(`Error: The folder "${folderId}" could not be opened. ${e.message}`);
+    return;
+  }
+
+  properties.setProperty(EXPORT_FOLDER_PROPERTY, folderId);
+  ui.alert(`Exports will be written to the "${folderName}" folder.`);
+}
@@ -0,0 +1,89 @@
+/**
+ * Error codes for spreadsheets whose count could not be read.
+ *
+ * Every failed read is given a stable code, written to the Error Code
+ * column of the level sheets next to the Error Log message, so follow-up
+ * can be filtered and grouped by cause. Transient codes (rate limits and
+ * temporary Google service errors) are retried after a pause while
+ * reading (see `callSheetsApi`); if they persist the spreadsheet
+ * keeps its last count and is read again on the next run instead of
+ * being treated like a deleted file.
+ *
+ * @module ExtractionErrors
+ */
+
+/**
+ * Known error codes. `message` replaces the API's wording in the Error
+ * Log when set; otherwise the message describing the problem is kept.
+ * @type {Object<string, {message: string, transient: boolean}>}
+ */
+const EXTRACTION_ERROR_CODES = {
+  NOT_FOUND: { message: 'Spreadsheet not found; it may have been deleted, trashed or listed with a wrong ID', transient: false },
+  NO_ACCESS: { message: 'No permission to access this spreadsheet', transient: false },
+  TAB_MISSING: { message: '', transient: false },
+  NAMED_RANGE_MISSING: { message: '', transient: false },
+  HEADER_MISSING: { message: '', transient: false },
+  VALUE_MISSING: { message: '', transient: false },
+  RATE_LIMITED: { message: 'Google Sheets read quota exceeded', transient: true },
+  SERVICE_TRANSIENT: { message: 'Temporary Google service error', transient: true },
+  UNKNOWN: { message: '', transient: false },
+};
+
+/**
+ * Classify an error by its message: a failed Sheets or Drive API call,
+ * or an Error Log entry written before the Error Code column existed.
+ *
+ * @param {string} message - Error message
+ * @returns {string} Key of `EXTRACTION_ERROR_CODES`
+ * @example
+ * classifyErrorMessage("Could not find a tab named 'Roster'."); // "TAB_MISSING"
+ * classifyErrorMessage('Service Spreadsheets failed while accessing document with id 1a2b.'); // "SERVICE_TRANSIENT"
+ */
+function classifyErrorMessage(message) {
+  const text = (message || '').toString();
+  // Transient causes first: "Service Spreadsheets failed while accessing
+  // document with id ..." must not be read as a permission error
+  const patterns = [
+    ['RATE_LIMITED', /quota|rate limit|too many times/i],
+    ['SERVICE_TRANSIENT', /service error|failed while accessing|unavailable|timed out|timeout|internal error|backend error|try again/i],
+    ['NO_ACCESS', /no permission|not have permission|do not have access|permission denied|access denied/i],
+    ['NOT_FOUND', /not found|does not exist/i],
+    ['TAB_MISSING', /tab named/i],
+    ['NAMED_RANGE_MISSING', /named range/i],
+    ['VALUE_MISSING', /no value/i],
+    ['HEADER_MISSING', /header/i],
+  ];
+  const match = patterns.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'UNKNOWN';
+}
+
+/**
+ * Whether an error code is worth retrying.
+ *
+ * @param {string} code - Key of `EXTRACTION_ERROR_CODES`
+ * @returns {boolean} True for rate limits and temporary service errors
+ */
+function isTransientErrorCode(code) {
+  return Boolean(EXTRACTION_ERROR_CODES[code] && EXTRACTION_ERROR_CODES[code].transient);
+}
+
+/**
+ * Build the Error Log message for a failed read.
+ *
+ * @param {string} code - Key of `EXTRACTION_ERROR_CODES`
+ * @param {string} message - Message describing the failure
+ * @returns {string} Message for the Error Log column
+ * @example
+ * describeExtractionError('SERVICE_TRANSIENT', 'The service is currently unavailable.');
+ * // "Temporary Google service error (The service is currently unavailable); the last count is kept until it is read again"
+ */
+function describeExtractionError(code, message) {
+  const known = EXTRACTION_ERROR_CODES[code];
+  if (!known || !known.message) {
+    return message;
+  }
+  if (known.transient) {
+    return `${known.message} (${message.replace(/\.$/, '')}); the last count is kept until it is read again`;
+  }
+  return known.message;
+}
@@ -0,0 +1,133 @@
+/**
+ * Extraction rules for reading counts out of teacher spreadsheets.
+ *
+ * A rule says where a teacher spreadsheet keeps its count: which header
+ * text to look for (with aliases), which row holds the headers, which tab
+ * to search, or a named range to read directly, and how to turn the
+ * column into a number. `DEFAULT_EXTRACTION_RULE` reproduces the original
+ * "Current Grade Level" behaviour. Levels override it through
+ * `CONFIGS[level].extractionRule` and individual campuses or spreadsheets
+ * through `CAMPUS_EXTRACTION_RULES`.
+ *
+ * @module ExtractionRules
+ */
+
+/**
+ * Default rule used for every spreadsheet.
+ *
+ * Modes:
+ * - "valueAfterBlank": the first non-empty value below the first empty
+ *   cell under the header (the template's total cell). A value equal to
+ *   one of the header aliases counts as 0.
+ * - "countNonEmpty": the number of non-empty cells directly under the
+ *   header, up to the first empty cell (one per student).
+ * - "namedRange": the value of the named range `namedRange`.
+ *
+ * `sheetName` limits the search to one tab; when empty every tab is
+ * searched in order and the first match wins.
+ *
+ * With `tallyGrades` the cells directly under the header, up to the first
+ * empty cell, are read as one grade per student and tallied by grade (see
+ * `tallyGradeLevels`). Named range rules have no breakdown.
+ *
+ * @type {{mode: string, headerAliases: string[], headerRow: number,
+ * sheetName: string, namedRange: string, tallyGrades: boolean}}
+ */
+const DEFAULT_EXTRACTION_RULE = {
+  mode: 'valueAfterBlank',
+  headerAliases: ['Current Grade Level'],
+  headerRow: 2,
+  sheetName: '',
+  namedRange: '',
+  tallyGrades: true,
+};
+
+/**
+ * Rule overrides for individual campuses, keyed by the campus name used
+ * in the Campus Registry or by spreadsheet ID. Only the properties that
+ * differ from the level rule need to be given.
+ * @type {Object<string, Object>}
+ * @example
+ * const CAMPUS_EXTRACTION_RULES = {
+ *   "Clark #5 (3 Periods)": { sheetName: "Roster", headerAliases: ["Grade"] },
+ *   "1hmQX6lGSpMnPyJclJaEDn4ZexDDn7dYWTzZD7mBSDw0": { mode: "namedRange", namedRange: "StudentTotal" },
+ * };
+ */
+const CAMPUS_EXTRACTION_RULES = {};
+
+/**
+ * Build the rule that applies to one spreadsheet: the default rule, then
+ * the level's `extractionRule`, then any campus or spreadsheet override.
+ *
+ * @param {{extractionRule: (Object|undefined)}} levelConfig
+ * Configuration object for a level (from `CONFIGS`).
+ * @param {string} spreadsheetId - Teacher spreadsheet ID
+ * @param {string} [campusName] - Campus the spreadsheet is mapped to
+ * @returns {{mode: string, headerAliases: string[], headerRow: number,
+ * sheetName: string, namedRange: string, tallyGrades: boolean}} Effective rule
+ */
+function resolveExtractionRule(levelConfig, spreadsheetId, campusName) {
+  return Object.assign(
+    {},
+    DEFAULT_EXTRACTION_RULE,
+    levelConfig.extractionRule || {},
+    (campusName && CAMPUS_EXTRACTION_RULES[campusName]) || {},
+    CAMPUS_EXTRACTION_RULES[spreadsheetId] || {}
+  );
+}
+
+/**
+ * Find the column of the rule's header in a header row.
+ *
+ * @param {Array<*>} headerCells - Cells of the rule's `headerRow` on one tab
+ * @param {Object} rule - Rule from `resolveExtractionRule`
+ * @returns {number} 0-based column index, or -1 if no header alias is found
+ * @example
+ * findRuleHeaderColumn(['Student', 'ID', 'Current Grade Level'], DEFAULT_EXTRACTION_RULE); // 2
+ */
+function findRuleHeaderColumn(headerCells, rule) {
+  const aliases = rule.headerAliases.map(alias => alias.toString().trim().toLowerCase());
+  return headerCells.findIndex(header =>
+    header !== null && header !== undefined && aliases.includes(header.toString().trim().toLowerCase()));
+}
+
+/**
+ * Read the count from the cells below a rule's header.
+ *
+ * @param {Array<*>} cells - Cells of the header's column, from the row
+ * under the header down to the last used row
+ * @param {Object} rule - Rule from `resolveExtractionRule`
+ * @returns {?{value: *, grades: ?Object<string, number>}} The extracted
+ * value and, when the rule tallies grades, the students per grade; null
+ * when a "valueAfterBlank" rule finds no value after the blank cell
+ * @example
+ * extractValueFromColumn([3, 4, '', 2], DEFAULT_EXTRACTION_RULE); // {value: 2, grades: {3: 1, 4: 1, ...}}
+ */
+function extractValueFromColumn(cells, rule) {
+  const aliases = rule.headerAliases.map(alias => alias.toString().trim().toLowerCase());
+  const isAlias = value => value !== null && value !== undefined && aliases.includes(value.toString().trim().toLowerCase());
+  const isEmpty = value => !value || value.toString().trim() === '';
+
+  // One cell per student directly under the header
+  const studentValues = [];
+  for (let r = 0; r < cells.length && !isEmpty(cells[r]); r++) {
+    studentValues.push(cells[r]);
+  }
+  const grades = rule.tallyGrades ? tallyGradeLevels(studentValues) : null;
+
+  if (rule.mode === 'countNonEmpty') {
+    return { value: studentValues.length, grades: grades };
+  }
+
+  let foundEmptyCell = false;
+  for (let r = 0; r < cells.length; r++) {
+    const cellValue = cells[r];
+    if (isEmpty(cellValue)) {
+      foundEmptyCell = true;
+    } else if (foundEmptyCell) {
+      // If the extracted value is the header text itself, treat it as 0.
+      return { value: isAlias(cellValue) ? 0 : cellValue, grades: grades };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,203 @@
+/**
+ * Drive folder scanning options.
+ *
+ * Decides which files of a level's Drive folder are listed in the level
+ * sheet: whether subfolders are searched, how shortcuts are followed and
+ * which file names are included or excluded. `DEFAULT_SCAN_OPTIONS`
+ * reproduces the original behaviour (Google Sheets stored directly in the
+ * folder) apart from skipping "Copy of…" files. Levels override it through
+ * `CONFIGS[level].scan`.
+ *
+ * Trashed files are always skipped and a spreadsheet reached more than
+ * once (for example directly and through a shortcut) is listed once.
+ *
+ * @module FolderScan
+ */
+
+/**
+ * Default scan options used for every level.
+ *
+ * - `recursive`: also search subfolders, at any depth.
+ * - `followShortcuts`: list the target of a shortcut to a Google Sheet
+ *   and, when recursive, search the target of a shortcut to a folder.
+ * - `includePatterns`: when not empty, only file names matching at least
+ *   one of these regular expressions are listed.
+ * - `excludePatterns`: file names matching any of these regular
+ *   expressions are skipped.
+ *
+ * Patterns are matched case-insensitively against the file name.
+ *
+ * @type {{recursive: boolean, followShortcuts: boolean,
+ * includePatterns: string[], excludePatterns: string[]}}
+ */
+const DEFAULT_SCAN_OPTIONS = {
+  recursive: false,
+  followShortcuts: true,
+  includePatterns: [],
+  excludePatterns: ['^Copy of '],
+};
+
+/**
+ * Build the scan options of a level: the default options, then the
+ * level's `scan` settings.
+ *
+ * @param {{scan: (Object|undefined)}} levelConfig
+ * Configuration object for a level (from `CONFIGS`).
+ * @returns {{recursive: boolean, followShortcuts: boolean,
+ * includePatterns: string[], excludePatterns: string[]}} Effective options
+ * @example
+ * // CONFIGS.HS.scan = { recursive: true, excludePatterns: ['^Copy of ', 'TEMPLATE'] };
+ * resolveScanOptions(CONFIGS.HS).recursive; // true
+ */
+function resolveScanOptions(levelConfig) {
+  return Object.assign({}, DEFAULT_SCAN_OPTIONS, levelConfig.scan || {});
+}
+
+/**
+ * List the Google Sheets of a Drive folder according to scan options.
+ *
+ * Each listed file carries the path of the folder it was found in,
+ * starting with the scanned folder's name (e.g. "ES/Adams Hill"), and
+ * the time it was last modified (null if unknown). A spreadsheet reached
+ * through a shortcut is listed under the target's ID and the folder
+ * holding the shortcut.
+ *
+ * @param {string} folderId - ID of the Drive folder to scan
+ * @param {Object} [options] - Options from `resolveScanOptions`; the
+ * defaults if omitted
+ * @returns {{files: Array<{id: string, name: string, path: string,
+ * lastUpdated: ?Date}>, trashed: number, excluded: number,
+ * duplicates: number}} Listed
+ * spreadsheets and how many files were skipped for each reason
+ * @throws {Error} If the folder cannot be accessed
+ */
+function scanDriveFolder(folderId, options) {
+  const settings = Object.assign({}, DEFAULT_SCAN_OPTIONS, options || {});
+  const include = settings.includePatterns.map(pattern => new RegExp(pattern, 'i'));
+  const exclude = settings.excludePatterns.map(pattern => new RegExp(pattern, 'i'));
+  const result = { files: [], trashed: 0, excluded: 0, duplicates: 0 };
+  const seenFiles = new Set();
+  const seenFolders = new Set();
+
+  const addSpreadsheet = (id, name, path, lastUpdated) => {
+    if ((include.length > 0 && !include.some(pattern => pattern.test(name))) ||
+      exclude.some(pattern => pattern.test(name))) {
+      result.excluded++;
+      return;
+    }
+    if (seenFiles.has(id)) {
+      result.duplicates++;
+      return;
+    }
+    seenFiles.add(id);
+    result.files.push({ id: id, name: name, path: path, lastUpdated: lastUpdated });
+  };
+
+  const scanFolder = (folder, path) => {
+    if (seenFolders.has(folder.getId())) {
+      return;
+    }
+    seenFolders.add(folder.getId());
+
+    const subfolders = [];
+    const files = folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      if (file.isTrashed()) {
+        result.trashed++;
+        continue;
+      }
+
+      const mimeType = file.getMimeType();
+      if (mimeType === MimeType.GOOGLE_SHEETS) {
+        addSpreadsheet(file.getId(), file.getName(), path, file.getLastUpdated());
+      } else if (mimeType === MimeType.SHORTCUT && settings.followShortcuts) {
+        const targetType = file.getTargetMimeType();
+        if (targetType === MimeType.GOOGLE_SHEETS) {
+          const target = resolveShortcutTarget(file);
+          if (target.trashed) {
+            result.trashed++;
+          } else {
+            addSpreadsheet(file.getTargetId(), target.name, path, target.lastUpdated);
+          }
+        } else if (targetType === MimeType.FOLDER && settings.recursive) {
+          try {
+            const targetFolder = DriveApp.getFolderById(file.getTargetId());
+            if (targetFolder.isTrashed()) {
+              result.trashed++;
+            } else {
+              subfolders.push({ folder: targetFolder, path: `${path}/${file.getName()}` });
+            }
+          } catch (e) {
+            Logger.log(`Could not open the folder behind shortcut "${file.getName()}" in ${path}: ${e.message}`);
+          }
+        }
+      }
+    }
+
+    if (settings.recursive) {
+      const folders = folder.getFolders();
+      while (folders.hasNext()) {
+        const subfolder = folders.next();
+        if (subfolder.isTrashed()) {
+          result.trashed++;
+        } else {
+          subfolders.push({ folder: subfolder, path: `${path}/${subfolder.getName()}` });
+        }
+      }
+    }
+
+    for (const entry of subfolders) {
+      scanFolder(entry.folder, entry.path);
+    }
+  };
+
+  const root = DriveApp.getFolderById(folderId);
+  scanFolder(root, root.getName());
+  return result;
+}
+
+/**
+ * Look up the file a shortcut points to. When the target cannot be
+ * opened (for example because it is not shared with the user) the
+ * shortcut's own name is used, the file is assumed to be live and its
+ * modification time is unknown.
+ *
+ * @param {GoogleAppsScript.Drive.File} shortcut - A Drive shortcut
+ * @returns {{name: string, trashed: boolean, lastUpdated: ?Date}} Name of
+ * the target, whether it is in the trash and when it was last modified
+ */
+function resolveShortcutTarget(shortcut) {
+  try {
+    const target = DriveApp.getFileById(shortcut.getTargetId());
+    return { name: target.getName(), trashed: target.isTrashed(), lastUpdated: target.getLastUpdated() };
+  } catch (e) {
+    Logger.log(`Could not open the target of shortcut "${shortcut.getName()}": ${e.message}`);
+    return { name: shortcut.getName(), trashed: false, lastUpdated: null };
+  }
+}
+
+/**
+ * Look up when each of the given spreadsheets was last modified, with
+ * one Drive request per file asking only for its `modifiedTime`.
+ * A file Drive cannot return (deleted, not shared, or a failed request)
+ * is logged and left out.
+ *
+ * @param {string[]} ids - Spreadsheet IDs
+ * @returns {Object<string, Date>} Modified time keyed by spreadsheet ID
+ * @example
+ * getSpreadsheetModifiedTimes(['es-adams', 'es-bernal']);
+ * // {"es-adams": Date(2025-01-06T12:00:00Z), "es-bernal": Date(2025-01-07T15:20:00Z)}
+ */
+function getSpreadsheetModifiedTimes(ids) {
+  const modified = {};
+  for (const id of ids) {
+    try {
+      const file = Drive.Files.get(id, { fields: 'modifiedTime', supportsAllDrives: true });
+      modified[id] = new Date(file.modifiedTime);
+    } catch (e) {
+      Logger.log(`Could not look up when ${id} was last modified: ${e.message}`);
+    }
+  }
+  return modified;
+}
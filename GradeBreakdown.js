@@ -0,0 +1,166 @@
+/**
+ * Per-grade student breakdown.
+ *
+ * Teacher spreadsheets list a "Current Grade Level" for each student.
+ * Extraction tallies those values by grade (K–12) for every spreadsheet
+ * and writes them next to the count on the ES, MS and HS sheets.
+ * Aggregation sums the tallies per campus into the "Grade Breakdown"
+ * sheet, alongside the Total Enrolled written to ALE Counts.
+ *
+ * @module GradeBreakdown
+ */
+
+/**
+ * Name of the per-campus by-grade sheet.
+ * @type {string}
+ */
+const GRADE_BREAKDOWN_SHEET_NAME = "Grade Breakdown";
+
+/**
+ * Turn a grade cell from a teacher spreadsheet into a `GRADE_LEVELS` key.
+ *
+ * @param {*} value - Cell value, e.g. 9, "09", "K", "KG", "Kinder", "Grade 3", "3rd"
+ * @returns {string} Grade key ('K', '1' … '12'), or 'Other' if unrecognised
+ * @example
+ * normalizeGradeLevel("KG");      // 'K'
+ * normalizeGradeLevel("Grade 09"); // '9'
+ * normalizeGradeLevel("PK");      // 'Other'
+ */
+function normalizeGradeLevel(value) {
+  const text = value.toString().trim().toUpperCase().replace(/^GRADE\s*/, '');
+
+  if (/^(K|KG|KN|KINDER|KINDERGARTEN)$/.test(text)) {
+    return 'K';
+  }
+
+  const match = text.match(/^(\d{1,2})(ST|ND|RD|TH)?$/);
+  if (match) {
+    const grade = Number(match[1]);
+    if (grade >= 1 && grade <= 12) {
+      return String(grade);
+    }
+  }
+  return 'Other';
+}
+
+/**
+ * Count students per grade.
+ *
+ * @param {Array<*>} values - One grade cell per student; empty cells are skipped
+ * @returns {Object<string, number>} Count for every `GRADE_LEVELS` key
+ */
+function tallyGradeLevels(values) {
+  const tally = createEmptyGradeTally();
+  for (const value of values) {
+    if (value === null || value === undefined || value.toString().trim() === '') continue;
+    tally[normalizeGradeLevel(value)]++;
+  }
+  return tally;
+}
+
+/**
+ * Return a tally with every grade at 0.
+ *
+ * @returns {Object<string, number>} Count for every `GRADE_LEVELS` key
+ */
+function createEmptyGradeTally() {
+  const tally = {};
+  for (const grade of GRADE_LEVELS) {
+    tally[grade] = 0;
+  }
+  return tally;
+}
+
+/**
+ * Add one tally into another.
+ *
+ * @param {Object<string, number>} target - Tally to add to (modified)
+ * @param {Object<string, number>} tally - Tally to add
+ * @returns {Object<string, number>} `target`
+ */
+function addGradeTally(target, tally) {
+  for (const grade of GRADE_LEVELS) {
+    target[grade] += Number(tally[grade]) || 0;
+  }
+  return target;
+}
+
+/**
+ * Convert a tally into a row of cells in `GRADE_COLUMN_HEADERS` order.
+ *
+ * @param {?Object<string, number>} tally - Tally, or null for a blank row
+ * @returns {Array<(number|string)>} One cell per grade
+ */
+function gradeTallyToRow(tally) {
+  return GRADE_LEVELS.map(grade => tally ? tally[grade] : '');
+}
+
+/**
+ * Convert a row of level sheet cells back into a tally.
+ *
+ * @param {Array<*>} row - Cells in `GRADE_COLUMN_HEADERS` order
+ * @returns {?Object<string, number>} Tally, or null if every cell is blank
+ */
+function gradeRowToTally(row) {
+  if (row.every(cell => cell === '' || cell === null || cell === undefined)) {
+    return null;
+  }
+  const tally = createEmptyGradeTally();
+  GRADE_LEVELS.forEach((grade, i) => {
+    tally[grade] = Number(row[i]) || 0;
+  });
+  return tally;
+}
+
+/**
+ * Update the "Grade Breakdown" sheet with the campuses of an aggregation.
+ *
+ * Rows of the aggregated campuses are replaced and rows of other levels
+ * are kept, so aggregating one level leaves the others intact. Campuses
+ * whose spreadsheets had no grade column (for example a named range rule)
+ * get blank grade cells, and campuses without data lose their row.
+ *
+ * @param {Array<{level: string, campus: string, total: (number|string),
+ * grades: ?Object<string, number>}>} totals - Totals from `runCampusAggregation`
+ * @returns {void}
+ */
+function writeGradeBreakdown(totals) {
+  if (totals.length === 0) {
+    return;
+  }
+
+  const headers = ['Level', 'Campus'].concat(GRADE_COLUMN_HEADERS, ['Students Tallied', 'Total Enrolled']);
+  const sheet = getOrCreateSheet(GRADE_BREAKDOWN_SHEET_NAME, headers);
+
+  // Keep rows of campuses this aggregation did not touch
+  const rowsByCampus = new Map();
+  if (sheet.getLastRow() > 1) {
+    const existing = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+    for (const row of existing) {
+      if (row[1]) rowsByCampus.set(`${row[0]}|${row[1]}`, row);
+    }
+  }
+
+  for (const entry of totals) {
+    if (entry.total === '') {
+      rowsByCampus.delete(`${entry.level}|${entry.campus}`);
+      continue;
+    }
+    const tallied = entry.grades ? GRADE_LEVELS.reduce((sum, grade) => sum + entry.grades[grade], 0) : '';
+    rowsByCampus.set(`${entry.level}|${entry.campus}`,
+      [entry.level, entry.campus].concat(gradeTallyToRow(entry.grades), [tallied, entry.total]));
+  }
+
+  const levelOrder = Object.keys(CONFIGS);
+  const rank = level => levelOrder.indexOf(level) === -1 ? levelOrder.length : levelOrder.indexOf(level);
+  const rows = Array.from(rowsByCampus.values()).sort((a, b) =>
+    rank(a[0]) - rank(b[0]) || a[1].toString().localeCompare(b[1].toString()));
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).clearContent();
+  }
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+}
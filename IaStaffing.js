@@ -0,0 +1,238 @@
+/**
+ * ALE instructional aide (IA) staffing.
+ *
+ * The IAs a campus needs follow from its Total Enrolled value and the
+ * rules in the "IA Staffing Rules" sheet: one row per level and tier
+ * with the number of students per IA and an optional minimum and
+ * maximum. After every aggregation the optional "ALE IAs" column of the
+ * ALE Counts sheet is recalculated, each cell gets a note showing how its
+ * value was reached, and campuses whose allocation changed since the
+ * last run are reported.
+ *
+ * @module IaStaffing
+ */
+
+/**
+ * Name of the sheet holding the staffing rules.
+ * @type {string}
+ */
+const IA_STAFFING_RULES_SHEET_NAME = "IA Staffing Rules";
+
+/**
+ * Header row of the IA Staffing Rules sheet. An empty Level or Tier
+ * matches every level or tier.
+ * @type {string[]}
+ */
+const IA_STAFFING_RULES_HEADERS = ['Level', 'Tier', 'Students Per IA', 'Minimum IAs', 'Maximum IAs'];
+
+/**
+ * Normalize a tier for comparison, so "Tier 2", "tier 2" and 2 match.
+ *
+ * @param {*} value - Tier cell value
+ * @returns {string} Lower-case tier without a leading "Tier"
+ * @example
+ * normalizeTier('Tier 2'); // "2"
+ */
+function normalizeTier(value) {
+  return (value === null || value === undefined) ? '' : value.toString().trim().toLowerCase().replace(/^tier\s*/, '');
+}
+
+/**
+ * Read the rules of the IA Staffing Rules sheet. Rows without a positive
+ * Students Per IA are skipped and logged.
+ *
+ * @returns {Array<{level: string, tier: string, studentsPerIa: number,
+ * minimum: number, maximum: ?number, sheetRow: number}>} Rules in sheet
+ * order; `level` is a level key or "" and `tier` is normalized
+ */
+function readIaStaffingRules() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(IA_STAFFING_RULES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, IA_STAFFING_RULES_HEADERS.length).getValues();
+  const rules = [];
+  values.forEach((row, i) => {
+    const [levelCell, tierCell, ratioCell, minimumCell, maximumCell] = row;
+    if ([levelCell, tierCell, ratioCell].every(cell => cell.toString().trim() === '')) return;
+
+    // Accept the level key or its name ("ES" or "Elementary School")
+    const levelText = levelCell.toString().trim().toLowerCase();
+    const level = levelText === '' ? '' : Object.keys(CONFIGS).find(key =>
+      key.toLowerCase() === levelText || CONFIGS[key].name.toLowerCase() === levelText);
+    const studentsPerIa = Number(ratioCell);
+    if (level === undefined || ratioCell === '' || !(studentsPerIa > 0)) {
+      Logger.log(`IA Staffing Rules row ${i + 2} skipped: it needs a known level (or none) and a positive Students Per IA.`);
+      return;
+    }
+
+    rules.push({
+      level: level,
+      tier: normalizeTier(tierCell),
+      studentsPerIa: studentsPerIa,
+      minimum: Number(minimumCell) || 0,
+      maximum: maximumCell === '' ? null : Number(maximumCell),
+      sheetRow: i + 2
+    });
+  });
+  return rules;
+}
+
+/**
+ * Find the rule for a campus. A rule naming both the level and the tier
+ * wins over one naming only the level, which wins over one naming only
+ * the tier, which wins over a rule for every level and tier.
+ *
+ * @param {Array<Object>} rules - Rules from `readIaStaffingRules`
+ * @param {string} level - Level key of the campus
+ * @param {*} tier - Tier cell of the campus
+ * @returns {?Object} Matching rule, or null
+ * @example
+ * findIaStaffingRule(readIaStaffingRules(), 'ES', 'Tier 2');
+ * // {level: "ES", tier: "2", studentsPerIa: 10, minimum: 1, maximum: 4, sheetRow: 3}
+ */
+function findIaStaffingRule(rules, level, tier) {
+  const campusTier = normalizeTier(tier);
+  let best = null;
+  let bestScore = -1;
+  for (const rule of rules) {
+    if ((rule.level && rule.level !== level) || (rule.tier && rule.tier !== campusTier)) continue;
+    const score = (rule.level ? 2 : 0) + (rule.tier ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Calculate the IAs for a Total Enrolled value: one IA per Students Per
+ * IA students, rounded up, then raised to the minimum and capped at the
+ * maximum. A campus without students needs no IA.
+ *
+ * @param {number} total - Total Enrolled
+ * @param {{level: string, tier: string, studentsPerIa: number,
+ * minimum: number, maximum: ?number, sheetRow: number}} rule - Rule from
+ * `findIaStaffingRule`
+ * @returns {{ias: number, explanation: string}} IAs and how they were reached
+ * @example
+ * calculateIaAllocation(23, rule);
+ * // {ias: 3, explanation: "23 students ÷ 10 per IA, rounded up = 3 IAs (IA Staffing Rules row 3: ES, tier 2)."}
+ */
+function calculateIaAllocation(total, rule) {
+  const scope = [rule.level || 'all levels', rule.tier ? `tier ${rule.tier}` : 'all tiers'].join(', ');
+  const source = `(${IA_STAFFING_RULES_SHEET_NAME} row ${rule.sheetRow}: ${scope})`;
+  if (total <= 0) {
+    return { ias: 0, explanation: `No students enrolled, so no IAs ${source}.` };
+  }
+
+  const byRatio = Math.ceil(total / rule.studentsPerIa);
+  let ias = byRatio;
+  let adjustment = '';
+  if (ias < rule.minimum) {
+    ias = rule.minimum;
+    adjustment = ` Raised to the minimum of ${rule.minimum}.`;
+  } else if (rule.maximum !== null && ias > rule.maximum) {
+    ias = rule.maximum;
+    adjustment = ` Capped at the maximum of ${rule.maximum}.`;
+  }
+  return {
+    ias: ias,
+    explanation: `${total} students ÷ ${rule.studentsPerIa} per IA, rounded up = ${byRatio} IAs ${source}.${adjustment}`
+  };
+}
+
+/**
+ * Recalculate the ALE IAs column for aggregated rows and note how each
+ * value was reached.
+ *
+ * Rows without a Total Enrolled value get an empty cell. Rows no rule
+ * matches keep their cell, so allocations entered by hand survive until
+ * a rule covers them. Locked rows are calculated from the kept total.
+ * Does nothing when the ALE Counts sheet has no "ALE IAs" column.
+ *
+ * @param {Array<{row: number, level: string, campus: string,
+ * proposed: (number|string)}>} rows - Rows from `planCampusAggregation`,
+ * as written by `writeAggregationRows`
+ * @returns {{updated: number, unmatched: string[],
+ * changes: Array<{level: string, campus: string, row: number, total: number,
+ * previous: number, current: number}>}} Cells written, campuses without a
+ * rule, and campuses whose IAs changed since the last run
+ * @example
+ * const staffing = writeIaStaffing(plan.rows);
+ * // staffing.changes => [{level: "ES", campus: "Bernal", row: 5, total: 21, previous: 2, current: 3}]
+ */
+function writeIaStaffing(rows) {
+  const result = { updated: 0, unmatched: [], changes: [] };
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ALE_COUNTS_SHEET_NAME);
+  const layout = detectAleCountsLayout(sheet);
+  if (!layout.iasColumn || rows.length === 0) {
+    return result;
+  }
+
+  const rules = readIaStaffingRules();
+  const plannedByRow = new Map(rows.map(planned => [planned.row, planned]));
+  for (const range of toRowRanges(rows.map(planned => planned.row))) {
+    const count = range.end - range.start + 1;
+    const tiers = layout.tierColumn ? sheet.getRange(range.start, layout.tierColumn, count, 1).getValues() : null;
+    const iaRange = sheet.getRange(range.start, layout.iasColumn, count, 1);
+    const values = iaRange.getValues();
+    const notes = [];
+
+    for (let i = 0; i < count; i++) {
+      const planned = plannedByRow.get(range.start + i);
+      const previous = values[i][0];
+      const tier = tiers ? tiers[i][0] : '';
+
+      if (planned.proposed === '') {
+        values[i][0] = '';
+        notes.push(['No Total Enrolled value, so no IAs were calculated.']);
+        continue;
+      }
+      const rule = findIaStaffingRule(rules, planned.level, tier);
+      if (!rule) {
+        result.unmatched.push(planned.campus);
+        const tierText = normalizeTier(tier) ? `tier ${normalizeTier(tier)}` : 'no tier';
+        notes.push([`No rule in the "${IA_STAFFING_RULES_SHEET_NAME}" sheet matches ${planned.level}, ${tierText}; value not changed.`]);
+        continue;
+      }
+
+      const allocation = calculateIaAllocation(Number(planned.proposed), rule);
+      values[i][0] = allocation.ias;
+      result.updated++;
+      let note = allocation.explanation;
+      if (previous !== '' && !isNaN(Number(previous)) && Number(previous) !== allocation.ias) {
+        result.changes.push({ level: planned.level, campus: planned.campus, row: planned.row,
+          total: Number(planned.proposed), previous: Number(previous), current: allocation.ias });
+        note += `\nChanged from ${previous} IAs in this run.`;
+      }
+      notes.push([note]);
+    }
+
+    iaRange.setValues(values);
+    iaRange.setNotes(notes);
+  }
+
+  for (const change of result.changes) {
+    Logger.log(`${change.level} ${change.campus}: ALE IAs ${change.previous} -> ${change.current} (Total Enrolled ${change.total}).`);
+  }
+  return result;
+}
+
+/**
+ * Menu action: open the IA Staffing Rules sheet, creating it with its
+ * header row if needed.
+ *
+ * @returns {void}
+ */
+function showIaStaffingRules() {
+  const sheet = getOrCreateSheet(IA_STAFFING_RULES_SHEET_NAME, IA_STAFFING_RULES_HEADERS);
+  sheet.activate();
+  SpreadsheetApp.getUi().alert(
+    `Enter one row per level and tier in the "${IA_STAFFING_RULES_SHEET_NAME}" sheet. ` +
+    `Leave Level or Tier empty to match every level or tier. ` +
+    `The "${ALE_COUNTS_HEADERS.ias}" column of the ALE Counts sheet is recalculated after each aggregation.`
+  );
+}
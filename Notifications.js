@@ -0,0 +1,373 @@
+/**
+ * Email notifications after a run.
+ *
+ * Extraction errors are only written to the Error Log column of the ES,
+ * MS and HS sheets, where nobody outside the admin sees them. After Update
+ * Everything or the nightly refresh, each campus contact listed in the
+ * "Campus Contacts" sheet can be emailed the errors of their own campus's
+ * spreadsheets, and the admin a digest of every error, every unmapped
+ * spreadsheet ID and every campus flagged in the change report.
+ *
+ * Notifications are off until a mode is chosen. In "dryRun" mode the
+ * messages are only written to the "Notification Log" sheet.
+ *
+ * @module Notifications
+ */
+
+/**
+ * Name of the sheet listing who to email per campus.
+ * @type {string}
+ */
+const CAMPUS_CONTACTS_SHEET_NAME = "Campus Contacts";
+
+/**
+ * Header row of the Campus Contacts sheet. Campus names match the Campus
+ * Registry; Email may hold several addresses separated by commas; a row
+ * with Active set to FALSE is ignored.
+ * @type {string[]}
+ */
+const CAMPUS_CONTACTS_HEADERS = ['Campus', 'Email', 'Active'];
+
+/**
+ * Name of the sheet recording every sent or dry-run message.
+ * @type {string}
+ */
+const NOTIFICATION_LOG_SHEET_NAME = "Notification Log";
+
+/**
+ * Header row of the Notification Log sheet.
+ * @type {string[]}
+ */
+const NOTIFICATION_LOG_HEADERS = ['Time', 'Mode', 'To', 'Subject', 'Body'];
+
+/**
+ * Script Property holding the notification mode: "off", "dryRun" or "send".
+ * @type {string}
+ */
+const NOTIFICATION_MODE_PROPERTY = "NOTIFICATION_MODE";
+
+/**
+ * Script Property holding the admin address that receives the digest.
+ * @type {string}
+ */
+const NOTIFICATION_ADMIN_EMAIL_PROPERTY = "NOTIFICATION_ADMIN_EMAIL";
+
+/**
+ * What a campus contact can do about each error code. Codes without an
+ * entry (and transient codes, which are never sent to campuses) fall
+ * back to `UNKNOWN`.
+ * @type {Object<string, string>}
+ */
+const CAMPUS_ERROR_ADVICE = {
+  NO_ACCESS: 'Share the spreadsheet with the ALE counts administrator (Viewer is enough).',
+  NOT_FOUND: 'Check that the spreadsheet still exists and is not in the trash; if it was replaced, send the administrator the new link.',
+  TAB_MISSING: 'Make sure the spreadsheet still uses the district template: the roster tab, the "Current Grade Level" header and the values under it.',
+  HEADER_MISSING: 'Make sure the spreadsheet still uses the district template: the roster tab, the "Current Grade Level" header and the values under it.',
+  VALUE_MISSING: 'Make sure the spreadsheet still uses the district template: the roster tab, the "Current Grade Level" header and the values under it.',
+  NAMED_RANGE_MISSING: 'Make sure the spreadsheet still uses the district template, including its named range.',
+  UNKNOWN: 'Reply to this email if the cause is not clear; the administrator can look into it.',
+};
+
+/**
+ * Return the notification mode from Script Properties.
+ *
+ * @returns {string} "off" (the default), "dryRun" or "send"
+ */
+function getNotificationMode() {
+  const saved = PropertiesService.getScriptProperties().getProperty(NOTIFICATION_MODE_PROPERTY);
+  return saved === 'dryRun' || saved === 'send' ? saved : 'off';
+}
+
+/**
+ * Read the Campus Contacts sheet.
+ *
+ * @returns {Map<string, string[]>} Email addresses keyed by campus name;
+ * empty when the sheet does not exist
+ */
+function readCampusContacts() {
+  const contacts = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CAMPUS_CONTACTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return contacts;
+  }
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, CAMPUS_CONTACTS_HEADERS.length).getValues();
+  for (const [campus, email, active] of values) {
+    const campusName = campus.toString().trim();
+    if (!campusName || active === false || active.toString().toUpperCase() === 'FALSE') continue;
+
+    const addresses = email.toString().split(/[,;]/).map(address => address.trim()).filter(Boolean);
+    contacts.set(campusName, (contacts.get(campusName) || []).concat(addresses));
+  }
+  return contacts;
+}
+
+/**
+ * Collect what the notifications report for the given levels: rows with
+ * an Error Log entry, spreadsheet IDs not in the Campus Registry and
+ * campuses flagged in the change report.
+ *
+ * @param {string[]} levels - Level keys to report on
+ * @returns {{errors: Array<{level: string, row: number, id: string,
+ * name: string, campus: string, message: string, code: string}>,
+ * unmappedIds: Array<{level: string, id: string, name: string}>,
+ * changes: Array<{level: string, campus: string, previous: number,
+ * current: number, delta: number}>}} Findings; `campus` is empty for
+ * errors of unmapped spreadsheets
+ */
+function collectNotificationFindings(levels) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const findings = { errors: [], unmappedIds: [], changes: [] };
+
+  for (const level of levels) {
+    const sheet = spreadsheet.getSheetByName(CONFIGS[level].sheetName);
+    if (!sheet || sheet.getLastRow() < 2) continue;
+
+    const campusById = {};
+    for (const [campusName, spreadsheetId] of getCampusMap(level)) {
+      if (spreadsheetId) campusById[spreadsheetId] = campusName;
+    }
+
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+    for (const [id, name] of values) {
+      if (id && !campusById[id.toString()]) {
+        findings.unmappedIds.push({ level: level, id: id.toString(), name: name.toString() });
+      }
+    }
+    for (const error of readExtractionErrors(sheet)) {
+      findings.errors.push(Object.assign({ level: level, campus: campusById[error.id] || '' }, error));
+    }
+  }
+
+  findings.changes = buildChangeReport().flagged.filter(change => levels.includes(change.level));
+  return findings;
+}
+
+/**
+ * Turn findings into email messages: one per campus with errors and a
+ * contact, and one digest for the admin when there is anything to report.
+ *
+ * @param {Object} findings - Findings from `collectNotificationFindings`
+ * @param {Map<string, string[]>} contacts - Contacts from `readCampusContacts`
+ * @param {string} adminEmail - Digest recipient; no digest when empty
+ * @returns {Array<{to: string, subject: string, body: string}>} Messages
+ */
+function buildNotificationMessages(findings, contacts, adminEmail) {
+  const messages = [];
+  const spreadsheetUrl = id => `https://docs.google.com/spreadsheets/d/${id}`;
+  const errorLine = error => `- ${error.name} (${error.level} sheet, row ${error.row}): ${error.message}\n  ${spreadsheetUrl(error.id)}`;
+
+  // Each campus contact only hears about their own campus, and not about
+  // rate limits or service errors that the next run is likely to get past
+  const errorsByCampus = new Map();
+  for (const error of findings.errors) {
+    if (!error.campus || isTransientErrorCode(error.code)) continue;
+    errorsByCampus.set(error.campus, (errorsByCampus.get(error.campus) || []).concat([error]));
+  }
+  for (const [campus, errors] of errorsByCampus) {
+    const addresses = contacts.get(campus) || [];
+    if (addresses.length === 0) continue;
+    const advice = new Set(errors.map(error => CAMPUS_ERROR_ADVICE[error.code] || CAMPUS_ERROR_ADVICE.UNKNOWN));
+    messages.push({
+      to: addresses.join(','),
+      subject: `ALE class counts: ${errors.length} spreadsheets for ${campus} could not be read`,
+      body: `The latest ALE class counts run could not read these spreadsheets for ${campus}:\n\n` +
+        `${errors.map(errorLine).join('\n')}\n\n` +
+        `Their students are not included in the campus count until this is fixed. What to do:\n\n` +
+        Array.from(advice, line => `- ${line}`).join('\n')
+    });
+  }
+
+  const total = findings.errors.length + findings.unmappedIds.length + findings.changes.length;
+  if (adminEmail && total > 0) {
+    const sections = [];
+    if (findings.errors.length > 0) {
+      // Group the errors by code so follow-up can be done one cause at a time
+      const errorsByCode = new Map();
+      for (const error of findings.errors) {
+        errorsByCode.set(error.code, (errorsByCode.get(error.code) || []).concat([error]));
+      }
+      const groups = Array.from(errorsByCode, ([code, errors]) => `${code} (${errors.length}):\n${errors.map(errorLine).join('\n')}`);
+      sections.push(`Extraction errors (${findings.errors.length}):\n${groups.join('\n')}`);
+    }
+    if (findings.unmappedIds.length > 0) {
+      const lines = findings.unmappedIds.map(entry => `- ${entry.name} (${entry.level}): ${entry.id}`);
+      sections.push(`Spreadsheets not in the ${REGISTRY_SHEET_NAME} (${findings.unmappedIds.length}):\n${lines.join('\n')}`);
+    }
+    if (findings.changes.length > 0) {
+      const lines = findings.changes.map(change =>
+        `- ${change.level} ${change.campus}: ${change.previous} → ${change.current} (${change.delta > 0 ? '+' : ''}${change.delta})`);
+      sections.push(`Campuses that changed by more than ${getChangeThreshold()} students (${findings.changes.length}):\n${lines.join('\n')}`);
+    }
+    messages.push({
+      to: adminEmail,
+      subject: `ALE class counts digest: ${findings.errors.length} errors, ${findings.unmappedIds.length} unmapped IDs, ` +
+        `${findings.changes.length} large changes`,
+      body: `${sections.join('\n\n')}\n\n${messages.length} campus contacts were notified of their own errors.`
+    });
+  }
+
+  return messages;
+}
+
+/**
+ * Build the notifications for the given levels and send them, or in a
+ * dry run only record them. Every message is appended to the
+ * Notification Log sheet.
+ *
+ * @param {string[]} levels - Level keys to report on
+ * @param {{dryRun: (boolean|undefined), mailService: (Object|undefined)}} [options]
+ * `mailService` needs a `sendEmail({to, subject, body})` method and
+ * defaults to `MailApp`
+ * @returns {{messages: Array<{to: string, subject: string, body: string}>,
+ * sent: number, dryRun: boolean}} The messages and how many were sent
+ * @example
+ * // Record what would be sent without emailing anyone
+ * sendNotifications(['ES', 'MS', 'HS'], { dryRun: true });
+ */
+function sendNotifications(levels, options) {
+  const settings = options || {};
+  const dryRun = Boolean(settings.dryRun);
+  const mailService = settings.mailService || MailApp;
+  const adminEmail = PropertiesService.getScriptProperties().getProperty(NOTIFICATION_ADMIN_EMAIL_PROPERTY) || '';
+  if (!adminEmail) {
+    Logger.log('No admin email is set, so no digest will be sent.');
+  }
+
+  const messages = buildNotificationMessages(collectNotificationFindings(levels), readCampusContacts(), adminEmail);
+  let sent = 0;
+  const logRows = [];
+  for (const message of messages) {
+    let mode = 'Dry run';
+    if (!dryRun) {
+      try {
+        mailService.sendEmail(message);
+        sent++;
+        mode = 'Sent';
+      } catch (e) {
+        Logger.log(`Could not email ${message.to}: ${e.message}`);
+        mode = `Failed: ${e.message}`;
+      }
+    }
+    logRows.push([new Date(), mode, message.to, message.subject, message.body]);
+  }
+
+  if (logRows.length > 0) {
+    const sheet = getOrCreateSheet(NOTIFICATION_LOG_SHEET_NAME, NOTIFICATION_LOG_HEADERS);
+    sheet.getRange(sheet.getLastRow() + 1, 1, logRows.length, NOTIFICATION_LOG_HEADERS.length).setValues(logRows);
+  }
+
+  return { messages: messages, sent: sent, dryRun: dryRun };
+}
+
+/**
+ * Notification step run at the end of Update Everything and the nightly
+ * refresh. Does nothing while notifications are off; a failure is logged
+ * and never fails the run.
+ *
+ * @param {string[]} levels - Level keys of the run
+ * @returns {void}
+ */
+function notifyAfterRun(levels) {
+  const mode = getNotificationMode();
+  if (mode === 'off') {
+    return;
+  }
+
+  try {
+    const result = sendNotifications(levels, { dryRun: mode === 'dryRun' });
+    Logger.log(`Notifications (${mode}): ${result.messages.length} messages, ${result.sent} sent.`);
+  } catch (e) {
+    Logger.log(`Notifications failed: ${e.message}`);
+  }
+}
+
+/**
+ * Menu action: build the notifications for every level without sending
+ * them and point to the Notification Log sheet.
+ *
+ * @returns {void}
+ */
+function previewNotifications() {
+  const result = sendNotifications(Object.keys(CONFIGS), { dryRun: true });
+  const message = result.messages.length === 0
+    ? 'There is nothing to notify anyone about.'
+    : `${result.messages.length} messages would be sent. They were written to the "${NOTIFICATION_LOG_SHEET_NAME}" sheet; nothing was emailed.`;
+  Logger.log(message);
+  SpreadsheetApp.getUi().alert(message);
+}
+
+/**
+ * Menu action: confirm and send the notifications for every level now.
+ *
+ * @returns {void}
+ */
+function sendNotificationsNow() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.alert(
+    'Send Notifications',
+    'Email campus contacts about their extraction errors and send the admin digest now?',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) {
+    return;
+  }
+
+  try {
+    const result = sendNotifications(Object.keys(CONFIGS));
+    const message = `${result.sent} of ${result.messages.length} messages were sent. See the "${NOTIFICATION_LOG_SHEET_NAME}" sheet.`;
+    Logger.log(message);
+    ui.alert(message);
+  } catch (e) {
+    Logger.log(e.message);
+    ui.alert(`Error: ${e.message}`);
+  }
+}
+
+/**
+ * Menu action: ask for the admin email and the notification mode and
+ * store them.
+ *
+ * @returns {void}
+ */
+function setNotificationSettings() {
+  const ui = SpreadsheetApp.getUi();
+  const properties = PropertiesService.getScriptProperties();
+
+  const emailResponse = ui.prompt(
+    'Notification Settings',
+    `Which address should receive the digest? (currently ${properties.getProperty(NOTIFICATION_ADMIN_EMAIL_PROPERTY) || 'none'})`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (emailResponse.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  const adminEmail = emailResponse.getResponseText().trim();
+  if (adminEmail && !/^[^\s@]+@[^\s@]+$/.test(adminEmail)) {
+    ui.alert('Error: Enter an email address, for example ale.admin@example.org.');
+    return;
+  }
+
+  const modes = { 'OFF': 'off', 'DRY RUN': 'dryRun', 'SEND': 'send' };
+  const modeResponse = ui.prompt(
+    'Notification Settings',
+    `After Update Everything and the nightly refresh, notifications should be: Off, Dry Run or Send? (currently ${getNotificationMode()})`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (modeResponse.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  const mode = modes[modeResponse.getResponseText().trim().toUpperCase()];
+  if (!mode) {
+    ui.alert('Error: Enter Off, Dry Run or Send.');
+    return;
+  }
+
+  if (adminEmail) {
+    properties.setProperty(NOTIFICATION_ADMIN_EMAIL_PROPERTY, adminEmail);
+  } else {
+    properties.deleteProperty(NOTIFICATION_ADMIN_EMAIL_PROPERTY);
+  }
+  properties.setProperty(NOTIFICATION_MODE_PROPERTY, mode);
+  ui.alert(`Notifications are ${mode === 'off' ? 'off' : mode === 'dryRun' ? 'in dry-run mode' : 'on'}; the digest goes to ${adminEmail || 'nobody'}.`);
+}
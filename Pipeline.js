@@ -0,0 +1,274 @@
+/**
+ * "Update Everything" pipeline.
+ *
+ * Runs the folder scan, count extraction and aggregation for every level
+ * in `CONFIGS`, one level after another, and finishes with a single
+ * summary dialog and an "Update Summary" sheet. A failure in one level
+ * is recorded and the remaining levels still run. If extraction runs out
+ * of time the remaining work continues in `continueExtraction`.
+ *
+ * @module Pipeline
+ */
+
+/**
+ * Name of the sheet rewritten with the result of each pipeline run.
+ * @type {string}
+ */
+const UPDATE_SUMMARY_SHEET_NAME = "Update Summary";
+
+/**
+ * Run scan, extraction and aggregation for a single level without UI.
+ *
+ * @param {string} level - Level key ('ES', 'MS' or 'HS')
+ * @param {{deadline: (number|undefined), skipScan: (boolean|undefined),
+ * onProgress: (function(Object): void|undefined)}} [options] `deadline`
+ * and `onProgress` are passed to `extractLevelCounts`; `skipScan` resumes
+ * a level whose folder was already scanned
+ * @returns {{level: string, status: string, error: string, nextRow: number,
+ * startedAt: number, endedAt: number, fileCount: number, rowsProcessed: number,
+ * rowsReused: number, extractionMs: number, campusesUpdated: number, fileErrors: Array<{row: number, id: string,
+ * name: string, message: string, code: string}>, unmappedIds: string[],
+ * zeroCampuses: string[], noDataCampuses: string[],
+ * overriddenCampuses: string[]}} Result of the level, with `status` "OK",
+ * "Paused" (extraction stopped at `nextRow`) or "Failed" and `error`
+ * describing the step that failed
+ */
+function runLevelPipeline(level, options) {
+  const levelConfig = CONFIGS[level];
+  const settings = options || {};
+  const result = {
+    level: level,
+    status: 'OK',
+    error: '',
+    nextRow: 0,
+    startedAt: Date.now(),
+    endedAt: 0,
+    fileCount: 0,
+    rowsProcessed: 0,
+    rowsReused: 0,
+    extractionMs: 0,
+    campusesUpdated: 0,
+    fileErrors: [],
+    unmappedIds: [],
+    zeroCampuses: [],
+    noDataCampuses: [],
+    overriddenCampuses: [],
+    iaChanges: []
+  };
+
+  let step = 'Folder scan';
+  try {
+    if (!settings.skipScan) {
+      scanLevelFolder(levelConfig);
+    }
+    result.fileCount = countListedSpreadsheets(levelConfig);
+
+    step = 'Extraction';
+    const extraction = extractLevelCounts(levelConfig, settings.deadline, settings.onProgress);
+    result.fileErrors = extraction.errors;
+    result.rowsProcessed = extraction.processed;
+    result.rowsReused = extraction.reused;
+    result.extractionMs = extraction.durationMs;
+    if (!extraction.complete) {
+      result.status = 'Paused';
+      result.nextRow = extraction.nextRow;
+      result.endedAt = Date.now();
+      return result;
+    }
+
+    step = 'Aggregation';
+    const aggregation = runCampusAggregation(level);
+    result.campusesUpdated = aggregation.campusesUpdated;
+    result.unmappedIds = aggregation.unmappedIds;
+    result.zeroCampuses = aggregation.zeroCampuses;
+    result.noDataCampuses = aggregation.noDataCampuses;
+    result.overriddenCampuses = aggregation.overriddenCampuses;
+    result.iaChanges = aggregation.iaChanges;
+  } catch (e) {
+    result.status = 'Failed';
+    result.error = `${step} failed: ${e.message}`;
+    Logger.log(`${level} ${result.error}`);
+  }
+
+  result.endedAt = Date.now();
+  return result;
+}
+
+/**
+ * Count the spreadsheet IDs listed in a level sheet.
+ *
+ * @param {{folderId: string, sheetName: string}} levelConfig
+ * Configuration object for a level (from `CONFIGS`).
+ * @returns {number} Number of non-empty IDs in column A
+ */
+function countListedSpreadsheets(levelConfig) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(levelConfig.sheetName);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return 0;
+  }
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().filter(row => row[0]).length;
+}
+
+/**
+ * Run the pipeline for the given levels in order, without UI.
+ *
+ * Any paused run from earlier is discarded. If extraction runs out of
+ * time, finished levels are saved and the rest is handed to
+ * `continueExtraction`. Every finished or paused level is recorded in the
+ * Run History sheet, and the Update Summary sheet is rewritten. A run
+ * that finishes ends with the notification step (see `notifyAfterRun`).
+ *
+ * @param {string[]} levels - Level keys to run, in order
+ * @param {string} trigger - What started the run ("Menu", "Sidebar" or
+ * "Scheduled"), recorded in the Run History
+ * @param {{onProgress: (function(Object): void|undefined)}} [options]
+ * `onProgress` is passed to `extractLevelCounts`
+ * @returns {Array<Object>} Results from `runLevelPipeline`; the last one
+ * has status "Paused" if the run will continue later
+ */
+function runPipeline(levels, trigger, options) {
+  const startedAt = new Date();
+  const deadline = getExecutionDeadline();
+
+  // Start fresh: forget any paused run and its saved results
+  deleteContinuationTriggers();
+  PropertiesService.getScriptProperties().deleteProperty(PENDING_EXTRACTION_PROPERTY);
+  takePipelineResults(Object.keys(CONFIGS));
+
+  const results = [];
+  for (let i = 0; i < levels.length; i++) {
+    const result = runLevelPipeline(levels[i], { deadline: deadline, onProgress: options && options.onProgress });
+    results.push(result);
+    appendRunHistory(result, trigger);
+
+    if (result.status === 'Paused') {
+      // Save finished levels and hand the rest over to the continuation
+      results.filter(finished => finished.status !== 'Paused').forEach(savePipelineResult);
+      const entries = [{ level: levels[i], scanned: true }]
+        .concat(levels.slice(i + 1).map(level => ({ level: level, scanned: false })));
+      scheduleExtractionContinuation({
+        mode: 'pipeline',
+        trigger: trigger,
+        levels: levels,
+        startedAt: startedAt.getTime(),
+        entries: entries
+      });
+      break;
+    }
+  }
+
+  writeUpdateSummary(results, startedAt);
+  if (!results.some(result => result.status === 'Paused')) {
+    notifyAfterRun(levels);
+  }
+  return results;
+}
+
+/**
+ * Menu action: run the whole pipeline for every level and report the
+ * outcome in one dialog and the "Update Summary" sheet.
+ *
+ * @returns {void}
+ */
+function updateEverything() {
+  const results = runPipeline(Object.keys(CONFIGS), 'Menu');
+
+  const lines = results.map(result => {
+    if (result.status === 'OK') {
+      return `${result.level}: ${result.campusesUpdated} campuses updated, ${result.rowsProcessed} files read in ${formatDuration(result.extractionMs)}, ` +
+        `${result.rowsReused} unchanged files skipped, ${result.fileErrors.length} files with errors, ` +
+        `${result.unmappedIds.length} unmapped IDs, ${result.zeroCampuses.length} campuses at 0, ` +
+        `${result.noDataCampuses.length} campuses without data, ${result.overriddenCampuses.length} overridden`;
+    }
+    if (result.status === 'Paused') {
+      return `${result.level}: paused at row ${result.nextRow} to stay within the Apps Script time limit`;
+    }
+    return `${result.level}: ${result.error}`;
+  });
+  let message = `Update Everything finished.\n\n${lines.join('\n')}\n\nSee the "${UPDATE_SUMMARY_SHEET_NAME}" sheet for details.`;
+  if (results.some(result => result.status === 'Paused')) {
+    message = `Update Everything is not finished yet.\n\n${lines.join('\n')}\n\n` +
+      `The remaining work will continue automatically in about a minute (or choose "Resume Get Counts"). ` +
+      `The "${UPDATE_SUMMARY_SHEET_NAME}" sheet will be rewritten when it is done.`;
+  }
+
+  Logger.log(message);
+  SpreadsheetApp.getUi().alert(message);
+}
+
+/**
+ * Count the items of a list of a pipeline result. Results restored by
+ * `takePipelineResults` carry the saved length in `counts` instead.
+ *
+ * @param {Object} result - Result from `runLevelPipeline`
+ * @param {string} key - One of `PIPELINE_RESULT_LISTS`
+ * @returns {number} Number of items
+ */
+function countResultItems(result, key) {
+  return result.counts ? result.counts[key] : result[key].length;
+}
+
+/**
+ * Rewrite the "Update Summary" sheet with a per-level overview followed
+ * by one row per errored file, unmapped ID, campus at 0, campus without
+ * data, campus set by the Override column and campus whose ALE IAs
+ * changed. Levels finished before the run paused only have their counts
+ * and file errors, and get a note saying so.
+ *
+ * @param {Array<Object>} results - Results from `runLevelPipeline`
+ * @param {Date} startedAt - When the run started
+ * @returns {void}
+ */
+function writeUpdateSummary(results, startedAt) {
+  const sheet = getOrCreateSheet(UPDATE_SUMMARY_SHEET_NAME, []);
+  sheet.clearContents();
+
+  const rows = [
+    [`Update Everything run started ${startedAt.toLocaleString()}`, '', '', '', '', '', '', '', ''],
+    ['Level', 'Status', 'Files Scanned', 'Campuses Updated', 'Files With Errors', 'Unmapped IDs', 'Campuses At 0',
+      'Campuses Without Data', 'Overridden Campuses']
+  ];
+  for (const result of results) {
+    rows.push([
+      result.level,
+      result.status === 'Failed' ? result.error : result.status,
+      result.fileCount,
+      result.campusesUpdated,
+      countResultItems(result, 'fileErrors'),
+      countResultItems(result, 'unmappedIds'),
+      countResultItems(result, 'zeroCampuses'),
+      countResultItems(result, 'noDataCampuses'),
+      countResultItems(result, 'overriddenCampuses')
+    ]);
+  }
+
+  rows.push(['', '', '', '', '', '', '', '', '']);
+  rows.push(['Level', 'Type', 'Item', 'Detail', 'Error Code', '', '', '', '']);
+  for (const result of results) {
+    if (result.counts) {
+      rows.push([result.level, 'Note', '', 'Finished before the run paused; only the totals above and the file errors were kept.',
+        '', '', '', '', '']);
+    }
+    for (const fileError of result.fileErrors) {
+      rows.push([result.level, 'File error', fileError.id, `${fileError.name}: ${fileError.message}`, fileError.code, '', '', '', '']);
+    }
+    for (const spreadsheetId of result.unmappedIds) {
+      rows.push([result.level, 'Unmapped ID', spreadsheetId, '', '', '', '', '', '']);
+    }
+    for (const campusName of result.zeroCampuses) {
+      rows.push([result.level, 'Campus at 0', campusName, '', '', '', '', '', '']);
+    }
+    for (const campusName of result.noDataCampuses) {
+      rows.push([result.level, 'Campus without data', campusName, '', '', '', '', '', '']);
+    }
+    for (const campusName of result.overriddenCampuses) {
+      rows.push([result.level, 'Campus overridden', campusName, '', '', '', '', '', '']);
+    }
+    for (const change of result.iaChanges) {
+      rows.push([result.level, 'ALE IAs changed', change.campus,
+        `${change.previous} → ${change.current} IAs (${change.total} students)`, '', '', '', '', '']);
+    }
+  }
+
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+}
@@ -0,0 +1,193 @@
+/**
+ * Provenance of the aggregated totals.
+ *
+ * A Total Enrolled value is often the sum of several teacher
+ * spreadsheets. Every aggregation records where each written value came
+ * from: the "Provenance" sheet lists one row per contributing spreadsheet
+ * with its file name (linked to the spreadsheet), its count and when the
+ * count was read, and the Total Enrolled cell gets a note with the same
+ * sources, so a coordinator can go from a suspicious total to the
+ * teacher sheets behind it.
+ *
+ * @module Provenance
+ */
+
+/**
+ * Name of the sheet listing the sources of each Total Enrolled value.
+ * @type {string}
+ */
+const PROVENANCE_SHEET_NAME = "Provenance";
+
+/**
+ * Header row of the Provenance sheet. "File" links to the spreadsheet.
+ * @type {string[]}
+ */
+const PROVENANCE_HEADERS = ['Level', 'Campus', 'ALE Counts Row', 'Total Enrolled', 'Status', 'Spreadsheet ID', 'File',
+  'Count', 'Last Read', 'Recorded'];
+
+/**
+ * Return the URL of a spreadsheet.
+ *
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @returns {string} Spreadsheet URL
+ */
+function getSpreadsheetUrl(spreadsheetId) {
+  return `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
+}
+
+/**
+ * Read the file name and Last Read time of every spreadsheet listed in
+ * the level sheets.
+ *
+ * @returns {Map<string, {name: string, readAt: ?Date}>} Details by spreadsheet ID
+ */
+function readSourceFileDetails() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const details = new Map();
+  for (const level of Object.keys(CONFIGS)) {
+    const sheet = spreadsheet.getSheetByName(CONFIGS[level].sheetName);
+    if (!sheet || sheet.getLastRow() < 2) continue;
+
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, LEVEL_LAST_READ_COLUMN).getValues();
+    for (const row of values) {
+      if (!row[0]) continue;
+      const readAt = row[LEVEL_LAST_READ_COLUMN - 1];
+      details.set(row[0].toString(), { name: row[1].toString(), readAt: readAt === '' ? null : new Date(readAt) });
+    }
+  }
+  return details;
+}
+
+/**
+ * Read the spreadsheets behind each Total Enrolled value from the
+ * Provenance sheet, as recorded when the campus was last written.
+ *
+ * @returns {Map<string, {status: string, ids: string[]}>} Status and
+ * source spreadsheet IDs keyed by "level|campus"; empty when the sheet
+ * does not exist
+ * @example
+ * readProvenanceSources().get('ES|Adams Hill'); // {status: "Counted", ids: ["es-adams-1", "es-adams-2"]}
+ */
+function readProvenanceSources() {
+  const sources = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PROVENANCE_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return sources;
+  }
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, PROVENANCE_HEADERS.length).getValues();
+  for (const [level, campus, , , status, spreadsheetId] of values) {
+    if (!campus) continue;
+    const key = `${level}|${campus}`;
+    if (!sources.has(key)) sources.set(key, { status: status.toString(), ids: [] });
+    if (spreadsheetId) sources.get(key).ids.push(spreadsheetId.toString());
+  }
+  return sources;
+}
+
+/**
+ * Build the note for the Total Enrolled cell of one aggregated row.
+ *
+ * @param {{proposed: (number|string), status: string, reason: string,
+ * sources: Array<{id: string, count: number}>}} planned - Row from
+ * `planCampusAggregation`
+ * @param {Map<string, {name: string, readAt: ?Date}>} details - From `readSourceFileDetails`
+ * @param {Date} recordedAt - Time of the aggregation
+ * @returns {string} Note text
+ * @example
+ * buildProvenanceNote(planned, readSourceFileDetails(), new Date());
+ * // "14 = sum of 2 spreadsheets:\n• Adams Hill 1 - Lee: 8, read 2025-01-07 02:00\n  https://docs.google.com/..."
+ */
+function buildProvenanceNote(planned, details, recordedAt) {
+  const format = date => Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+  const lines = [];
+  if (planned.status === 'Counted') {
+    lines.push(planned.sources.length === 1
+      ? `${planned.proposed} from 1 spreadsheet:`
+      : `${planned.proposed} = sum of ${planned.sources.length} spreadsheets:`);
+  } else {
+    lines.push(`${planned.reason}.`);
+  }
+
+  for (const source of planned.sources) {
+    const detail = details.get(source.id);
+    const read = detail && detail.readAt ? `, read ${format(detail.readAt)}` : '';
+    lines.push(`• ${detail ? detail.name : source.id}: ${source.count}${read}`);
+    lines.push(`  ${getSpreadsheetUrl(source.id)}`);
+  }
+
+  lines.push(`Recorded ${format(recordedAt)}; see the "${PROVENANCE_SHEET_NAME}" sheet.`);
+  return lines.join('\n');
+}
+
+/**
+ * Record the provenance of aggregated rows: a note on each written Total
+ * Enrolled cell and the rows of the Provenance sheet.
+ *
+ * Locked rows are skipped, like their cells. Rows of campuses this
+ * aggregation did not write are kept in the Provenance sheet.
+ *
+ * @param {Array<{row: number, level: string, campus: string,
+ * proposed: (number|string), status: string, reason: string,
+ * sources: Array<{id: string, count: number}>}>} rows - Rows from
+ * `planCampusAggregation`, as written by `writeAggregationRows`
+ * @param {number} totalColumn - Column of Total Enrolled
+ * @param {Date} [recordedAt] - Time of the aggregation; defaults to now
+ * @returns {void}
+ */
+function writeProvenance(rows, totalColumn, recordedAt) {
+  const recorded = recordedAt || new Date();
+  const written = rows.filter(planned => planned.status !== 'Locked');
+  if (written.length === 0) {
+    return;
+  }
+  const details = readSourceFileDetails();
+
+  // Notes on the Total Enrolled cells, one call per block of consecutive rows
+  const aleCountsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ALE_COUNTS_SHEET_NAME);
+  const noteByRow = new Map(written.map(planned => [planned.row, buildProvenanceNote(planned, details, recorded)]));
+  for (const range of toRowRanges(written.map(planned => planned.row))) {
+    const notes = [];
+    for (let row = range.start; row <= range.end; row++) {
+      notes.push([noteByRow.get(row)]);
+    }
+    aleCountsSheet.getRange(range.start, totalColumn, notes.length, 1).setNotes(notes);
+  }
+
+  // Replace the Provenance rows of the written campuses and keep the rest
+  const sheet = getOrCreateSheet(PROVENANCE_SHEET_NAME, PROVENANCE_HEADERS);
+  const writtenCampuses = new Set(written.map(planned => `${planned.level}|${planned.campus}`));
+  let output = [];
+  if (sheet.getLastRow() > 1) {
+    output = sheet.getRange(2, 1, sheet.getLastRow() - 1, PROVENANCE_HEADERS.length).getValues()
+      .filter(row => row[1] !== '' && !writtenCampuses.has(`${row[0]}|${row[1]}`));
+  }
+  for (const planned of written) {
+    const base = [planned.level, planned.campus, planned.row, planned.proposed, planned.status];
+    if (planned.sources.length === 0) {
+      output.push(base.concat(['', '', '', '', recorded]));
+    }
+    for (const source of planned.sources) {
+      const detail = details.get(source.id);
+      output.push(base.concat([source.id, detail ? detail.name : '', source.count,
+        detail && detail.readAt ? detail.readAt : '', recorded]));
+    }
+  }
+  output.sort((a, b) => Number(a[2]) - Number(b[2]));
+
+  // Link each file name to its spreadsheet; kept rows lost their formula when read
+  for (const row of output) {
+    if (row[5]) {
+      const label = (row[6] || row[5]).toString().replace(/"/g, '""');
+      row[6] = `=HYPERLINK("${getSpreadsheetUrl(row[5])}", "${label}")`;
+    }
+  }
+
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, PROVENANCE_HEADERS.length).clearContent();
+  }
+  sheet.getRange(1, 1, 1, PROVENANCE_HEADERS.length).setValues([PROVENANCE_HEADERS]);
+  if (output.length > 0) {
+    sheet.getRange(2, 1, output.length, PROVENANCE_HEADERS.length).setValues(output);
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Resumable extraction for the class counts utility.
+ *
+ * Apps Script stops an execution after six minutes, which a level with
+ * 100+ teacher spreadsheets can reach. Extraction therefore works against
+ * a time budget: before the budget runs out it saves the next row to
+ * process in Script Properties and a one-off trigger (or the "Resume Get
+ * Counts" menu item) continues from that row in a fresh execution.
+ * Aggregation only runs once every row of a level has been read.
+ *
+ * @module ResumableExtraction
+ */
+
+/**
+ * Time an execution may spend extracting before it checkpoints. Leaves a
+ * margin below the six-minute limit for aggregation and bookkeeping.
+ * @type {number}
+ */
+const EXTRACTION_TIME_BUDGET_MS = 4.5 * 60 * 1000;
+
+/**
+ * Delay before the continuation trigger fires.
+ * @type {number}
+ */
+const CONTINUATION_DELAY_MS = 60 * 1000;
+
+/**
+ * Script Property holding the pending continuation state.
+ * @type {string}
+ */
+const PENDING_EXTRACTION_PROPERTY = "EXTRACTION_PENDING";
+
+/**
+ * Lists of a pipeline result that `savePipelineResult` keeps as their
+ * length only. A Script Property value holds at most 9 KB, which the
+ * errors and unmapped IDs of a large level would exceed.
+ * @type {string[]}
+ */
+const PIPELINE_RESULT_LISTS = ['fileErrors', 'unmappedIds', 'zeroCampuses', 'noDataCampuses', 'overriddenCampuses', 'iaChanges'];
+
+/**
+ * Moment this execution started; the global scope is evaluated once per
+ * execution, so this is the reference point for the time budget.
+ * @type {number}
+ */
+const EXECUTION_STARTED_AT = Date.now();
+
+/**
+ * Return the time (ms since epoch) at which extraction in this execution
+ * must stop and checkpoint.
+ *
+ * @returns {number} Deadline timestamp
+ */
+function getExecutionDeadline() {
+  return EXECUTION_STARTED_AT + EXTRACTION_TIME_BUDGET_MS;
+}
+
+/**
+ * Return the saved row from which a level's extraction should resume.
+ *
+ * @param {string} level - Level key ('ES', 'MS' or 'HS')
+ * @returns {number} Sheet row to resume from, or 2 if there is no checkpoint
+ */
+function getExtractionCheckpoint(level) {
+  const saved = PropertiesService.getScriptProperties().getProperty(`EXTRACTION_CHECKPOINT_${level}`);
+  return saved ? Number(saved) : 2;
+}
+
+/**
+ * Save the next unprocessed row of a level.
+ *
+ * @param {string} level - Level key ('ES', 'MS' or 'HS')
+ * @param {number} row - Sheet row to resume from
+ * @returns {void}
+ */
+function saveExtractionCheckpoint(level, row) {
+  PropertiesService.getScriptProperties().setProperty(`EXTRACTION_CHECKPOINT_${level}`, String(row));
+}
+
+/**
+ * Forget a level's checkpoint, e.g. after it finished or was rescanned.
+ *
+ * @param {string} level - Level key ('ES', 'MS' or 'HS')
+ * @returns {void}
+ */
+function clearExtractionCheckpoint(level) {
+  PropertiesService.getScriptProperties().deleteProperty(`EXTRACTION_CHECKPOINT_${level}`);
+}
+
+/**
+ * Store what is left to do and schedule `continueExtraction`.
+ *
+ * @param {{mode: string, startedAt: number, entries: Array<{level: string,
+ * scanned: boolean}>, trigger: (string|undefined), levels: (string[]|undefined)}} state
+ * `mode` is "level" for a single Get Counts or "pipeline" for
+ * `runPipeline`; `entries` are the levels still to process, in order.
+ * Pipeline runs also keep the `trigger` that started them and all of
+ * their `levels`.
+ * @returns {void}
+ */
+function scheduleExtractionContinuation(state) {
+  PropertiesService.getScriptProperties().setProperty(PENDING_EXTRACTION_PROPERTY, JSON.stringify(state));
+
+  deleteContinuationTriggers();
+  ScriptApp.newTrigger('continueExtraction')
+    .timeBased()
+    .after(CONTINUATION_DELAY_MS)
+    .create();
+}
+
+/**
+ * Remove any scheduled `continueExtraction` triggers.
+ *
+ * @returns {void}
+ */
+function deleteContinuationTriggers() {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getHandlerFunction() === 'continueExtraction') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  }
+}
+
+/**
+ * Save the result of a level finished by a pipeline run so the final
+ * continuation can include it in the Update Summary. Only the length of
+ * each of the `PIPELINE_RESULT_LISTS` is saved, in `counts`; the lists
+ * are saved empty.
+ *
+ * @param {Object} result - Result from `runLevelPipeline`
+ * @returns {void}
+ */
+function savePipelineResult(result) {
+  const saved = Object.assign({}, result, { counts: {} });
+  for (const key of PIPELINE_RESULT_LISTS) {
+    saved.counts[key] = result[key].length;
+    saved[key] = [];
+  }
+  PropertiesService.getScriptProperties().setProperty(`EXTRACTION_RESULT_${result.level}`, JSON.stringify(saved));
+}
+
+/**
+ * Load and forget the pipeline results saved for the given levels. The
+ * file errors are listed again from the level sheet, which still holds
+ * them in its Error Log column.
+ *
+ * @param {string[]} levels - Level keys
+ * @returns {Array<Object>} Saved results, in the order of `levels`
+ */
+function takePipelineResults(levels) {
+  const properties = PropertiesService.getScriptProperties();
+  const results = [];
+  for (const level of levels) {
+    const saved = properties.getProperty(`EXTRACTION_RESULT_${level}`);
+    if (saved) {
+      const result = JSON.parse(saved);
+      const sheet = CONFIGS[level] && SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIGS[level].sheetName);
+      if (sheet) {
+        result.fileErrors = readExtractionErrors(sheet);
+      }
+      results.push(result);
+      properties.deleteProperty(`EXTRACTION_RESULT_${level}`);
+    }
+  }
+  return results;
+}
+
+/**
+ * Continue a paused extraction from its checkpoint. Runs from the
+ * one-off trigger set by `scheduleExtractionContinuation` and from the
+ * "Resume Get Counts" menu item; it only shows alerts when a UI exists.
+ *
+ * @returns {void}
+ */
+function continueExtraction() {
+  deleteContinuationTriggers();
+
+  const properties = PropertiesService.getScriptProperties();
+  const saved = properties.getProperty(PENDING_EXTRACTION_PROPERTY);
+  const ui = getUiOrNull();
+
+  if (!saved) {
+    Logger.log("No paused extraction to continue.");
+    if (ui) ui.alert("There is no paused Get Counts run to resume.");
+    return;
+  }
+
+  const state = JSON.parse(saved);
+  const deadline = getExecutionDeadline();
+
+  while (state.entries.length > 0) {
+    const entry = state.entries[0];
+
+    if (state.mode === 'pipeline') {
+      const result = runLevelPipeline(entry.level, { deadline: deadline, skipScan: entry.scanned });
+      appendRunHistory(result, `${state.trigger} (continued)`);
+      if (result.status === 'Paused') {
+        entry.scanned = true;
+        scheduleExtractionContinuation(state);
+        Logger.log(`${entry.level} extraction paused at row ${result.nextRow}; continuation scheduled.`);
+        return;
+      }
+      savePipelineResult(result);
+    } else {
+      let step = 'Extraction';
+      try {
+        const summary = extractLevelCounts(CONFIGS[entry.level], deadline);
+        if (!summary.complete) {
+          scheduleExtractionContinuation(state);
+          Logger.log(`${entry.level} extraction paused at row ${summary.nextRow}; continuation scheduled.`);
+          return;
+        }
+        step = 'Aggregation';
+        const aggregation = runCampusAggregation(entry.level);
+        Logger.log(`${entry.level} extraction finished: ${aggregation.campusesUpdated} campuses updated.`);
+      } catch (e) {
+        // Give up on the paused run instead of resuming a level that keeps failing
+        properties.deleteProperty(PENDING_EXTRACTION_PROPERTY);
+        const message = `${entry.level} ${step} failed: ${e.message}`;
+        Logger.log(message);
+        if (ui) ui.alert(`The paused Get Counts run could not finish. ${message}`);
+        return;
+      }
+    }
+
+    state.entries.shift();
+  }
+
+  properties.deleteProperty(PENDING_EXTRACTION_PROPERTY);
+
+  let message = "The paused Get Counts run has finished and the ALE Counts sheet was updated.";
+  if (state.mode === 'pipeline') {
+    writeUpdateSummary(takePipelineResults(state.levels), new Date(state.startedAt));
+    notifyAfterRun(state.levels);
+    message = `Update Everything has finished. See the "${UPDATE_SUMMARY_SHEET_NAME}" sheet for details.`;
+  }
+  Logger.log(message);
+  if (ui) ui.alert(message);
+}
@@ -0,0 +1,150 @@
+/**
+ * Scheduled refresh and run history.
+ *
+ * Installs a daily time-driven trigger that runs the scan, extraction and
+ * aggregation pipeline for the chosen levels without any UI, and appends
+ * one row per level and execution to the "Run History" sheet.
+ *
+ * @module ScheduledRefresh
+ */
+
+/**
+ * Hour of the day (script time zone) at which the nightly refresh runs.
+ * @type {number}
+ */
+const NIGHTLY_REFRESH_HOUR = 2;
+
+/**
+ * Script Property holding the comma-separated levels to refresh.
+ * @type {string}
+ */
+const SCHEDULED_LEVELS_PROPERTY = "SCHEDULED_LEVELS";
+
+/**
+ * Name of the sheet recording every pipeline run.
+ * @type {string}
+ */
+const RUN_HISTORY_SHEET_NAME = "Run History";
+
+/**
+ * Header row of the Run History sheet.
+ * @type {string[]}
+ */
+const RUN_HISTORY_HEADERS = ['Start Time', 'End Time', 'Trigger', 'Level', 'Status', 'Rows Processed', 'Errors', 'Campuses Updated', 'Details'];
+
+/**
+ * Menu action: ask which levels to refresh and install the daily trigger,
+ * replacing any existing schedule.
+ *
+ * @returns {void}
+ */
+function installNightlyRefresh() {
+  const ui = SpreadsheetApp.getUi();
+  const allLevels = Object.keys(CONFIGS);
+  const response = ui.prompt(
+    'Nightly Refresh',
+    `Which levels should refresh every night around ${NIGHTLY_REFRESH_HOUR}:00? Enter level codes separated by commas (${allLevels.join(', ')}).`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const requested = response.getResponseText().split(',')
+    .map(level => level.trim().toUpperCase())
+    .filter(level => level);
+  const unknown = requested.filter(level => !CONFIGS[level]);
+  if (requested.length === 0 || unknown.length > 0) {
+    ui.alert(`Error: Enter one or more of ${allLevels.join(', ')}.${unknown.length > 0 ? ` Unknown: ${unknown.join(', ')}` : ''}`);
+    return;
+  }
+
+  // Keep CONFIGS order so levels always run in the same sequence
+  const levels = allLevels.filter(level => requested.includes(level));
+  PropertiesService.getScriptProperties().setProperty(SCHEDULED_LEVELS_PROPERTY, levels.join(','));
+
+  deleteScheduledRefreshTriggers();
+  ScriptApp.newTrigger('runScheduledRefresh')
+    .timeBased()
+    .everyDays(1)
+    .atHour(NIGHTLY_REFRESH_HOUR)
+    .create();
+
+  const message = `Nightly refresh installed for ${levels.join(', ')}. Each run is recorded in the "${RUN_HISTORY_SHEET_NAME}" sheet.`;
+  Logger.log(message);
+  ui.alert(message);
+}
+
+/**
+ * Menu action: remove the nightly refresh trigger.
+ *
+ * @returns {void}
+ */
+function removeNightlyRefresh() {
+  const removed = deleteScheduledRefreshTriggers();
+  PropertiesService.getScriptProperties().deleteProperty(SCHEDULED_LEVELS_PROPERTY);
+
+  const message = removed > 0 ? 'Nightly refresh removed.' : 'No nightly refresh was installed.';
+  Logger.log(message);
+  SpreadsheetApp.getUi().alert(message);
+}
+
+/**
+ * Delete every `runScheduledRefresh` trigger of the project.
+ *
+ * @returns {number} Number of triggers deleted
+ */
+function deleteScheduledRefreshTriggers() {
+  let removed = 0;
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getHandlerFunction() === 'runScheduledRefresh') {
+      ScriptApp.deleteTrigger(trigger);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Time-driven trigger handler: run the pipeline for the scheduled levels.
+ * Must not touch `SpreadsheetApp.getUi()`, which fails in trigger context.
+ *
+ * @returns {void}
+ */
+function runScheduledRefresh() {
+  const saved = PropertiesService.getScriptProperties().getProperty(SCHEDULED_LEVELS_PROPERTY);
+  const levels = (saved || Object.keys(CONFIGS).join(','))
+    .split(',')
+    .filter(level => CONFIGS[level]);
+
+  const results = runPipeline(levels, 'Scheduled');
+  Logger.log(`Scheduled refresh: ${results.map(result => `${result.level} ${result.status}`).join(', ')}`);
+}
+
+/**
+ * Append a level's pipeline result to the Run History sheet.
+ *
+ * @param {Object} result - Result from `runLevelPipeline`
+ * @param {string} trigger - What started the run (e.g. "Menu", "Scheduled")
+ * @returns {void}
+ */
+function appendRunHistory(result, trigger) {
+  const sheet = getOrCreateSheet(RUN_HISTORY_SHEET_NAME, RUN_HISTORY_HEADERS);
+
+  let details = result.error;
+  if (result.status === 'Paused') {
+    details = `Paused at row ${result.nextRow}; continuation scheduled`;
+  }
+
+  sheet.appendRow([
+    new Date(result.startedAt),
+    new Date(result.endedAt),
+    trigger,
+    result.level,
+    result.status,
+    result.rowsProcessed,
+    result.fileErrors.length,
+    result.campusesUpdated,
+    details
+  ]);
+}
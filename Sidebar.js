@@ -0,0 +1,196 @@
+/**
+ * Sidebar dashboard.
+ *
+ * The menu actions report through blocking alerts and show nothing while
+ * dozens of spreadsheets are opened. The sidebar (Sidebar.html) lets the
+ * user pick levels and an action, shows which file is being read while
+ * the action runs, and lists the result per level: campuses updated,
+ * campuses without data and files with errors, each linked to its
+ * spreadsheet.
+ *
+ * The action runs in one `google.script.run` call while the sidebar
+ * polls `getSidebarProgress`; progress is passed through the user cache.
+ *
+ * @module Sidebar
+ */
+
+/**
+ * User cache key holding the progress of the running sidebar action.
+ * @type {string}
+ */
+const SIDEBAR_PROGRESS_KEY = "SIDEBAR_PROGRESS";
+
+/**
+ * Seconds the progress entry is kept; longer than one execution.
+ * @type {number}
+ */
+const SIDEBAR_PROGRESS_TTL_SECONDS = 600;
+
+/**
+ * Actions the sidebar can run, keyed by the value the sidebar sends.
+ * @type {Object<string, string>}
+ */
+const SIDEBAR_ACTIONS = {
+  scan: 'Get Spreadsheet IDs',
+  counts: 'Get Counts',
+  everything: 'Update Everything',
+};
+
+/**
+ * Menu action: open the dashboard sidebar.
+ *
+ * @returns {void}
+ */
+function showSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile('Sidebar').setTitle('ALE Counts Dashboard');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Called by the sidebar when it loads: the levels and actions to offer.
+ *
+ * @returns {{levels: string[], actions: Object<string, string>}} Level
+ * keys and action labels
+ */
+function getSidebarOptions() {
+  return { levels: Object.keys(CONFIGS), actions: SIDEBAR_ACTIONS };
+}
+
+/**
+ * Called by the sidebar while an action runs.
+ *
+ * @returns {?{message: string, level: string, done: number, total: number,
+ * file: string}} The latest progress, or null before anything was reported
+ */
+function getSidebarProgress() {
+  const saved = CacheService.getUserCache().get(SIDEBAR_PROGRESS_KEY);
+  return saved ? JSON.parse(saved) : null;
+}
+
+/**
+ * Record the progress of the running sidebar action.
+ *
+ * @param {{level: string, done: (number|undefined), total: (number|undefined),
+ * file: (string|undefined), count: (number|undefined)}} progress - Current
+ * level and, during extraction, the first file of the batch being read
+ * and the number of files in the batch
+ * @param {string} [message] - Text shown instead of the file names
+ * @returns {void}
+ */
+function reportSidebarProgress(progress, message) {
+  const done = progress.done || 0;
+  const count = progress.count || 1;
+  const files = count > 1 ? `${progress.file} and ${count - 1} more (${done + 1}–${done + count}` : `${progress.file} (${done + 1}`;
+  const entry = {
+    level: progress.level,
+    done: done,
+    total: progress.total || 0,
+    file: progress.file || '',
+    message: message || `${progress.level}: reading ${files} of ${progress.total})`
+  };
+  CacheService.getUserCache().put(SIDEBAR_PROGRESS_KEY, JSON.stringify(entry), SIDEBAR_PROGRESS_TTL_SECONDS);
+}
+
+/**
+ * Called by the sidebar: run an action for the chosen levels and return
+ * what to list, without any alert.
+ *
+ * - "scan" lists each level's Drive folder (see `scanLevelFolder`).
+ * - "counts" reads the counts and aggregates each level whose files were
+ *   all read, like the Get Counts menu items.
+ * - "everything" runs the Update Everything pipeline (see `runPipeline`).
+ *
+ * When extraction runs out of time the rest continues automatically, as
+ * from the menu, and the level is listed as "Paused".
+ *
+ * @param {string} action - Key of `SIDEBAR_ACTIONS`
+ * @param {string[]} levels - Level keys, in order
+ * @returns {{action: string, levels: Array<{level: string, status: string,
+ * message: string, updated: number, missing: string[],
+ * errors: Array<{name: string, url: string, message: string}>}>}} One
+ * entry per level; `status` is "OK", "Paused" or "Failed"
+ * @throws {Error} If the action or a level is unknown
+ */
+function runSidebarAction(action, levels) {
+  if (!SIDEBAR_ACTIONS[action]) {
+    throw new Error(`Unknown action "${action}".`);
+  }
+  const unknown = levels.filter(level => !CONFIGS[level]);
+  if (levels.length === 0 || unknown.length > 0) {
+    throw new Error(`Choose one or more of ${Object.keys(CONFIGS).join(', ')}.`);
+  }
+
+  const summary = { action: action, levels: [] };
+  const entry = (level, status, message) =>
+    ({ level: level, status: status, message: message, updated: 0, missing: [], errors: [] });
+  const errorLinks = errors => errors.map(error =>
+    ({ name: error.name, url: `https://docs.google.com/spreadsheets/d/${error.id}`, message: error.message }));
+
+  try {
+    if (action === 'everything') {
+      for (const result of runPipeline(levels, 'Sidebar', { onProgress: progress => reportSidebarProgress(progress) })) {
+        const item = entry(result.level, result.status, result.error);
+        if (result.status === 'Paused') {
+          item.message = `Paused at row ${result.nextRow}; the rest continues automatically in about a minute.`;
+        }
+        item.updated = result.campusesUpdated;
+        item.missing = result.noDataCampuses;
+        item.errors = errorLinks(result.fileErrors);
+        summary.levels.push(item);
+      }
+      return summary;
+    }
+
+    for (let i = 0; i < levels.length; i++) {
+      const level = levels[i];
+      const levelConfig = CONFIGS[level];
+
+      if (action === 'scan') {
+        reportSidebarProgress({ level: level }, `${level}: listing the Drive folder`);
+        try {
+          const result = scanLevelFolder(levelConfig);
+          const item = entry(level, 'OK', `${result.fileCount} files listed, ${result.unmapped} not in the Campus Registry`);
+          summary.levels.push(item);
+        } catch (e) {
+          summary.levels.push(entry(level, 'Failed', e.message));
+        }
+        continue;
+      }
+
+      let extraction;
+      try {
+        extraction = extractLevelCounts(levelConfig, getExecutionDeadline(), progress => reportSidebarProgress(progress));
+      } catch (e) {
+        summary.levels.push(entry(level, 'Failed', e.message));
+        continue;
+      }
+      if (!extraction.complete) {
+        scheduleExtractionContinuation({
+          mode: 'level',
+          startedAt: Date.now(),
+          entries: levels.slice(i).map(remaining => ({ level: remaining, scanned: true }))
+        });
+        const item = entry(level, 'Paused', `Paused at row ${extraction.nextRow}; the rest continues automatically in about a minute.`);
+        item.errors = errorLinks(extraction.errors);
+        summary.levels.push(item);
+        break;
+      }
+
+      reportSidebarProgress({ level: level }, `${level}: updating the ALE Counts sheet`);
+      const item = entry(level, 'OK', `${extraction.processed} files read in ${formatDuration(extraction.durationMs)}, ${extraction.reused} unchanged files skipped`);
+      item.errors = errorLinks(extraction.errors);
+      try {
+        const aggregation = runCampusAggregation(level);
+        item.updated = aggregation.campusesUpdated;
+        item.missing = aggregation.noDataCampuses;
+      } catch (e) {
+        item.status = 'Failed';
+        item.message = e.message;
+      }
+      summary.levels.push(item);
+    }
+    return summary;
+  } finally {
+    CacheService.getUserCache().remove(SIDEBAR_PROGRESS_KEY);
+  }
+}
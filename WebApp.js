@@ -0,0 +1,165 @@
+/**
+ * Read-only JSON web app.
+ *
+ * Other teams read the latest counts from the web app URL instead of
+ * copying them out of the ALE Counts sheet. `doGet` answers with the
+ * Total Enrolled values as last written to the ALE Counts sheet (see
+ * `readAleCountsRows`) and their sources from the Provenance sheet,
+ * together with the time of the latest Count History snapshot of each
+ * level and a data status per campus. Nothing is recomputed per request
+ * and the spreadsheet is never written.
+ *
+ * Query parameters:
+ * - `level`: only campuses of this level (ES, MS or HS)
+ * - `campus`: only this campus (case-insensitive)
+ *
+ * @module WebApp
+ */
+
+/**
+ * Version of the response format, included in every response.
+ * @type {number}
+ */
+const WEB_APP_SCHEMA_VERSION = 1;
+
+/**
+ * Describe how a Total Enrolled value was last written, from its
+ * Provenance sheet entry.
+ *
+ * @param {{status: string, ids: string[]}} provenance - Entry from `readProvenanceSources`
+ * @returns {string} Short description
+ * @example
+ * describeProvenanceStatus({status: 'Counted', ids: ['a', 'b']}); // "Sum of 2 spreadsheets"
+ */
+function describeProvenanceStatus(provenance) {
+  if (provenance.status === 'Override') return 'Set by the Override column';
+  if (provenance.status === 'No Data') return 'No count was found when last aggregated';
+  if (provenance.status !== 'Counted') return provenance.status;
+  return provenance.ids.length === 1 ? 'Matched 1 spreadsheet' : `Sum of ${provenance.ids.length} spreadsheets`;
+}
+
+/**
+ * Build the web app response for the given filters, without any output
+ * wrapping.
+ *
+ * Campus status:
+ * - "error": a spreadsheet of the campus has an Error Log entry, so its
+ *   count may be incomplete
+ * - "missing": the campus's Total Enrolled cell is blank
+ * - "ok": otherwise
+ *
+ * @param {{level: (string|undefined), campus: (string|undefined)}} filters
+ * Optional level and campus filters
+ * @returns {{ok: boolean, schemaVersion: number, generatedAt: string,
+ * lastRefresh: ?string, levels: Object<string, ?string>,
+ * filters: {level: string, campus: string}, campuses: Array<{level: string,
+ * campus: string, totalEnrolled: ?number, status: string, detail: string,
+ * sourceSpreadsheetIds: string[]}>}} Response body; times are ISO 8601
+ * @throws {Error} If the level is unknown or the ALE Counts sheet cannot
+ * be read
+ * @example
+ * buildCountsResponse({ level: 'ES', campus: 'Adams Hill' });
+ * // {ok: true, campuses: [{level: 'ES', campus: 'Adams Hill', totalEnrolled: 14, status: 'ok', ...}], ...}
+ */
+function buildCountsResponse(filters) {
+  const level = (filters.level || '').toString().trim().toUpperCase();
+  const campus = (filters.campus || '').toString().trim();
+  if (level && !CONFIGS[level]) {
+    throw new Error(`Unknown level "${filters.level}". Use one of ${Object.keys(CONFIGS).join(', ')}.`);
+  }
+
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const levels = level ? [level] : Object.keys(CONFIGS);
+  const aleCountsSheet = spreadsheet.getSheetByName(ALE_COUNTS_SHEET_NAME);
+  if (!aleCountsSheet) {
+    throw new Error("ALE Counts sheet not found");
+  }
+  const sources = readProvenanceSources();
+
+  // Error Log entries and the registered spreadsheet of each campus
+  const errorsById = {};
+  const idsByCampus = {};
+  for (const levelKey of Object.keys(CONFIGS)) {
+    const sheet = spreadsheet.getSheetByName(CONFIGS[levelKey].sheetName);
+    if (sheet) {
+      for (const error of readExtractionErrors(sheet)) errorsById[error.id] = error.message;
+    }
+    for (const [campusName, spreadsheetId] of getCampusMap(levelKey)) {
+      if (spreadsheetId) idsByCampus[`${levelKey}|${campusName}`] = spreadsheetId;
+    }
+  }
+
+  const campuses = readAleCountsRows(aleCountsSheet)
+    .filter(entry => !level || entry.level === level)
+    .filter(entry => !campus || entry.campus.toLowerCase() === campus.toLowerCase())
+    .map(entry => {
+      const provenance = sources.get(`${entry.level}|${entry.campus}`);
+      const ids = provenance ? provenance.ids.slice() : [];
+      const registered = idsByCampus[`${entry.level}|${entry.campus}`];
+      if (registered && !ids.includes(registered)) ids.push(registered);
+
+      const total = entry.total === '' ? NaN : Number(entry.total);
+      const erroredId = ids.find(id => errorsById[id]);
+      let status = 'ok';
+      let detail = provenance ? describeProvenanceStatus(provenance) : '';
+      if (erroredId) {
+        status = 'error';
+        detail = `${erroredId}: ${errorsById[erroredId]}`;
+      } else if (isNaN(total)) {
+        status = 'missing';
+        detail = 'No Total Enrolled value';
+      }
+
+      return {
+        level: entry.level,
+        campus: entry.campus,
+        totalEnrolled: isNaN(total) ? null : total,
+        status: status,
+        detail: detail,
+        sourceSpreadsheetIds: ids
+      };
+    });
+
+  const snapshotTimes = getLastSnapshotTimes();
+  const levelTimes = {};
+  let lastRefresh = null;
+  for (const levelKey of levels) {
+    const time = snapshotTimes[levelKey] || null;
+    levelTimes[levelKey] = time ? time.toISOString() : null;
+    if (time && (!lastRefresh || time > lastRefresh)) lastRefresh = time;
+  }
+
+  return {
+    ok: true,
+    schemaVersion: WEB_APP_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    lastRefresh: lastRefresh ? lastRefresh.toISOString() : null,
+    levels: levelTimes,
+    filters: { level: level, campus: campus },
+    campuses: campuses
+  };
+}
+
+/**
+ * Web app entry point: return the current counts as JSON.
+ *
+ * Errors are returned as `{ok: false, error: "..."}` rather than thrown,
+ * so callers always receive JSON.
+ *
+ * @param {{parameter: Object<string, string>}} e - Web app request event
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ * @example
+ * // GET https://script.google.com/macros/s/<deployment>/exec?level=MS&campus=Jordan
+ */
+function doGet(e) {
+  let body;
+  try {
+    body = buildCountsResponse((e && e.parameter) || {});
+  } catch (err) {
+    Logger.log(`Web app request failed: ${err.message}`);
+    body = { ok: false, schemaVersion: WEB_APP_SCHEMA_VERSION, error: err.message };
+  }
+
+  return ContentService.createTextOutput(JSON.stringify(body))
+    .setMimeType(ContentService.MimeType.JSON);
+}
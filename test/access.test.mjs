@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { REGISTRY, levelSheetValues, registryValues } from './helpers/fixtures.mjs';
+import { loadProject, plain } from './helpers/load-project.mjs';
+
+function owned(id, name, owner, options = {}) {
+  const spreadsheet = new FakeSpreadsheet(id);
+  spreadsheet.name = name;
+  spreadsheet.owner = owner;
+  Object.assign(spreadsheet, options);
+  return spreadsheet;
+}
+
+function setup(options = {}) {
+  const ana = { displayName: 'Ana Lee', emailAddress: 'ana.lee@example.org' };
+  const ben = { displayName: 'Ben Ortiz', emailAddress: 'ben.ortiz@example.org' };
+  return loadProject({
+    active: new FakeSpreadsheet('active', {
+      'Campus Registry': registryValues(),
+      'Campus Contacts': [['Campus', 'Email', 'Active'], ['Bernal', 'office@bernal.example', true]],
+      ES: levelSheetValues([['es-adams', 4], ['es-stray', '']]),
+    }),
+    spreadsheets: [
+      owned('es-adams', 'Adams Hill - Lee', ana),
+      owned('es-stray', 'Stray roster', ana),
+      owned('ms-connally', 'Connally - Ortiz', ben, { trashed: true }),
+      owned('ms-jordan', 'Jordan - Ortiz', ben, { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+      ...['ms-academy', 'hs-brandeis', 'hs-academy'].map(id => owned(id, `${id} file`, ana)),
+    ],
+    forbidden: ['es-bernal'],
+    ...options,
+  });
+}
+
+test('runAccessAudit checks every mapped and listed spreadsheet and lists problems first', () => {
+  const { project, services } = setup();
+
+  const result = plain(project.runAccessAudit());
+
+  assert.deepEqual(result, {
+    checked: REGISTRY.length + 1,
+    problems: 4,
+    requests: 3,
+    byStatus: { 'No access': 1, 'Trashed': 1, 'Not a spreadsheet': 1, 'Not found': 1, OK: 5 },
+  });
+  const rows = services.active.getSheetByName('Access Audit').dump();
+  assert.deepEqual(rows[0], plain(project.ACCESS_AUDIT_HEADERS));
+  assert.deepEqual(rows.slice(1, 5).map(row => [row[2], row[5], row[7], row[8]]), [
+    ['es-bernal', 'No access', '', 'office@bernal.example'],
+    ['ms-connally', 'Trashed', 'Ben Ortiz <ben.ortiz@example.org>', 'ben.ortiz@example.org'],
+    ['ms-jordan', 'Not a spreadsheet', 'Ben Ortiz <ben.ortiz@example.org>', 'ben.ortiz@example.org'],
+    ['hs-clark', 'Not found', '', ''],
+  ]);
+  assert.equal(rows[1][6], 'Not shared with ale-admin@example.org; the owner cannot be looked up');
+  const adams = rows.find(row => row[2] === 'es-adams');
+  assert.deepEqual(adams.slice(0, 6), ['ES', 'Adams Hill', 'es-adams', 'Adams Hill - Lee', 'Campus Registry; ES sheet row 2', 'OK']);
+  assert.equal(rows.find(row => row[2] === 'es-stray')[4], 'ES sheet row 3');
+});
+
+test('runAccessAudit writes one share-request message per owner or campus contact', () => {
+  const { project, services } = setup();
+
+  project.runAccessAudit();
+
+  const requests = services.active.getSheetByName('Share Requests').dump();
+  assert.deepEqual(requests.slice(1).map(row => row.slice(0, 3)), [
+    ['office@bernal.example', 1, 'Please share your ALE class count spreadsheet'],
+    ['ben.ortiz@example.org', 2, 'Please share 2 ALE class count spreadsheets'],
+    ['(unknown; ask the campus)', 1, 'Please share your ALE class count spreadsheet'],
+  ]);
+  assert.match(requests[1][3], /^Hello,\n\n.*ale-admin@example\.org cannot read this one:\n\n- es-bernal \(Bernal\): please share it with ale-admin@example\.org \(Viewer is enough\)\n {2}https:\/\/docs\.google\.com\/spreadsheets\/d\/es-bernal\n/);
+  assert.match(requests[2][3], /^Hello Ben Ortiz,\n/);
+  assert.match(requests[2][3], /- Connally - Ortiz \(Connally\): it is in your trash; please restore it\n/);
+  assert.match(requests[2][3], /- Jordan - Ortiz \(Jordan\): it is not a Google Sheets file/);
+});
+
+test('auditSpreadsheetAccess summarises the audit in an alert', () => {
+  const { project, services } = setup();
+
+  project.auditSpreadsheetAccess();
+
+  assert.equal(services.ui.alerts[0],
+    '4 of 9 spreadsheets need attention (No access: 1, Trashed: 1, Not a spreadsheet: 1, Not found: 1). ' +
+    'See the "Access Audit" sheet.\n\n3 share-request messages were written to the "Share Requests" sheet.');
+});
+
+test('runAccessAudit names the admin address when the running account cannot be looked up', () => {
+  const { project, services } = setup({ effectiveUser: '' });
+  services.properties.set('NOTIFICATION_ADMIN_EMAIL', 'counts-admin@example.org');
+
+  project.runAccessAudit();
+
+  const rows = services.active.getSheetByName('Access Audit').dump();
+  assert.equal(rows[1][6], 'Not shared with counts-admin@example.org; the owner cannot be looked up');
+  const requests = services.active.getSheetByName('Share Requests').dump();
+  assert.match(requests[1][3], /please share it with counts-admin@example\.org \(Viewer is enough\)/);
+
+  services.properties.delete('NOTIFICATION_ADMIN_EMAIL');
+  assert.equal(project.getAuditAccount(), 'the account that runs the ALE counts');
+});
@@ -0,0 +1,248 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { REGISTRY, aleCountsValues, levelSheetValues, registryValues } from './helpers/fixtures.mjs';
+import { loadProject, plain } from './helpers/load-project.mjs';
+
+function setup(levelRows, extraSheets = {}) {
+  return loadProject({
+    active: new FakeSpreadsheet('active', {
+      'ALE Counts': aleCountsValues(),
+      'Campus Registry': registryValues(),
+      ES: levelSheetValues(levelRows.ES || []),
+      MS: levelSheetValues(levelRows.MS || []),
+      HS: levelSheetValues(levelRows.HS || []),
+      ...extraSheets,
+    }),
+  });
+}
+
+function totals(services) {
+  return services.active.getSheetByName('ALE Counts').getRange('C4:C14').getValues().map(row => row[0]);
+}
+
+test('readSourceSheetData maps spreadsheet IDs to campuses and collects unmapped IDs', () => {
+  const { project } = setup({ ES: [['es-adams', 4], ['es-unknown', 2], ['es-bernal', 'n/a'], ['', 5]] });
+
+  const unmapped = [];
+  const records = plain(project.readSourceSheetData('ES', project.getCampusMap('ES'), unmapped));
+
+  assert.deepEqual(records.map(record => [record.campus, record.count]), [['Adams Hill', 4], ['Bernal', 0]]);
+  assert.deepEqual(plain(unmapped), ['es-unknown']);
+});
+
+test('readSourceSheetData returns nothing for a missing or empty sheet', () => {
+  const { project } = setup({});
+
+  assert.deepEqual(plain(project.readSourceSheetData('Nope', project.getCampusMap('ES'))), []);
+  assert.deepEqual(plain(project.readSourceSheetData('ES', project.getCampusMap('ES'))), []);
+});
+
+test('aggregateCampusCounts writes only the ES section', () => {
+  const { project, services } = setup({ ES: [['es-adams', 4], ['es-bernal', 6]], MS: [['ms-jordan', 3]] });
+
+  assert.equal(project.aggregateCampusCounts('ES'), 2);
+
+  assert.deepEqual(totals(services), [4, 6, '', 99, 99, '', 99, 99, '', 99, 99]);
+  assert.match(services.ui.alerts.at(-1), /2 ES's Total Enrolled values in the ALE Counts sheet were updated/);
+});
+
+test('aggregateCampusCounts leaves campuses without data blank and reports them', () => {
+  const { project, services } = setup({ ES: [['es-adams', 4]] });
+
+  project.aggregateCampusCounts('ES');
+
+  assert.deepEqual(totals(services).slice(0, 2), [4, '']);
+  assert.match(services.ui.alerts.at(-1), /Campuses with no data \(1\):\nBernal\n\nTheir Total Enrolled cells were left blank/);
+});
+
+test('aggregateCampusCounts writes 0 for a campus that counted no students', () => {
+  const { project } = setup({ ES: [['es-adams', 0], ['es-bernal', 3]] });
+
+  const result = plain(project.runCampusAggregation('ES'));
+
+  assert.deepEqual(result.zeroCampuses, ['Adams Hill']);
+  assert.deepEqual(result.noDataCampuses, []);
+});
+
+test('aggregateCampusCounts respects the Override column', () => {
+  const withOverride = aleCountsValues().map((row, i) => row.concat(i === 1 ? 'Override' : ''));
+  withOverride[3][3] = 'Lock';
+  withOverride[4][3] = 'Hand count from the principal';
+  withOverride[6][3] = 12;
+  const { project, services } = setup({
+    ES: [['es-adams', 4], ['es-bernal', 6]],
+    MS: [['ms-connally', 5], ['ms-jordan', 7]],
+  }, { 'ALE Counts': withOverride });
+
+  const es = plain(project.runCampusAggregation('ES'));
+  project.runCampusAggregation('MS');
+
+  assert.deepEqual(totals(services), [99, 99, '', 12, 7, '', 99, 99, '', '', 99]);
+  assert.deepEqual(es.overriddenCampuses, ['Adams Hill', 'Bernal']);
+  assert.deepEqual(es.totals.map(entry => entry.total), [99, 99]);
+});
+
+test('aggregateCampusCounts writes MS campuses and the MS Special Programs rows only', () => {
+  const { project, services } = setup({
+    MS: [['ms-connally', 5], ['ms-jordan', 7], ['ms-academy', 2]],
+    HS: [['hs-academy', 8]],
+  });
+
+  project.aggregateCampusCounts('MS');
+
+  // MS section (rows 7–8) and Academy MS (row 13); Academy HS (row 14) is left alone
+  assert.deepEqual(totals(services), [99, 99, '', 5, 7, '', 99, 99, '', 2, 99]);
+});
+
+test('aggregateCampusCounts writes HS campuses and the HS Special Programs rows only', () => {
+  const { project, services } = setup({
+    MS: [['ms-academy', 2]],
+    HS: [['hs-brandeis', 10], ['hs-clark', 11], ['hs-academy', 8]],
+  });
+
+  project.aggregateCampusCounts('HS');
+
+  assert.deepEqual(totals(services), [99, 99, '', 99, 99, '', 10, 11, '', 99, 8]);
+});
+
+test('aggregateCampusCounts without a level writes every section', () => {
+  const { project, services } = setup({
+    ES: [['es-adams', 1], ['es-bernal', 2]],
+    MS: [['ms-connally', 3], ['ms-jordan', 4], ['ms-academy', 5]],
+    HS: [['hs-brandeis', 6], ['hs-clark', 7], ['hs-academy', 8]],
+  });
+
+  project.aggregateCampusCounts();
+
+  assert.deepEqual(totals(services), [1, 2, '', 3, 4, '', 6, 7, '', 5, 8]);
+});
+
+test('aggregateCampusCounts falls back to the fixed row ranges of a sheet without label rows', () => {
+  // The original layout: headers in row 3, campuses in D and totals in E
+  // at E4:E113, E116:E160, E163:E206 and the programs at E208:E212
+  const legacy = Array.from({ length: 212 }, () => ['', '', '', '', '']);
+  legacy[0][0] = 'ALE Class Counts';
+  legacy[2] = ['', '', '', 'Campus', 'Total Enrolled'];
+  for (const [row, campus] of [[4, 'Adams Hill'], [5, 'Bernal'], [116, 'Connally'], [117, 'Jordan'],
+    [163, 'Brandeis'], [164, 'Clark'], [208, 'Academy MS'], [210, 'Academy HS']]) {
+    legacy[row - 1] = ['', '', '', campus, 99];
+  }
+  legacy[113] = ['', '', 'Total', '', 198];
+  const { project, services } = setup({
+    MS: [['ms-connally', 5], ['ms-jordan', 7], ['ms-academy', 2]],
+  }, { 'ALE Counts': legacy });
+
+  assert.equal(project.aggregateCampusCounts('MS'), 3);
+
+  const values = services.active.getSheetByName('ALE Counts').dump();
+  assert.deepEqual([4, 114, 116, 117, 163, 208, 210].map(row => values[row - 1][4]), [99, 198, 5, 7, 99, 2, 99]);
+  const layout = plain(project.detectAleCountsLayout(services.active.getSheetByName('ALE Counts')));
+  assert.deepEqual(Object.keys(layout.sections).map(key => [key, layout.sections[key].rows]), [
+    ['ES', [4, 5]], ['MS', [116, 117]], ['HS', [163, 164]], ['SP', [208, 210]],
+  ]);
+});
+
+test('subtotal rows in the label column do not start a section', () => {
+  const withSubtotals = aleCountsValues();
+  withSubtotals.splice(11, 0, ['High School Total', '', 198]);
+  withSubtotals.splice(5, 0, ['ES Total', '', 198]);
+  const { project, services } = setup({ ES: [['es-adams', 4], ['es-bernal', 6]] }, { 'ALE Counts': withSubtotals });
+
+  const layout = plain(project.detectAleCountsLayout(services.active.getSheetByName('ALE Counts')));
+  assert.deepEqual(Object.keys(layout.sections).map(key => [key, layout.sections[key].rows]), [
+    ['ES', [4, 5]], ['MS', [8, 9]], ['HS', [11, 12]], ['SP', [15, 16]],
+  ]);
+
+  project.aggregateCampusCounts('ES');
+  const written = services.active.getSheetByName('ALE Counts').getRange('C4:C6').getValues().map(row => row[0]);
+  assert.deepEqual(written, [4, 6, 198]);
+});
+
+test('a level added to CONFIGS gets its own menu, handlers and section of the ALE Counts sheet', () => {
+  const registry = REGISTRY.filter(([, campus]) => !campus.startsWith('Academy'))
+    .concat([['SP', 'Academy MS', 'sp-academy-ms'], ['SP', 'Academy HS', 'sp-academy-hs']]);
+  const { project, services } = setup({ MS: [['ms-connally', 5]] }, {
+    'Campus Registry': registryValues(registry),
+    SP: levelSheetValues([['sp-academy-ms', 2], ['sp-academy-hs', 3]]),
+  });
+  project.CONFIGS.SP = {
+    name: 'Special Programs',
+    folderId: 'sp-folder',
+    sheetName: 'SP',
+    sectionLabel: /^special\s+programs?\b/i,
+  };
+  project.defineLevelMenuHandlers(project.globalThis);
+
+  project.onOpen();
+  const levelMenus = services.ui.menus.filter(menu => menu.items.some(item => item.caption === '2. Get Counts'));
+  assert.deepEqual(levelMenus.map(menu => menu.name), ['Elementary School', 'Middle School', 'High School', 'Special Programs']);
+  assert.deepEqual(plain(levelMenus[3].items.map(item => item.functionName)), ['getSPSpreadsheetIds', 'extractSPGradeLevelValue']);
+  assert.equal(typeof project.extractSPGradeLevelValue, 'function');
+
+  // The Special Programs rows now belong to SP alone
+  project.aggregateCampusCounts('SP');
+  assert.deepEqual(totals(services), [99, 99, '', 99, 99, '', 99, 99, '', 2, 3]);
+  project.aggregateCampusCounts('MS');
+  assert.deepEqual(totals(services), [99, 99, '', 5, '', '', 99, 99, '', 2, 3]);
+});
+
+test('aggregateCampusCounts alerts when the ALE Counts sheet is missing', () => {
+  const { project, services } = loadProject({
+    active: new FakeSpreadsheet('active', { ES: levelSheetValues([['es-adams', 4]]) }),
+  });
+
+  assert.equal(project.aggregateCampusCounts('ES'), 0);
+  assert.match(services.ui.alerts.at(-1), /ALE Counts sheet not found/);
+});
+
+test('aggregateCampusCounts writes nothing when the layout is not recognised', () => {
+  const { project, services } = setup({ ES: [['es-adams', 4]] }, {
+    'ALE Counts': [['School', 'Students'], ['Adams Hill', 99]],
+  });
+
+  assert.equal(project.aggregateCampusCounts('ES'), 0);
+  assert.deepEqual(services.active.getSheetByName('ALE Counts').dump(), [['School', 'Students'], ['Adams Hill', 99]]);
+  assert.match(services.ui.alerts.at(-1), /could not be recognised, so no counts were written/);
+});
+
+test('aggregateCampusCounts asks before writing counts with data errors', () => {
+  const { project, services } = setup({ ES: [['es-adams', -4], ['es-bernal', 6]] });
+  services.ui.respond(services.ui.Button.NO);
+
+  assert.equal(project.aggregateCampusCounts('ES'), 0);
+
+  assert.deepEqual(totals(services).slice(0, 2), [99, 99]);
+  assert.match(services.ui.alerts[0], /1 errors and 0 warnings were written to the "Issues" sheet/);
+  const issues = services.active.getSheetByName('Issues').getRange(2, 3, 1, 2).getValues()[0];
+  assert.deepEqual(issues, ['Error', 'Negative count']);
+});
+
+test('runCampusAggregation records a snapshot and the per-campus grade breakdown', () => {
+  const { project, services } = setup({ ES: [['es-adams', 4], ['es-bernal', 6]] });
+
+  const result = plain(project.runCampusAggregation('ES'));
+
+  assert.deepEqual(result.totals.map(entry => [entry.level, entry.campus, entry.total]),
+    [['ES', 'Adams Hill', 4], ['ES', 'Bernal', 6]]);
+  const history = services.active.getSheetByName('Count History');
+  assert.deepEqual(history.getRange('B2:D3').getValues(), [['ES', 'Adams Hill', 4], ['ES', 'Bernal', 6]]);
+  assert.equal(services.active.getSheetByName('Grade Breakdown').getLastRow(), 3);
+});
+
+test('a campus without data is snapshotted blank and dropped from the grade breakdown', () => {
+  const { project, services } = setup({ ES: [['es-adams', 4], ['es-bernal', 6]] });
+  project.runCampusAggregation('ES');
+  services.active.getSheetByName('ES').getRange('A3').setValue('');
+
+  project.runCampusAggregation('ES');
+
+  const history = services.active.getSheetByName('Count History');
+  assert.deepEqual(history.getRange('B4:D5').getValues(), [['ES', 'Adams Hill', 4], ['ES', 'Bernal', '']]);
+  const breakdown = services.active.getSheetByName('Grade Breakdown').dump();
+  assert.deepEqual(breakdown.slice(1).map(row => row[1]), ['Adams Hill']);
+  const changes = services.active.getSheetByName('Count Changes').dump();
+  assert.deepEqual(changes.find(row => row[1] === 'Bernal').slice(5), ['', '', '']);
+  assert.deepEqual(changes[1].slice(0, 2).concat(changes[1].slice(5, 6)), ['ES', '(All campuses)', 4]);
+});
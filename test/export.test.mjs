@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeFolder, FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { aleCountsValues, levelSheetValues, registryValues } from './helpers/fixtures.mjs';
+import { loadProject, plain } from './helpers/load-project.mjs';
+
+function setup(aleCounts = aleCountsValues()) {
+  const exports = new FakeFolder('exports', 'Exports');
+  const loaded = loadProject({
+    active: new FakeSpreadsheet('active', {
+      'ALE Counts': aleCounts,
+      'Campus Registry': registryValues().map(row =>
+        row[2] === 'es-adams' ? row.with(4, 'Smith') : row[2] === 'es-bernal' ? row.with(4, 'Garcia, Ana') : row),
+      ES: levelSheetValues([['es-adams', 4], ['es-bernal', 6]]),
+      MS: levelSheetValues([]),
+      HS: levelSheetValues([]),
+    }),
+    folders: [exports],
+  });
+  loaded.services.properties.set('EXPORT_FOLDER_ID', 'exports');
+  return { ...loaded, exports };
+}
+
+test('exportAleCounts writes a CSV and a JSON file with the stable schema', () => {
+  const { project, services, exports } = setup();
+  project.runCampusAggregation('ES');
+  services.active.getSheetByName('ALE Counts').getRange('C7').setValue('');
+
+  const result = plain(project.exportAleCounts());
+
+  assert.equal(result.records, 8);
+  assert.deepEqual(exports.files.map(file => file.getMimeType()), ['text/csv', 'application/json']);
+  assert.match(result.csvFile.name, /^ALE Counts \d{4}-\d{2}-\d{2} \d{6}\.csv$/);
+
+  const csv = exports.files[0].content.split('\r\n');
+  assert.equal(csv[0], 'level,campus,teacher,tier,cluster,total_enrolled,source_spreadsheet_ids,exported_at');
+  assert.match(csv[1], /^ES,Adams Hill,Smith,,,4,es-adams,\d{4}-/);
+  assert.match(csv[2], /^ES,Bernal,"Garcia, Ana",,,6,es-bernal,/);
+  assert.match(csv[3], /^MS,Connally,,,,,,/);
+
+  const json = JSON.parse(exports.files[1].content);
+  assert.equal(json.schemaVersion, 1);
+  assert.deepEqual(json.fields, plain(project.EXPORT_FIELDS));
+  assert.deepEqual(json.records[0].source_spreadsheet_ids, ['es-adams']);
+  assert.equal(json.records[2].total_enrolled, null);
+});
+
+test('exportAleCounts exports the Total Enrolled values as written, not a new computation', () => {
+  const { project, services, exports } = setup();
+  project.runCampusAggregation('ES');
+  services.active.getSheetByName('ES').getRange('D2').setValue(50);
+  services.active.getSheetByName('ALE Counts').getRange('C5').setValue(7);
+
+  project.exportAleCounts();
+
+  const json = JSON.parse(exports.files[1].content);
+  assert.deepEqual(json.records.slice(0, 3).map(record => [record.campus, record.total_enrolled, record.source_spreadsheet_ids]), [
+    ['Adams Hill', 4, ['es-adams']],
+    ['Bernal', 7, ['es-bernal']],
+    ['Connally', 99, []],
+  ]);
+});
+
+test('exportAleCounts reads the optional Teacher, Tier and Cluster columns', () => {
+  const aleCounts = aleCountsValues().map((row, i) => row.concat(
+    i === 1 ? ['Teacher', 'Tier', 'Cluster'] : i === 3 ? ['Lopez', 'Tier 2', 'North'] : ['', '', '']));
+  const { project, exports } = setup(aleCounts);
+
+  project.exportAleCounts();
+
+  const json = JSON.parse(exports.files[1].content);
+  assert.deepEqual([json.records[0].teacher, json.records[0].tier, json.records[0].cluster], ['Lopez', 'Tier 2', 'North']);
+});
+
+test('exportAleCounts refuses to run without an export folder', () => {
+  const { project, services } = setup();
+  services.properties.delete('EXPORT_FOLDER_ID');
+
+  project.exportAleCountsFiles();
+
+  assert.match(services.ui.alerts[0], /No export folder is set/);
+});
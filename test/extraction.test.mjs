@@ -0,0 +1,331 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { registryValues, teacherSpreadsheet } from './helpers/fixtures.mjs';
+import { loadProject, plain } from './helpers/load-project.mjs';
+
+function setup(ids, options = {}) {
+  return loadProject({
+    active: new FakeSpreadsheet('active', {
+      ES: [['Spreadsheet ID', 'Campus'], ...ids.map(id => [id, `${id} file`])],
+      'Campus Registry': registryValues(),
+    }),
+    ...options,
+  });
+}
+
+test('extractGradeLevelValue writes the value after the first blank cell to column D', () => {
+  const { project, services } = setup(['es-adams'], {
+    spreadsheets: [teacherSpreadsheet('es-adams', ['K', 1, '2', 2], 4)],
+  });
+
+  assert.equal(project.extractGradeLevelValue(project.CONFIGS.ES), true);
+
+  const sheet = services.active.getSheetByName('ES');
+  assert.equal(sheet.getRange(2, 4).getValue(), 4);
+  assert.equal(sheet.getRange(2, 3).getValue(), '');
+});
+
+test('extractGradeLevelValue writes the per-grade breakdown next to the count', () => {
+  const { project, services } = setup(['es-adams'], {
+    spreadsheets: [teacherSpreadsheet('es-adams', ['KG', '1st', 1, 'Grade 3', 'PK'])],
+  });
+
+  project.extractGradeLevelValue(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  const column = project.LEVEL_GRADE_COLUMN;
+  const grades = sheet.getRange(2, column, 1, project.GRADE_LEVELS.length).getValues()[0];
+  assert.deepEqual(grades, [1, 2, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+});
+
+test('extractGradeLevelValue treats the header text as a count of 0', () => {
+  const roster = new FakeSpreadsheet('es-adams', {
+    Roster: [['ALE Roster'], ['Current Grade Level'], [''], ['Current Grade Level']],
+  });
+  const { project, services } = setup(['es-adams'], { spreadsheets: [roster] });
+
+  project.extractGradeLevelValue(project.CONFIGS.ES);
+
+  assert.equal(services.active.getSheetByName('ES').getRange(2, 4).getValue(), 0);
+});
+
+test('extractGradeLevelValue logs permission and template errors per row and keeps going', () => {
+  const { project, services } = setup(['es-adams', 'es-bernal', 'es-other'], {
+    spreadsheets: [
+      teacherSpreadsheet('es-adams', [1, 2, 3]),
+      new FakeSpreadsheet('es-other', { Sheet1: [['Name'], ['Grade'], ['Ana']] }),
+    ],
+    forbidden: ['es-bernal'],
+  });
+
+  project.extractGradeLevelValue(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  assert.deepEqual(sheet.getRange('C2:D4').getValues(), [
+    ['', 3],
+    ['No permission to access this spreadsheet', ''],
+    ["Could not find the 'Current Grade Level' header.", ''],
+  ]);
+  assert.deepEqual(sheet.getRange(2, project.LEVEL_ERROR_CODE_COLUMN, 3, 1).getValues(), [[''], ['NO_ACCESS'], ['HEADER_MISSING']]);
+});
+
+test('extractLevelCounts codes each failure and keeps the last count when the service stays unavailable', () => {
+  const { project, services } = loadProject({
+    active: new FakeSpreadsheet('active', {
+      ES: [
+        ['Spreadsheet ID', 'Campus', 'Error Log', 'Count'],
+        ['es-adams', 'es-adams file', '', 7],
+        ['es-gone', 'es-gone file', '', 4],
+        ['es-bernal', 'es-bernal file', '', 2],
+      ],
+      'Campus Registry': registryValues(),
+    }),
+    spreadsheets: [new FakeSpreadsheet('es-bernal', { Roster: [['ALE'], ['Current Grade Level'], [1], [2]] })],
+    unavailable: ['es-adams'],
+  });
+
+  const summary = plain(project.extractLevelCounts(project.CONFIGS.ES));
+
+  assert.deepEqual(summary.errors.map(error => error.code), ['SERVICE_TRANSIENT', 'NOT_FOUND', 'VALUE_MISSING']);
+  const sheet = services.active.getSheetByName('ES');
+  assert.deepEqual(sheet.getRange('C2:D4').getValues(), [
+    ['Temporary Google service error (The service is currently unavailable); the last count is kept until it is read again', 7],
+    ['Spreadsheet not found; it may have been deleted, trashed or listed with a wrong ID', ''],
+    ["Found the 'Current Grade Level' header but no value below it.", ''],
+  ]);
+  assert.deepEqual(sheet.getRange(2, project.LEVEL_ERROR_CODE_COLUMN, 3, 1).getValues(),
+    [['SERVICE_TRANSIENT'], ['NOT_FOUND'], ['VALUE_MISSING']]);
+  assert.deepEqual(services.sleeps, [2000, 4000, 8000]);
+
+  const issue = plain(project.validateCountData(['ES']).issues).find(entry => entry.id === 'es-adams');
+  assert.match(issue.detail, /\(SERVICE_TRANSIENT\)\. Its last count, 7, is used until it is read again\.$/);
+});
+
+test('extractGradeLevelValue alerts when the level sheet is missing', () => {
+  const { project, services } = loadProject({ active: new FakeSpreadsheet('active', {}) });
+
+  assert.equal(project.extractGradeLevelValue(project.CONFIGS.ES), false);
+  assert.match(services.ui.alerts[0], /A sheet named "ES" was not found/);
+});
+
+test('extractLevelCounts checkpoints when the deadline has passed and resumes from that row', () => {
+  const { project, services } = setup(['es-adams', 'es-bernal'], {
+    spreadsheets: [teacherSpreadsheet('es-adams', [1]), teacherSpreadsheet('es-bernal', [1, 2])],
+  });
+
+  const paused = plain(project.extractLevelCounts(project.CONFIGS.ES, Date.now() - 1));
+  assert.equal(paused.complete, false);
+  assert.equal(paused.nextRow, 2);
+  assert.equal(services.properties.get('EXTRACTION_CHECKPOINT_ES'), '2');
+
+  services.properties.set('EXTRACTION_CHECKPOINT_ES', '3');
+  const resumed = plain(project.extractLevelCounts(project.CONFIGS.ES));
+  assert.equal(resumed.complete, true);
+  assert.equal(resumed.processed, 1);
+  assert.deepEqual(services.opened, ['es-bernal']);
+  assert.equal(services.properties.has('EXTRACTION_CHECKPOINT_ES'), false);
+});
+
+test('campus extraction rules can read a named range or count students on another tab', () => {
+  const named = new FakeSpreadsheet('es-adams', { Summary: [['Total'], [12]] });
+  named.addNamedRange('StudentTotal', 'Summary', 2, 1);
+  const roster = new FakeSpreadsheet('es-bernal', {
+    Notes: [['Grade'], [5]],
+    Students: [['Name', 'Grade'], ['Ana', 3], ['Ben', 4], ['', ''], ['', 'Total: 2']],
+  });
+  const { project, services } = setup(['es-adams', 'es-bernal'], { spreadsheets: [named, roster] });
+
+  project.CAMPUS_EXTRACTION_RULES['es-adams'] = { mode: 'namedRange', namedRange: 'StudentTotal' };
+  project.CAMPUS_EXTRACTION_RULES['Bernal'] = {
+    mode: 'countNonEmpty', sheetName: 'Students', headerRow: 1, headerAliases: ['Grade'],
+  };
+  project.extractGradeLevelValue(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  assert.deepEqual(sheet.getRange('C2:D3').getValues(), [['', 12], ['', 2]]);
+  assert.deepEqual(services.sheetsRequests, ['get es-adams StudentTotal', "get es-bernal 'Students'"]);
+
+  project.CAMPUS_EXTRACTION_RULES['es-adams'] = { mode: 'namedRange', namedRange: 'Missing' };
+  project.CAMPUS_EXTRACTION_RULES['Bernal'] = { sheetName: "Ms. Lee's Class" };
+  project.clearLastReadTimes(['ES']);
+  project.extractGradeLevelValue(project.CONFIGS.ES);
+
+  assert.deepEqual(sheet.getRange(2, project.LEVEL_ERROR_CODE_COLUMN, 2, 1).getValues(), [['NAMED_RANGE_MISSING'], ['TAB_MISSING']]);
+  assert.equal(sheet.getRange('C3').getValue(), "Could not find a tab named 'Ms. Lee's Class'.");
+});
+
+const READ_HEADERS = ['Spreadsheet ID', 'Campus', 'Error Log', 'Count', 'Proposed Campus', 'Match Confidence',
+  'Folder Path', 'Last Updated', 'Last Read'];
+
+function readRow(id, count, lastUpdated, lastRead) {
+  return [id, `${id} file`, '', count, '', '', 'ES', lastUpdated, lastRead];
+}
+
+test('extractLevelCounts reuses counts of spreadsheets not modified since they were last read', () => {
+  const monday = new Date('2025-01-06T12:00:00Z');
+  const tuesday = new Date('2025-01-07T12:00:00Z');
+  const { project, services } = loadProject({
+    active: new FakeSpreadsheet('active', {
+      ES: [
+        READ_HEADERS,
+        readRow('es-adams', 7, monday, tuesday),
+        readRow('es-bernal', 5, tuesday, monday),
+        readRow('es-new', '', monday, ''),
+      ],
+      'Campus Registry': registryValues(),
+    }),
+    spreadsheets: [
+      teacherSpreadsheet('es-adams', [1]),
+      teacherSpreadsheet('es-bernal', [1, 2]),
+      teacherSpreadsheet('es-new', [1, 2, 3]),
+    ],
+  });
+
+  const summary = plain(project.extractLevelCounts(project.CONFIGS.ES));
+
+  assert.deepEqual(services.opened, ['es-bernal', 'es-new']);
+  assert.equal(summary.processed, 2);
+  assert.equal(summary.reused, 1);
+  const sheet = services.active.getSheetByName('ES');
+  assert.deepEqual(sheet.getRange('D2:D4').getValues(), [[7], [2], [3]]);
+  const lastRead = sheet.getRange(3, project.LEVEL_LAST_READ_COLUMN).getValue();
+  assert.ok(new Date(lastRead).getTime() > tuesday.getTime());
+});
+
+test('extractLevelCounts reads a spreadsheet edited after the folder scan again', () => {
+  const monday = new Date('2025-01-06T12:00:00Z');
+  const tuesday = new Date('2025-01-07T12:00:00Z');
+  const wednesday = new Date('2025-01-08T09:30:00Z');
+  const edited = teacherSpreadsheet('es-adams', [1, 2]);
+  edited.lastUpdated = wednesday;
+  const { project, services } = loadProject({
+    active: new FakeSpreadsheet('active', {
+      ES: [READ_HEADERS, readRow('es-adams', 7, monday, tuesday), readRow('es-bernal', 5, monday, tuesday)],
+      'Campus Registry': registryValues(),
+    }),
+    spreadsheets: [edited, teacherSpreadsheet('es-bernal', [1])],
+  });
+
+  const summary = plain(project.extractLevelCounts(project.CONFIGS.ES));
+
+  assert.deepEqual(services.opened, ['es-adams']);
+  assert.equal(summary.reused, 1);
+  assert.deepEqual(services.driveRequests, ['es-adams', 'es-bernal']);
+  const sheet = services.active.getSheetByName('ES');
+  assert.deepEqual(sheet.getRange('D2:D3').getValues(), [[2], [5]]);
+  assert.equal(new Date(sheet.getRange(2, project.LEVEL_LAST_UPDATED_COLUMN).getValue()).getTime(), wednesday.getTime());
+});
+
+test('forceFullRefresh clears the Last Read times so every spreadsheet is read again', () => {
+  const monday = new Date('2025-01-06T12:00:00Z');
+  const { project, services } = loadProject({
+    active: new FakeSpreadsheet('active', {
+      ES: [READ_HEADERS, readRow('es-adams', 7, monday, monday)],
+      MS: [READ_HEADERS],
+      'Campus Registry': registryValues(),
+    }),
+    spreadsheets: [teacherSpreadsheet('es-adams', [1, 2])],
+  });
+  services.ui.respond(services.ui.Button.YES);
+
+  project.forceFullRefresh();
+  project.extractLevelCounts(project.CONFIGS.ES);
+
+  assert.match(services.ui.alerts.at(-1), /1 stored counts will be read again/);
+  assert.deepEqual(services.opened, ['es-adams']);
+  assert.equal(services.active.getSheetByName('ES').getRange(2, 4).getValue(), 2);
+});
+
+test('extractLevelCounts reads each spreadsheet with one request, within the read quota', () => {
+  const ids = Array.from({ length: 61 }, (_, i) => `es-${i}`);
+  const { project, services } = setup(ids, {
+    spreadsheets: ids.map((id, i) => teacherSpreadsheet(id, Array(i % 3 + 1).fill(1))),
+  });
+
+  const summary = plain(project.extractLevelCounts(project.CONFIGS.ES));
+
+  assert.equal(summary.processed, 61);
+  assert.equal(typeof summary.durationMs, 'number');
+  assert.equal(services.sheetsRequests.length, 61);
+  assert.equal(services.sheetsRequests[20], 'get es-20');
+  // The 61st request waits for the first minute of the quota to pass
+  assert.equal(services.sleeps.length, 1);
+  assert.ok(services.sleeps[0] > 55000 && services.sleeps[0] <= 60000);
+  const counts = services.active.getSheetByName('ES').getRange('D2:D62').getValues().map(row => row[0]);
+  assert.deepEqual(counts, ids.map((id, i) => i % 3 + 1));
+});
+
+test('extractLevelCounts writes each batch and moves the checkpoint before reading the next', () => {
+  const ids = Array.from({ length: 21 }, (_, i) => `es-${i}`);
+  const { project, services } = setup(ids, {
+    spreadsheets: ids.map(id => teacherSpreadsheet(id, [1, 2])),
+  });
+  const sheet = services.active.getSheetByName('ES');
+  const seen = [];
+
+  project.extractLevelCounts(project.CONFIGS.ES, undefined, progress => {
+    seen.push([progress.done, sheet.getRange(21, 4).getValue(), services.properties.get('EXTRACTION_CHECKPOINT_ES')]);
+  });
+
+  assert.deepEqual(seen, [[0, '', undefined], [20, 2, '22']]);
+  assert.equal(services.properties.has('EXTRACTION_CHECKPOINT_ES'), false);
+});
+
+test('extractLevelCounts keeps a batch worth of time in reserve and retries only until the deadline', () => {
+  const { project, services } = setup(['es-adams'], { unavailable: ['es-adams'] });
+
+  const paused = plain(project.extractLevelCounts(project.CONFIGS.ES, Date.now() + 60 * 1000));
+  assert.equal(paused.complete, false);
+  assert.deepEqual(services.sheetsRequests, []);
+
+  const results = plain(project.readSpreadsheetCounts([{ id: 'es-adams', rule: project.DEFAULT_EXTRACTION_RULE }], Date.now() + 5000));
+  assert.equal(results[0].code, 'SERVICE_TRANSIENT');
+  assert.deepEqual(services.sleeps, [2000, 4000]);
+});
+
+test('extractLevelCounts retries rate-limited requests and reports the time taken', () => {
+  const { project, services } = setup(['es-adams'], {
+    spreadsheets: [teacherSpreadsheet('es-adams', [1, 2])],
+    rateLimited: 2,
+  });
+
+  assert.equal(project.extractGradeLevelValue(project.CONFIGS.ES), true);
+
+  assert.equal(services.active.getSheetByName('ES').getRange(2, 4).getValue(), 2);
+  assert.equal(services.sheetsRequests.length, 3);
+  assert.deepEqual(services.sleeps, [60000, 60000]);
+  assert.match(services.active.toasts[0].message, /^1 spreadsheets read and 0 unchanged ones skipped in \d+\.\d s\.$/);
+});
+
+test('a paused pipeline saves only the counts of finished levels and lists their file errors again', () => {
+  const { project, services } = setup(['es-adams']);
+  services.active.getSheetByName('ES').getRange(2, 3).setValue('No permission to access this spreadsheet');
+  const fileErrors = Array.from({ length: 300 }, (_, i) =>
+    ({ row: i + 2, id: `es-${i}-${'x'.repeat(40)}`, name: 'file', message: 'No permission to access this spreadsheet', code: 'NO_ACCESS' }));
+
+  project.savePipelineResult({
+    level: 'ES', status: 'OK', error: '', fileCount: 300, campusesUpdated: 2, fileErrors: fileErrors,
+    unmappedIds: ['es-unknown'], zeroCampuses: [], noDataCampuses: ['Bernal'], overriddenCampuses: [], iaChanges: [],
+  });
+  const results = project.takePipelineResults(['ES']);
+  project.writeUpdateSummary(results, new Date());
+
+  assert.deepEqual(plain(results[0].fileErrors.map(error => error.id)), ['es-adams']);
+  assert.equal(services.properties.has('EXTRACTION_RESULT_ES'), false);
+  const summary = services.active.getSheetByName('Update Summary').dump();
+  assert.deepEqual(summary[2], ['ES', 'OK', 300, 2, 300, 1, 0, 1, 0]);
+  assert.deepEqual(summary.slice(5, 7).map(row => row.slice(0, 3)), [['ES', 'Note', ''], ['ES', 'File error', 'es-adams']]);
+});
+
+test('continueExtraction gives up the paused run when aggregation fails', () => {
+  const { project, services } = setup(['es-adams'], { spreadsheets: [teacherSpreadsheet('es-adams', [1])] });
+  services.properties.set('EXTRACTION_PENDING', JSON.stringify({ mode: 'level', startedAt: Date.now(), entries: [{ level: 'ES' }] }));
+
+  project.continueExtraction();
+
+  assert.equal(services.properties.has('EXTRACTION_PENDING'), false);
+  assert.equal(services.triggers.length, 0);
+  assert.equal(services.ui.alerts[0], 'The paused Get Counts run could not finish. ES Aggregation failed: ALE Counts sheet not found');
+});
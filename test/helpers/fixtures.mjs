@@ -0,0 +1,93 @@
+/**
+ * Sheet contents shared by the tests: a small ALE Counts sheet, a Campus
+ * Registry and teacher spreadsheets in the district template.
+ */
+import { FakeSpreadsheet } from './gas-fakes.mjs';
+
+/**
+ * ALE Counts sheet with section labels in column A, campuses in column B
+ * and Total Enrolled in column C. Every total starts at 99 so tests can
+ * see which rows were written.
+ *
+ * Rows: 3 Elementary, 4–5 ES campuses, 6 Middle School, 7–8 MS campuses,
+ * 9 High School, 10–11 HS campuses, 12 Special Programs, 13 MS program,
+ * 14 HS program.
+ */
+export function aleCountsValues() {
+  return [
+    ['ALE Counts', '', ''],
+    ['Section', 'Campus', 'Total Enrolled'],
+    ['Elementary', '', ''],
+    ['', 'Adams Hill', 99],
+    ['', 'Bernal', 99],
+    ['Middle School', '', ''],
+    ['', 'Connally', 99],
+    ['', 'Jordan', 99],
+    ['High School', '', ''],
+    ['', 'Brandeis', 99],
+    ['', 'Clark', 99],
+    ['Special Programs', '', ''],
+    ['', 'Academy MS', 99],
+    ['', 'Academy HS', 99],
+  ];
+}
+
+/**
+ * Campus Registry mappings, one teacher spreadsheet per campus.
+ */
+export const REGISTRY = [
+  ['ES', 'Adams Hill', 'es-adams'],
+  ['ES', 'Bernal', 'es-bernal'],
+  ['MS', 'Connally', 'ms-connally'],
+  ['MS', 'Jordan', 'ms-jordan'],
+  ['MS', 'Academy MS', 'ms-academy'],
+  ['HS', 'Brandeis', 'hs-brandeis'],
+  ['HS', 'Clark', 'hs-clark'],
+  ['HS', 'Academy HS', 'hs-academy'],
+];
+
+/**
+ * Campus Registry sheet values for the given mappings.
+ *
+ * @param {Array<Array<*>>} [entries] - [level, campus, id, capacity] rows
+ */
+export function registryValues(entries = REGISTRY) {
+  return [
+    ['Level', 'Campus', 'Spreadsheet ID', 'Active', 'Teacher', 'Validation', 'Capacity'],
+    ...entries.map(([level, campus, id, capacity = '']) => [level, campus, id, true, '', '', capacity]),
+  ];
+}
+
+/**
+ * Level sheet values as left by Get Counts: header row, then one
+ * [id, name, error, count] row per spreadsheet.
+ *
+ * @param {Array<Array<*>>} rows - [id, count, error] rows
+ */
+export function levelSheetValues(rows) {
+  return [
+    ['Spreadsheet ID', 'Campus', 'Error Log', 'Count'],
+    ...rows.map(([id, count, error = '']) => [id, `${id} file`, error, count]),
+  ];
+}
+
+/**
+ * Build a teacher spreadsheet in the district template: title row,
+ * headers in row 2 with "Current Grade Level", one row per student,
+ * a blank row and the total below it.
+ *
+ * @param {string} id - Spreadsheet ID
+ * @param {Array<*>} grades - Grade of each student
+ * @param {*} [total] - Value after the blank row; defaults to the number of students
+ * @returns {FakeSpreadsheet}
+ */
+export function teacherSpreadsheet(id, grades, total = grades.length) {
+  const rows = [
+    ['ALE Roster', '', ''],
+    ['Student', 'ID', 'Current Grade Level'],
+    ...grades.map((grade, i) => [`Student ${i + 1}`, 1000 + i, grade]),
+    ['', '', ''],
+    ['', 'Total', total],
+  ];
+  return new FakeSpreadsheet(id, { Roster: rows });
+}
@@ -0,0 +1,627 @@
+/**
+ * In-memory stand-ins for the Apps Script services used by the project.
+ *
+ * Only the methods the scripts call are implemented. Ranges validate
+ * their dimensions the way Apps Script does, so a zero-row range or a
+ * `setValues` with the wrong shape fails here as it would in production.
+ */
+
+export const MimeType = {
+  GOOGLE_SHEETS: 'application/vnd.google-apps.spreadsheet',
+  GOOGLE_DOCS: 'application/vnd.google-apps.document',
+  PDF: 'application/pdf',
+  CSV: 'text/csv',
+  FOLDER: 'application/vnd.google-apps.folder',
+  SHORTCUT: 'application/vnd.google-apps.shortcut',
+};
+
+/**
+ * Convert an A1 reference such as "A2:B10" into row/column bounds.
+ */
+function parseA1(a1) {
+  const match = a1.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+  if (!match) {
+    throw new Error(`Unsupported A1 notation: ${a1}`);
+  }
+  const column = letters => [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0);
+  const row = Number(match[2]);
+  const col = column(match[1]);
+  const endRow = match[4] ? Number(match[4]) : row;
+  const endCol = match[3] ? column(match[3]) : col;
+  return { row, col, numRows: endRow - row + 1, numCols: endCol - col + 1 };
+}
+
+export class FakeRange {
+  constructor(sheet, row, col, numRows, numCols) {
+    if (row < 1 || col < 1) {
+      throw new Error('Range coordinates are out of bounds.');
+    }
+    if (numRows < 1) {
+      throw new Error('The number of rows in the range must be at least 1.');
+    }
+    if (numCols < 1) {
+      throw new Error('The number of columns in the range must be at least 1.');
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.col = col;
+    this.numRows = numRows;
+    this.numCols = numCols;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.col; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numCols; }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this.numCols; c++) {
+        row.push(this.sheet.cell(this.row + r, this.col + c));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.sheet.cell(this.row, this.col);
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numCols)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numCols}).`);
+    }
+    values.forEach((row, r) => row.forEach((value, c) => this.sheet.setCell(this.row + r, this.col + c, value)));
+    return this;
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numCols; c++) {
+        this.sheet.setCell(this.row + r, this.col + c, value);
+      }
+    }
+    return this;
+  }
+
+  clearContent() {
+    return this.setValue('');
+  }
+
+  setNotes(notes) {
+    if (notes.length !== this.numRows || notes.some(row => row.length !== this.numCols)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numCols}).`);
+    }
+    notes.forEach((row, r) => row.forEach((note, c) => this.sheet.notes.set(`${this.row + r},${this.col + c}`, note)));
+    return this;
+  }
+
+  getNote() {
+    return this.sheet.notes.get(`${this.row},${this.col}`) || '';
+  }
+}
+
+export class FakeSheet {
+  /**
+   * @param {string} name - Tab name
+   * @param {Array<Array<*>>} [values] - Initial cell values, row by row
+   */
+  constructor(name, values = []) {
+    this.name = name;
+    this.values = values.map(row => row.slice());
+    this.notes = new Map();
+    this.frozenRows = 0;
+  }
+
+  getName() { return this.name; }
+
+  cell(row, col) {
+    const value = this.values[row - 1] ? this.values[row - 1][col - 1] : undefined;
+    return value === undefined || value === null ? '' : value;
+  }
+
+  setCell(row, col, value) {
+    while (this.values.length < row) this.values.push([]);
+    const cells = this.values[row - 1];
+    while (cells.length < col) cells.push('');
+    cells[col - 1] = value === undefined || value === null ? '' : value;
+  }
+
+  getLastRow() {
+    for (let r = this.values.length; r > 0; r--) {
+      if (this.values[r - 1].some(value => value !== '')) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    for (const row of this.values) {
+      for (let c = row.length; c > last; c--) {
+        if (row[c - 1] !== '') {
+          last = c;
+          break;
+        }
+      }
+    }
+    return last;
+  }
+
+  getRange(rowOrA1, col, numRows = 1, numCols = 1) {
+    if (typeof rowOrA1 === 'string') {
+      const bounds = parseA1(rowOrA1);
+      return new FakeRange(this, bounds.row, bounds.col, bounds.numRows, bounds.numCols);
+    }
+    return new FakeRange(this, rowOrA1, col, numRows, numCols);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  clearContents() {
+    this.values = [];
+    return this;
+  }
+
+  appendRow(row) {
+    const target = this.getLastRow() + 1;
+    row.forEach((value, c) => this.setCell(target, c + 1, value));
+    return this;
+  }
+
+  setFrozenRows(rows) {
+    this.frozenRows = rows;
+  }
+
+  /** Cell values trimmed to the used area, for assertions. */
+  dump() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1)).getValues();
+  }
+}
+
+export class FakeSpreadsheet {
+  /**
+   * @param {string} id - Spreadsheet ID
+   * @param {Object<string, Array<Array<*>>>} [sheets] - Tab name to values
+   */
+  constructor(id, sheets = {}) {
+    this.id = id;
+    this.name = id;
+    this.sheets = Object.entries(sheets).map(([name, values]) => new FakeSheet(name, values));
+    this.namedRanges = new Map();
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+  getSheets() { return this.sheets.slice(); }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.getName() === name) || null;
+  }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists.`);
+    }
+    const sheet = new FakeSheet(name);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  /** Define a named range pointing at one cell of a tab. */
+  addNamedRange(name, sheetName, row, col) {
+    this.namedRanges.set(name, { sheetName, row, col });
+  }
+
+  getRangeByName(name) {
+    const named = this.namedRanges.get(name);
+    return named ? this.getSheetByName(named.sheetName).getRange(named.row, named.col) : null;
+  }
+
+  toast(message, title) {
+    this.toasts = (this.toasts || []).concat([{ message, title }]);
+  }
+}
+
+/**
+ * Answer a `spreadsheets.get` request from a fake spreadsheet, the way the
+ * API does. With `includeGridData` each tab's cells are returned as
+ * unformatted `effectiveValue`s, trailing empty cells left out; `ranges`
+ * may name a tab ("'Roster'") or a named range, and only those tabs then
+ * carry data. An unknown range fails like the API does.
+ */
+function answerSheetsApi(spreadsheet, params = {}) {
+  const toCell = value => {
+    if (typeof value === 'number') return { effectiveValue: { numberValue: value } };
+    if (typeof value === 'boolean') return { effectiveValue: { boolValue: value } };
+    if (value === '' || value === null || value === undefined) return {};
+    return { effectiveValue: { stringValue: String(value) } };
+  };
+  const toRowData = rows => rows.map(row => {
+    const cells = row.slice();
+    while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+    return cells.length > 0 ? { values: cells.map(toCell) } : {};
+  });
+
+  const wanted = new Map();
+  for (const range of params.ranges || []) {
+    const tab = range.match(/^'((?:[^']|'')*)'$/);
+    const named = spreadsheet.namedRanges.get(range);
+    if (tab && spreadsheet.getSheetByName(tab[1].replace(/''/g, "'"))) {
+      wanted.set(tab[1].replace(/''/g, "'"), null);
+    } else if (named) {
+      wanted.set(named.sheetName, named);
+    } else {
+      throw new Error(`Unable to parse range: ${range}`);
+    }
+  }
+
+  return {
+    spreadsheetId: spreadsheet.getId(),
+    sheets: spreadsheet.getSheets().map(sheet => {
+      const entry = { properties: { title: sheet.getName() } };
+      if (!params.includeGridData || (params.ranges && !wanted.has(sheet.getName()))) return entry;
+      const named = wanted.get(sheet.getName());
+      entry.data = [named
+        ? { startRow: named.row - 1, startColumn: named.col - 1, rowData: toRowData([[sheet.getRange(named.row, named.col).getValue()]]) }
+        : { rowData: sheet.getLastRow() > 0 ? toRowData(sheet.dump()) : [] }];
+      return entry;
+    }),
+  };
+}
+
+export class FakeUi {
+  constructor() {
+    this.alerts = [];
+    this.responses = [];
+    this.menus = [];
+    this.sidebars = [];
+    this.Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+    this.ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+  }
+
+  /** Queue the button (and prompt text) the user will choose next. */
+  respond(button, text = '') {
+    this.responses.push({ button, text });
+  }
+
+  alert(titleOrMessage, message, buttons) {
+    const text = message === undefined ? titleOrMessage : `${titleOrMessage}: ${message}`;
+    this.alerts.push(text);
+    if (this.responses.length > 0) return this.responses.shift().button;
+    return buttons && buttons.startsWith('YES') ? this.Button.YES : this.Button.OK;
+  }
+
+  prompt(title, message) {
+    this.alerts.push(`${title}: ${message}`);
+    const response = this.responses.shift() || { button: this.Button.CANCEL, text: '' };
+    return {
+      getSelectedButton: () => response.button,
+      getResponseText: () => response.text,
+    };
+  }
+
+  showSidebar(html) {
+    this.sidebars.push(html);
+  }
+
+  createMenu(name) {
+    const menu = { name, items: [] };
+    this.menus.push(menu);
+    const api = {
+      addItem: (caption, functionName) => { menu.items.push({ caption, functionName }); return api; },
+      addSeparator: () => { menu.items.push({ separator: true }); return api; },
+      addSubMenu: subMenu => { menu.items.push({ subMenu }); return api; },
+      addToUi: () => {},
+      menu,
+    };
+    return api;
+  }
+}
+
+export class FakeFile {
+  constructor(id, name, mimeType = MimeType.GOOGLE_SHEETS, options = {}) {
+    this.id = id;
+    this.name = name;
+    this.mimeType = mimeType;
+    this.trashed = Boolean(options.trashed);
+    this.target = options.target || null;
+    this.lastUpdated = options.lastUpdated || new Date('2025-01-06T12:00:00Z');
+    this.owner = options.owner || null;
+  }
+
+  /** A shortcut to another file or folder. */
+  static shortcut(id, name, target) {
+    return new FakeFile(id, name, MimeType.SHORTCUT, { target });
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getMimeType() { return this.mimeType; }
+  isTrashed() { return this.trashed; }
+  getLastUpdated() { return this.lastUpdated; }
+  getTargetId() { return this.target ? this.target.getId() : null; }
+
+  getTargetMimeType() {
+    if (!this.target) return null;
+    return this.target instanceof FakeFolder ? MimeType.FOLDER : this.target.getMimeType();
+  }
+}
+
+export class FakeFolder {
+  constructor(id, name, files = [], folders = [], options = {}) {
+    this.id = id;
+    this.name = name;
+    this.files = files;
+    this.folders = folders;
+    this.trashed = Boolean(options.trashed);
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getFiles() { return iterate(this.files); }
+  getFolders() { return iterate(this.folders); }
+
+  createFile(name, content, mimeType) {
+    const file = new FakeFile(`${this.id}-file-${this.files.length + 1}`, name, mimeType);
+    file.content = content;
+    this.files.push(file);
+    return file;
+  }
+  isTrashed() { return this.trashed; }
+
+  getFilesByType(mimeType) {
+    return iterate(this.files.filter(file => file.getMimeType() === mimeType));
+  }
+}
+
+function iterate(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => items[index++],
+  };
+}
+
+/**
+ * Build one set of services around an active spreadsheet.
+ *
+ * @param {Object} [options]
+ * @param {FakeSpreadsheet} [options.active] - The bound spreadsheet
+ * @param {FakeSpreadsheet[]} [options.spreadsheets] - Teacher spreadsheets
+ * reachable through `SpreadsheetApp.openById`
+ * @param {string[]} [options.forbidden] - IDs that fail with a permission error
+ * @param {FakeFolder[]} [options.folders] - Drive folders by ID; their
+ * subfolders, files and shortcut targets are reachable too
+ * @param {boolean} [options.withUi] - Whether `getUi()` works (false in triggers)
+ * @param {string} [options.effectiveUser] - Email `Session.getEffectiveUser()`
+ * reveals; '' as without the userinfo.email scope
+ * @param {number} [options.rateLimited] - Number of Sheets API requests
+ * refused by the rate limit before the API starts answering
+ * @param {string[]} [options.unavailable] - IDs whose Sheets API requests
+ * always fail with a temporary service error
+ * @returns {Object} Service globals plus the fakes, for assertions
+ */
+export function createServices(options = {}) {
+  const active = options.active || new FakeSpreadsheet('active');
+  const spreadsheets = new Map((options.spreadsheets || []).map(spreadsheet => [spreadsheet.getId(), spreadsheet]));
+  const forbidden = new Set(options.forbidden || []);
+  const unavailable = new Set(options.unavailable || []);
+  const folders = new Map();
+  const files = new Map();
+  const index = folder => {
+    if (folders.has(folder.getId())) return;
+    folders.set(folder.getId(), folder);
+    folder.files.forEach(file => {
+      files.set(file.getId(), file);
+      if (file.target instanceof FakeFolder) index(file.target);
+      else if (file.target) files.set(file.target.getId(), file.target);
+    });
+    folder.folders.forEach(index);
+  };
+  (options.folders || []).forEach(index);
+  const ui = new FakeUi();
+  const withUi = options.withUi !== false;
+  const effectiveUser = options.effectiveUser === undefined ? 'ale-admin@example.org' : options.effectiveUser;
+  const logs = [];
+  const properties = new Map();
+  const triggers = [];
+  const opened = [];
+  const mail = [];
+  const sheetsRequests = [];
+  const sleeps = [];
+  const driveRequests = [];
+  let rateLimited = options.rateLimited || 0;
+
+  const SpreadsheetApp = {
+    getActiveSpreadsheet: () => active,
+    getUi: () => {
+      if (!withUi) throw new Error('Cannot call SpreadsheetApp.getUi() from this context.');
+      return ui;
+    },
+    openById: id => {
+      opened.push(id);
+      if (forbidden.has(id)) {
+        throw new Error('You do not have permission to access the requested document.');
+      }
+      if (!spreadsheets.has(id)) {
+        throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp.`);
+      }
+      return spreadsheets.get(id);
+    },
+  };
+
+  const DriveApp = {
+    getFolderById: id => {
+      if (!folders.has(id)) {
+        throw new Error('No item with the given ID could be found, or you do not have permission to access it.');
+      }
+      return folders.get(id);
+    },
+    getFileById: id => {
+      if (!files.has(id)) {
+        throw new Error('No item with the given ID could be found, or you do not have permission to access it.');
+      }
+      return files.get(id);
+    },
+  };
+
+  // Drive advanced service: files in the given folders, then the teacher
+  // spreadsheets; Drive answers "File not found" for anything else,
+  // including files that exist but are not shared with the account
+  const Drive = {
+    Files: {
+      // A spreadsheet's modified time is its `lastUpdated`, as for files in folders
+      get: (id, params) => {
+        driveRequests.push(id);
+        const file = files.get(id) || (!forbidden.has(id) && spreadsheets.get(id));
+        if (!file) {
+          throw new Error(`GoogleJsonResponseException: API call to drive.files.get failed with error: File not found: ${id}.`);
+        }
+        return {
+          id,
+          name: file.getName(),
+          mimeType: file.mimeType || MimeType.GOOGLE_SHEETS,
+          trashed: Boolean(file.trashed),
+          owners: file.owner ? [file.owner] : [],
+          modifiedTime: (file.lastUpdated || new Date('2025-01-06T12:00:00Z')).toISOString(),
+        };
+      },
+    },
+  };
+
+  const scriptProperties = {
+    getProperty: key => (properties.has(key) ? properties.get(key) : null),
+    setProperty: (key, value) => {
+      // Apps Script refuses values over 9 KB
+      if (String(value).length > 9 * 1024) throw new Error('Argument too large: value');
+      properties.set(key, String(value));
+      return scriptProperties;
+    },
+    deleteProperty: key => { properties.delete(key); return scriptProperties; },
+    getProperties: () => Object.fromEntries(properties),
+    getKeys: () => [...properties.keys()],
+  };
+
+  const makeBuilder = handler => {
+    const trigger = { handler, type: 'CLOCK', getHandlerFunction: () => handler };
+    const builder = {
+      timeBased: () => builder,
+      after: ms => { trigger.after = ms; return builder; },
+      everyDays: days => { trigger.everyDays = days; return builder; },
+      atHour: hour => { trigger.atHour = hour; return builder; },
+      create: () => { triggers.push(trigger); return trigger; },
+    };
+    return builder;
+  };
+
+  // Sheets API requests are answered from the same spreadsheets as openById,
+  // and fail with the messages of the advanced service
+  const Sheets = {
+    Spreadsheets: {
+      get: (id, params = {}) => {
+        sheetsRequests.push(params.ranges ? `get ${id} ${params.ranges.join(',')}` : `get ${id}`);
+        const fail = message => { throw new Error(`API call to sheets.spreadsheets.get failed with error: ${message}`); };
+        if (rateLimited > 0) {
+          rateLimited--;
+          fail("Quota exceeded for quota metric 'Read requests' and limit 'Read requests per minute per user'");
+        }
+        opened.push(id);
+        if (unavailable.has(id)) fail('The service is currently unavailable.');
+        if (forbidden.has(id)) fail('The caller does not have permission');
+        if (!spreadsheets.has(id)) fail('Requested entity was not found.');
+        try {
+          return answerSheetsApi(spreadsheets.get(id), params);
+        } catch (e) {
+          return fail(e.message);
+        }
+      },
+    },
+  };
+
+  const ScriptApp = {
+    newTrigger: handler => makeBuilder(handler),
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: trigger => {
+      const index = triggers.indexOf(trigger);
+      if (index !== -1) triggers.splice(index, 1);
+    },
+  };
+
+  // Every put is recorded so tests can see progress written mid-run
+  const cacheEntries = {};
+  const cachePuts = [];
+  const cache = {
+    get: key => (key in cacheEntries ? cacheEntries[key] : null),
+    put: (key, value) => { cacheEntries[key] = value; cachePuts.push({ key, value }); },
+    remove: key => { delete cacheEntries[key]; },
+    puts: cachePuts,
+  };
+
+  const pad = n => String(n).padStart(2, '0');
+  const Utilities = {
+    formatDate: (date, timeZone, format) => {
+      const d = new Date(date);
+      return format
+        .replace('yyyy', d.getUTCFullYear())
+        .replace('MM', pad(d.getUTCMonth() + 1))
+        .replace('dd', pad(d.getUTCDate()))
+        .replace('HH', pad(d.getUTCHours()))
+        .replace('mm', pad(d.getUTCMinutes()))
+        .replace('ss', pad(d.getUTCSeconds()));
+    },
+    sleep: ms => { sleeps.push(ms); },
+  };
+
+  return {
+    globals: {
+      SpreadsheetApp,
+      DriveApp,
+      MimeType,
+      Logger: { log: message => logs.push(String(message)) },
+      PropertiesService: { getScriptProperties: () => scriptProperties },
+      ScriptApp,
+      Session: { getScriptTimeZone: () => 'UTC', getEffectiveUser: () => ({ getEmail: () => effectiveUser }) },
+      Drive,
+      Utilities,
+      CacheService: { getUserCache: () => cache },
+      HtmlService: {
+        createHtmlOutputFromFile: file => {
+          const output = { file, title: '', setTitle: title => { output.title = title; return output; } };
+          return output;
+        },
+      },
+      Sheets,
+      MailApp: { sendEmail: message => { mail.push(message); } },
+      ContentService: {
+        MimeType: { JSON: 'application/json' },
+        createTextOutput: content => {
+          const output = {
+            mimeType: 'text/plain',
+            getContent: () => content,
+            getMimeType: () => output.mimeType,
+            setMimeType: mimeType => { output.mimeType = mimeType; return output; },
+          };
+          return output;
+        },
+      },
+    },
+    active,
+    ui,
+    logs,
+    properties,
+    triggers,
+    opened,
+    folders,
+    mail,
+    cache,
+    sheetsRequests,
+    sleeps,
+    driveRequests,
+  };
+}
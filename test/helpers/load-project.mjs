@@ -0,0 +1,48 @@
+/**
+ * Load the Apps Script files into one Node `vm` context, the way Apps
+ * Script shares a single global scope between every file of a project.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+import { createServices } from './gas-fakes.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * Evaluate every top-level `.js` file of the project against fake services.
+ *
+ * The returned project resolves any global name, including top-level
+ * `const`s that are not properties of the global object, e.g.
+ * `project.CONFIGS` or `project.aggregateCampusCounts('ES')`.
+ *
+ * @param {Object} [options] - Options for `createServices`
+ * @returns {{project: Object, services: Object}}
+ */
+export function loadProject(options = {}) {
+  const services = createServices(options);
+  const context = vm.createContext({ ...services.globals });
+
+  const files = fs.readdirSync(ROOT).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+
+  const project = new Proxy({}, {
+    get: (target, name) => (typeof name === 'string' ? vm.runInContext(name, context) : undefined),
+  });
+  return { project, services };
+}
+
+/**
+ * Copy a value created inside the project context into plain host
+ * objects so `assert.deepStrictEqual` can compare it.
+ *
+ * @param {*} value - Value returned by project code
+ * @returns {*} JSON round-tripped copy
+ */
+export function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { levelSheetValues, registryValues } from './helpers/fixtures.mjs';
+import { loadProject, plain } from './helpers/load-project.mjs';
+
+function setup(extraSheets = {}) {
+  const loaded = loadProject({
+    active: new FakeSpreadsheet('active', {
+      'Campus Registry': registryValues(),
+      ES: levelSheetValues([
+        ['es-adams', '', 'No permission to access this spreadsheet'],
+        ['es-bernal', 6],
+        ['es-stray', 2],
+      ]),
+      MS: levelSheetValues([['ms-jordan', '', "Could not find 'Current Grade Level' header or target value."]]),
+      'Campus Contacts': [
+        ['Campus', 'Email', 'Active'],
+        ['Adams Hill', 'principal@adams.example, counselor@adams.example', true],
+        ['Jordan', 'old@jordan.example', false],
+      ],
+      ...extraSheets,
+    }),
+  });
+  loaded.services.properties.set('NOTIFICATION_ADMIN_EMAIL', 'admin@example.org');
+  return loaded;
+}
+
+test('sendNotifications emails each campus contact its own errors and the admin a digest', () => {
+  const { project, services } = setup();
+  const sent = [];
+
+  const result = plain(project.sendNotifications(['ES', 'MS'], { mailService: { sendEmail: message => sent.push(message) } }));
+
+  assert.equal(result.sent, 2);
+  assert.deepEqual(sent.map(message => message.to), ['principal@adams.example,counselor@adams.example', 'admin@example.org']);
+  assert.match(sent[0].body, /es-adams file \(ES sheet, row 2\): No permission/);
+  assert.doesNotMatch(sent[0].body, /ms-jordan/);
+  assert.equal(sent[1].subject, 'ALE class counts digest: 2 errors, 1 unmapped IDs, 0 large changes');
+  assert.match(sent[1].body, /es-stray file \(ES\): es-stray/);
+  // Errors logged before the Error Code column existed are grouped by their message
+  assert.match(sent[1].body, /Extraction errors \(2\):\nNO_ACCESS \(1\):\n- es-adams file .*\n.*\nHEADER_MISSING \(1\):\n- ms-jordan file/);
+  assert.equal(services.active.getSheetByName('Notification Log').getLastRow(), 3);
+});
+
+test('sendNotifications in a dry run sends nothing and logs the messages', () => {
+  const { project, services } = setup();
+
+  const result = plain(project.sendNotifications(['ES', 'MS'], {
+    dryRun: true,
+    mailService: { sendEmail: () => { throw new Error('should not send'); } },
+  }));
+
+  assert.equal(result.sent, 0);
+  assert.equal(result.messages.length, 2);
+  const log = services.active.getSheetByName('Notification Log');
+  assert.deepEqual(log.getRange('B2:C3').getValues(), [
+    ['Dry run', 'principal@adams.example,counselor@adams.example'],
+    ['Dry run', 'admin@example.org'],
+  ]);
+});
+
+test('notifyAfterRun does nothing while notifications are off', () => {
+  const { project, services } = setup();
+
+  project.notifyAfterRun(['ES', 'MS']);
+
+  assert.deepEqual(services.mail, []);
+  assert.equal(services.active.getSheetByName('Notification Log'), null);
+});
+
+test('notifyAfterRun sends through MailApp when the mode is "send"', () => {
+  const { project, services } = setup();
+  services.properties.set('NOTIFICATION_MODE', 'send');
+
+  project.notifyAfterRun(['MS']);
+
+  // Jordan's contact is inactive, so only the admin digest goes out
+  assert.deepEqual(services.mail.map(message => message.to), ['admin@example.org']);
+});
+
+test('campus emails leave out temporary errors and advise by error code', () => {
+  const { project } = setup();
+  const findings = {
+    errors: [
+      { level: 'ES', campus: 'Adams Hill', row: 2, id: 'es-adams', name: 'Adams file', message: 'Spreadsheet not found', code: 'NOT_FOUND' },
+      { level: 'ES', campus: 'Adams Hill', row: 3, id: 'es-adams-2', name: 'Second file', message: 'Google Sheets read quota exceeded', code: 'RATE_LIMITED' },
+      { level: 'ES', campus: 'Bernal', row: 4, id: 'es-bernal', name: 'Bernal file', message: 'Temporary Google service error', code: 'SERVICE_TRANSIENT' },
+    ],
+    unmappedIds: [],
+    changes: [],
+  };
+  const contacts = new Map([['Adams Hill', ['principal@adams.example']], ['Bernal', ['office@bernal.example']]]);
+
+  const messages = plain(project.buildNotificationMessages(findings, contacts, 'admin@example.org'));
+
+  assert.deepEqual(messages.map(message => message.to), ['principal@adams.example', 'admin@example.org']);
+  assert.equal(messages[0].subject, 'ALE class counts: 1 spreadsheets for Adams Hill could not be read');
+  assert.doesNotMatch(messages[0].body, /Second file|Share the spreadsheet/);
+  assert.match(messages[0].body, /What to do:\n\n- Check that the spreadsheet still exists and is not in the trash/);
+  assert.match(messages[1].body, /RATE_LIMITED \(1\)/);
+});
+
+test('a temporary "failed while accessing document" error is not mistaken for a permission error', () => {
+  const message = 'Service Spreadsheets failed while accessing document with id es-adams.';
+  const { project, services } = setup({ ES: levelSheetValues([['es-adams', '', message]]) });
+
+  assert.equal(project.classifyErrorMessage(message), 'SERVICE_TRANSIENT');
+  assert.equal(project.classifyErrorMessage('Spreadsheets timed out while accessing document with id es-adams.'), 'SERVICE_TRANSIENT');
+  assert.equal(project.classifyErrorMessage('The caller does not have permission'), 'NO_ACCESS');
+  project.sendNotifications(['ES'], { mailService: { sendEmail: message => services.mail.push(message) } });
+
+  assert.deepEqual(services.mail.map(sent => sent.to), ['admin@example.org']);
+  assert.match(services.mail[0].body, /SERVICE_TRANSIENT \(1\)/);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { aleCountsValues, levelSheetValues, registryValues } from './helpers/fixtures.mjs';
+import { loadProject, plain } from './helpers/load-project.mjs';
+
+function setup() {
+  return loadProject({
+    active: new FakeSpreadsheet('active', {
+      'ALE Counts': aleCountsValues(),
+      'Campus Registry': registryValues(),
+      ES: levelSheetValues([]),
+      MS: levelSheetValues([['ms-connally', 5], ['ms-jordan', 2], ['ms-academy', 3]]),
+      HS: levelSheetValues([]),
+    }),
+  });
+}
+
+function totals(services) {
+  return services.active.getSheetByName('ALE Counts').getRange('C4:C14').getValues().map(row => row[0]);
+}
+
+test('buildAggregationPreview lists current and proposed values without writing ALE Counts', () => {
+  const { project, services } = setup();
+
+  const result = plain(project.buildAggregationPreview('MS'));
+
+  assert.deepEqual(result, { rows: 3, changed: 3, errors: 0 });
+  assert.deepEqual(totals(services), [99, 99, '', 99, 99, '', 99, 99, '', 99, 99]);
+  const preview = services.active.getSheetByName('Preview').getRange('A3:I5').getValues();
+  assert.deepEqual(preview, [
+    [7, 'MS', 'Connally', 99, 5, -94, 'Counted', 'ms-connally (5)', 'Matched 1 spreadsheet'],
+    [8, 'MS', 'Jordan', 99, 2, -97, 'Counted', 'ms-jordan (2)', 'Matched 1 spreadsheet'],
+    [13, 'MS', 'Academy MS', 99, 3, -96, 'Counted', 'ms-academy (3)', 'Matched 1 spreadsheet'],
+  ]);
+});
+
+test('applyAggregationPreviewRows writes exactly the previewed values', () => {
+  const { project, services } = setup();
+  project.buildAggregationPreview('MS');
+
+  // A later extraction must not change what is applied
+  services.active.getSheetByName('MS').getRange(2, 4).setValue(50);
+  // Values edited in the Preview sheet are applied as shown
+  services.active.getSheetByName('Preview').getRange(4, 5).setValue(4);
+
+  assert.equal(project.applyAggregationPreviewRows().written, 3);
+  assert.deepEqual(totals(services), [99, 99, '', 5, 4, '', 99, 99, '', 3, 99]);
+  assert.equal(services.properties.has('AGGREGATION_PREVIEW'), false);
+  assert.equal(services.active.getSheetByName('Count History').getLastRow(), 4);
+});
+
+test('applyAggregationPreviewRows refuses when ALE Counts changed since the preview', () => {
+  const { project, services } = setup();
+  project.buildAggregationPreview('MS');
+  services.active.getSheetByName('ALE Counts').getRange(8, 3).setValue(12);
+
+  assert.throws(() => project.applyAggregationPreviewRows(), /changed since the preview was built \(rows 8\)/);
+  assert.equal(services.active.getSheetByName('ALE Counts').getRange(7, 3).getValue(), 99);
+});
+
+test('applyAggregationPreviewRows skips rows locked or overridden since the preview', () => {
+  const { project, services } = setup();
+  const aleCounts = services.active.getSheetByName('ALE Counts');
+  aleCounts.getRange(2, 4).setValue('Override');
+  project.buildAggregationPreview('MS');
+  aleCounts.getRange(7, 4).setValue('Lock');
+  aleCounts.getRange(13, 4).setValue(8);
+
+  const result = plain(project.applyAggregationPreviewRows());
+
+  assert.deepEqual(result, { written: 1, skipped: ['Connally', 'Academy MS'], rejected: [] });
+  assert.deepEqual(totals(services), [99, 99, '', 99, 2, '', 99, 99, '', 99, 99]);
+});
+
+test('applyAggregationPreview leaves rows with a non-numeric or blank Proposed Value unapplied', () => {
+  const { project, services } = setup();
+  project.buildAggregationPreview('MS');
+  const preview = services.active.getSheetByName('Preview');
+  preview.getRange(3, 5).setValue('five');
+  preview.getRange(4, 5).setValue('');
+
+  project.applyAggregationPreview();
+
+  assert.deepEqual(totals(services), [99, 99, '', 99, 99, '', 99, 99, '', 3, 99]);
+  assert.match(services.ui.alerts.at(-1),
+    /^1 rows of the ALE Counts sheet were updated from the preview\.\n\nSkipped because their Proposed Value is not a number \(2\):\nConnally, Jordan\n/);
+});
+
+test('applyAggregationPreview asks for confirmation and reports a missing preview', () => {
+  const { project, services } = setup();
+
+  project.applyAggregationPreview();
+  assert.match(services.ui.alerts[0], /There is no preview to apply/);
+
+  project.buildAggregationPreview('MS');
+  services.ui.respond(services.ui.Button.NO);
+  project.applyAggregationPreview();
+  assert.deepEqual(totals(services).slice(3, 5), [99, 99]);
+});
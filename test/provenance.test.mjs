@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { aleCountsValues, levelSheetValues, registryValues } from './helpers/fixtures.mjs';
+import { loadProject, plain } from './helpers/load-project.mjs';
+
+function setup() {
+  const es = levelSheetValues([['es-adams', 4]]);
+  es[1].push('', '', '', '', new Date('2025-01-07T02:00:00Z'));
+  return loadProject({
+    active: new FakeSpreadsheet('active', {
+      'ALE Counts': aleCountsValues(),
+      'Campus Registry': registryValues(),
+      ES: es,
+      MS: levelSheetValues([['ms-connally', 5], ['ms-jordan', 2]]),
+      HS: levelSheetValues([]),
+    }),
+  });
+}
+
+test('runCampusAggregation notes the sources of each Total Enrolled value and lists them in the Provenance sheet', () => {
+  const { project, services } = setup();
+
+  project.runCampusAggregation('ES');
+
+  const aleCounts = services.active.getSheetByName('ALE Counts');
+  const note = aleCounts.getRange(4, 3).getNote();
+  assert.match(note, /^4 from 1 spreadsheet:\n• es-adams file: 4, read 2025-01-07 02:00\n {2}https:\/\/docs\.google\.com\/spreadsheets\/d\/es-adams\n/);
+  assert.match(aleCounts.getRange(5, 3).getNote(), /^No count for this campus in the ES sheet; left blank\./);
+
+  const rows = services.active.getSheetByName('Provenance').dump();
+  assert.deepEqual(rows[0], plain(project.PROVENANCE_HEADERS));
+  assert.deepEqual(rows[1].slice(0, 8), ['ES', 'Adams Hill', 4, 4, 'Counted', 'es-adams',
+    '=HYPERLINK("https://docs.google.com/spreadsheets/d/es-adams", "es-adams file")', 4]);
+  assert.equal(rows[1][8].toISOString(), '2025-01-07T02:00:00.000Z');
+  assert.deepEqual(rows[2].slice(0, 8), ['ES', 'Bernal', 5, '', 'No Data', '', '', '']);
+});
+
+test('provenance of other campuses is kept and Apply Preview records provenance too', () => {
+  const { project, services } = setup();
+  project.runCampusAggregation('ES');
+
+  // Reading the sheet back returns the link's label, as Apps Script does
+  const provenance = services.active.getSheetByName('Provenance');
+  provenance.getRange(2, 7).setValue('es-adams file');
+
+  project.buildAggregationPreview('MS');
+  project.applyAggregationPreviewRows();
+
+  const rows = provenance.dump();
+  assert.deepEqual(rows.slice(1).map(row => [row[1], row[5], row[6]]), [
+    ['Adams Hill', 'es-adams', '=HYPERLINK("https://docs.google.com/spreadsheets/d/es-adams", "es-adams file")'],
+    ['Bernal', '', ''],
+    ['Connally', 'ms-connally', '=HYPERLINK("https://docs.google.com/spreadsheets/d/ms-connally", "ms-connally file")'],
+    ['Jordan', 'ms-jordan', '=HYPERLINK("https://docs.google.com/spreadsheets/d/ms-jordan", "ms-jordan file")'],
+    ['Academy MS', '', ''],
+  ]);
+  assert.match(services.active.getSheetByName('ALE Counts').getRange(7, 3).getNote(), /^5 from 1 spreadsheet:\n• ms-connally file: 5\n/);
+});
+
+test('provenance of a campus with the same name in another level is kept', () => {
+  const { project, services } = setup();
+  const provenance = services.active.insertSheet('Provenance');
+  provenance.getRange(1, 1, 2, 10).setValues([
+    plain(project.PROVENANCE_HEADERS),
+    ['MS', 'Adams Hill', 9, 3, 'Counted', 'ms-adams', 'ms-adams file', 3, '', new Date('2025-01-06T00:00:00Z')],
+  ]);
+
+  project.runCampusAggregation('ES');
+
+  const rows = provenance.dump();
+  assert.deepEqual(rows.slice(1).map(row => [row[0], row[1], row[5]]), [
+    ['ES', 'Adams Hill', 'es-adams'],
+    ['ES', 'Bernal', ''],
+    ['MS', 'Adams Hill', 'ms-adams'],
+  ]);
+});
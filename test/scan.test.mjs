@@ -0,0 +1,201 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeFile, FakeFolder, FakeSpreadsheet, MimeType } from './helpers/gas-fakes.mjs';
+import { registryValues } from './helpers/fixtures.mjs';
+import { loadProject } from './helpers/load-project.mjs';
+
+const ES_FOLDER_ID = '1HHFNXX2Xcn57HHERowLlDfTjj4dQ20LE';
+
+function setup(files, sheets = { ES: [], 'Campus Registry': registryValues() }) {
+  return loadProject({
+    active: new FakeSpreadsheet('active', sheets),
+    folders: [new FakeFolder(ES_FOLDER_ID, 'ES', files)],
+  });
+}
+
+test('getSpreadsheetIdsFromFolder lists the Google Sheets of the folder sorted by name', () => {
+  const { project, services } = setup([
+    new FakeFile('id-zavala', 'Zavala - Lopez'),
+    new FakeFile('id-notes', 'Notes', MimeType.GOOGLE_DOCS),
+    new FakeFile('id-adams', 'adams hill - Smith'),
+    new FakeFile('id-pdf', 'Roster.pdf', MimeType.PDF),
+  ]);
+
+  project.getSpreadsheetIdsFromFolder(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  assert.deepEqual(sheet.getRange(1, 1, 1, 4).getValues()[0], ['Spreadsheet ID', 'Campus', 'Error Log', 'Count']);
+  assert.deepEqual(sheet.getRange('A2:B3').getValues(), [
+    ['id-adams', 'adams hill - Smith'],
+    ['id-zavala', 'Zavala - Lopez'],
+  ]);
+  assert.equal(sheet.getLastRow(), 3);
+  assert.match(services.ui.alerts[0], /IDs and file names have been logged in the "ES" sheet/);
+});
+
+test('getSpreadsheetIdsFromFolder replaces the rows of an earlier scan', () => {
+  const { project, services } = setup([new FakeFile('id-new', 'New Teacher')], {
+    ES: [['Spreadsheet ID'], ['id-old-1'], ['id-old-2'], ['id-old-3']],
+    'Campus Registry': registryValues(),
+  });
+
+  project.getSpreadsheetIdsFromFolder(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  assert.equal(sheet.getLastRow(), 2);
+  assert.equal(sheet.getRange(2, 1).getValue(), 'id-new');
+});
+
+test('getSpreadsheetIdsFromFolder proposes a campus for files missing from the registry', () => {
+  const { project, services } = setup([
+    new FakeFile('es-adams', 'Adams Hill - Smith'),
+    new FakeFile('id-bernal-2', 'Bernal - Garcia'),
+  ], {
+    ES: [],
+    'Campus Registry': registryValues([['ES', 'Adams Hill', 'es-adams'], ['ES', 'Bernal', '']]),
+  });
+
+  project.getSpreadsheetIdsFromFolder(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  assert.deepEqual(sheet.getRange('E2:E3').getValues(), [[''], ['Bernal']]);
+  assert.match(services.ui.alerts[0], /1 files are not in the Campus Registry/);
+});
+
+test('an exact name match is not proposed for a campus whose spreadsheet is still listed', () => {
+  const { project } = setup([]);
+  const campusMap = new Map([['Adams Hill', 'es-adams']]);
+
+  assert.equal(project.proposeCampusForFile('Adams Hill - Jones', campusMap, 'ES', new Set(['es-adams', 'id-new'])), null);
+  assert.equal(project.proposeCampusForFile('Adams Hill - Jones', campusMap, 'ES', new Set(['id-new'])).campus, 'Adams Hill');
+});
+
+test('acceptCampusProposals lists replaced spreadsheet IDs apart from new mappings', () => {
+  const { project, services } = setup([], {
+    ES: [['Spreadsheet ID', 'Campus', 'Error Log', 'Count', 'Proposed Campus', 'Match Confidence'],
+      ['id-adams-2', 'Adams Hill - Jones', '', '', 'Adams Hill', 1],
+      ['id-bernal', 'Bernal - Garcia', '', '', 'Bernal', 1]],
+    'Campus Registry': registryValues([['ES', 'Adams Hill', 'es-adams'], ['ES', 'Bernal', '']]),
+  });
+
+  project.acceptCampusProposals();
+
+  assert.equal(services.ui.alerts[0],
+    '1 proposed matches were added to the "Campus Registry" sheet:\nES Bernal\n\n' +
+    '1 campuses already mapped had their spreadsheet ID replaced:\nES Adams Hill (es-adams -> id-adams-2)');
+  assert.deepEqual(services.active.getSheetByName('Campus Registry').getRange('C2:C3').getValues(), [['id-adams-2'], ['id-bernal']]);
+});
+
+test('getSpreadsheetIdsFromFolder alerts when the level sheet is missing', () => {
+  const { project, services } = setup([new FakeFile('id-1', 'One')], {});
+
+  project.getSpreadsheetIdsFromFolder(project.CONFIGS.ES);
+
+  assert.equal(services.ui.alerts.length, 1);
+  assert.match(services.ui.alerts[0], /A sheet named "ES" could not be found/);
+});
+
+test('getSpreadsheetIdsFromFolder alerts when the folder cannot be opened', () => {
+  const { project, services } = loadProject({
+    active: new FakeSpreadsheet('active', { ES: [] }),
+    folders: [],
+  });
+
+  project.getSpreadsheetIdsFromFolder(project.CONFIGS.ES);
+
+  assert.match(services.ui.alerts[0], /Please check the folder ID for ES/);
+  assert.match(services.ui.alerts[0], /do not have permission/);
+});
+
+test('getSpreadsheetIdsFromFolder skips trashed files and "Copy of" files', () => {
+  const { project, services } = setup([
+    new FakeFile('id-adams', 'Adams Hill - Smith'),
+    new FakeFile('id-old', 'Bernal - Old', MimeType.GOOGLE_SHEETS, { trashed: true }),
+    new FakeFile('id-copy', 'Copy of Adams Hill - Smith'),
+  ]);
+
+  project.getSpreadsheetIdsFromFolder(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  assert.equal(sheet.getLastRow(), 2);
+  assert.equal(sheet.getRange(2, 1).getValue(), 'id-adams');
+  assert.match(services.ui.alerts[0], /Skipped files: 1 excluded by name, 1 in the trash\./);
+});
+
+test('scanLevelFolder recurses into subfolders, follows shortcuts and records folder paths', () => {
+  const bernal = new FakeFile('id-bernal', 'Bernal - Garcia');
+  const shared = new FakeFolder('folder-shared', 'Shared', [new FakeFile('id-shared', 'Shared - Lee')]);
+  const { project, services } = loadProject({
+    active: new FakeSpreadsheet('active', { ES: [], 'Campus Registry': registryValues() }),
+    folders: [new FakeFolder(ES_FOLDER_ID, 'ES', [
+      new FakeFile('id-adams', 'Adams Hill - Smith'),
+      FakeFile.shortcut('sc-bernal', 'Shortcut to Bernal', bernal),
+      FakeFile.shortcut('sc-shared', 'Lee', shared),
+    ], [
+      new FakeFolder('folder-bernal', 'Bernal', [bernal]),
+      new FakeFolder('folder-old', 'Old', [new FakeFile('id-gone', 'Gone')], [], { trashed: true }),
+    ])],
+  });
+
+  project.CONFIGS.ES.scan = { recursive: true };
+  const result = project.scanLevelFolder(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  const pathColumn = project.LEVEL_FOLDER_PATH_COLUMN;
+  assert.deepEqual(sheet.getRange(2, 1, 3, 2).getValues(), [
+    ['id-adams', 'Adams Hill - Smith'],
+    ['id-bernal', 'Bernal - Garcia'],
+    ['id-shared', 'Shared - Lee'],
+  ]);
+  assert.deepEqual(sheet.getRange(2, pathColumn, 3, 1).getValues(), [['ES'], ['ES'], ['ES/Lee']]);
+  assert.equal(sheet.getRange(1, pathColumn).getValue(), 'Folder Path');
+  assert.equal(result.duplicates, 1);
+  assert.equal(result.trashed, 1);
+});
+
+test('scanLevelFolder applies the include and exclude patterns of the level', () => {
+  const { project, services } = setup([
+    new FakeFile('id-adams', 'Adams Hill - Smith'),
+    new FakeFile('id-template', 'Adams Hill - TEMPLATE'),
+    new FakeFile('id-roster', 'Bus Roster'),
+  ]);
+
+  project.CONFIGS.ES.scan = { includePatterns: [' - '], excludePatterns: ['template$'] };
+  const result = project.scanLevelFolder(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  assert.equal(sheet.getLastRow(), 2);
+  assert.equal(sheet.getRange(2, 1).getValue(), 'id-adams');
+  assert.equal(result.excluded, 2);
+});
+
+test('scanLevelFolder keeps counts already read and records when each file was last updated', () => {
+  const readAt = new Date('2025-01-07T08:00:00Z');
+  const headers = ['Spreadsheet ID', 'Campus', 'Error Log', 'Count', 'Proposed Campus', 'Match Confidence',
+    'Folder Path', 'Last Updated', 'Last Read'];
+  const { project, services } = setup([
+    new FakeFile('es-adams', 'Adams Hill - Smith'),
+    new FakeFile('es-bernal', 'Bernal - Garcia'),
+  ], {
+    ES: [
+      headers,
+      ['es-gone', 'Gone', '', 3, '', '', 'ES', '', readAt],
+      ['es-bernal', 'Bernal - Garcia', '', 9, '', '', 'ES', '', readAt],
+      ['es-adams', 'Adams Hill - Smith', 'No permission to access this spreadsheet', '', '', '', 'ES', '', ''],
+    ],
+    'Campus Registry': registryValues(),
+  });
+
+  project.scanLevelFolder(project.CONFIGS.ES);
+
+  const sheet = services.active.getSheetByName('ES');
+  assert.equal(sheet.getLastRow(), 3);
+  assert.deepEqual(sheet.getRange('A2:D3').getValues(), [
+    ['es-adams', 'Adams Hill - Smith', '', ''],
+    ['es-bernal', 'Bernal - Garcia', '', 9],
+  ]);
+  const lastUpdated = sheet.getRange(2, project.LEVEL_LAST_READ_COLUMN - 1).getValue();
+  assert.equal(new Date(lastUpdated).toISOString(), '2025-01-06T12:00:00.000Z');
+  assert.equal(sheet.getRange(3, project.LEVEL_LAST_READ_COLUMN).getValue(), readAt);
+});
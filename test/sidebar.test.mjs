@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { aleCountsValues, levelSheetValues, registryValues, teacherSpreadsheet } from './helpers/fixtures.mjs';
+import { loadProject, plain } from './helpers/load-project.mjs';
+
+function setup(options = {}) {
+  return loadProject({
+    active: new FakeSpreadsheet('active', {
+      'ALE Counts': aleCountsValues(),
+      'Campus Registry': registryValues(),
+      ES: levelSheetValues([['es-adams', ''], ['es-bernal', '']]),
+    }),
+    spreadsheets: [teacherSpreadsheet('es-adams', [1, 2, 3]), teacherSpreadsheet('es-bernal', ['K'])],
+    ...options,
+  });
+}
+
+test('runSidebarAction reads and aggregates a level, reporting each batch while it runs', () => {
+  const { project, services } = setup();
+
+  const summary = plain(project.runSidebarAction('counts', ['ES']));
+
+  const [level] = summary.levels;
+  assert.match(level.message, /^2 files read in \d+\.\d s, 0 unchanged files skipped$/);
+  assert.deepEqual({ ...level, message: '' }, {
+    level: 'ES',
+    status: 'OK',
+    message: '',
+    updated: 2,
+    missing: [],
+    errors: [],
+  });
+  assert.equal(services.active.getSheetByName('ALE Counts').getRange(4, 3).getValue(), 3);
+
+  const messages = services.cache.puts.map(put => JSON.parse(put.value).message);
+  assert.deepEqual(messages, [
+    'ES: reading es-adams file and 1 more (1–2 of 2)',
+    'ES: updating the ALE Counts sheet',
+  ]);
+  assert.equal(project.getSidebarProgress(), null);
+});
+
+test('runSidebarAction links files with errors to their spreadsheet', () => {
+  const { project } = setup({ spreadsheets: [teacherSpreadsheet('es-adams', [1])], forbidden: ['es-bernal'] });
+
+  const [level] = plain(project.runSidebarAction('counts', ['ES']).levels);
+
+  assert.deepEqual(level.errors, [{
+    name: 'es-bernal file',
+    url: 'https://docs.google.com/spreadsheets/d/es-bernal',
+    message: 'No permission to access this spreadsheet',
+  }]);
+});
+
+test('runSidebarAction rejects unknown actions and levels; showSidebar opens the dashboard', () => {
+  const { project, services } = setup();
+
+  assert.throws(() => project.runSidebarAction('delete', ['ES']), /Unknown action "delete"/);
+  assert.throws(() => project.runSidebarAction('counts', ['PK']), /Choose one or more of ES, MS, HS/);
+
+  project.showSidebar();
+  assert.equal(services.ui.sidebars[0].file, 'Sidebar');
+  assert.equal(services.ui.sidebars[0].title, 'ALE Counts Dashboard');
+});
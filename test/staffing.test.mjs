@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { aleCountsValues, levelSheetValues, registryValues } from './helpers/fixtures.mjs';
+import { loadProject, plain } from './helpers/load-project.mjs';
+
+/** ALE Counts with Tier (D) and ALE IAs (E) columns filled from the given rows. */
+function aleCountsWithStaffing(staffing) {
+  return aleCountsValues().map((row, i) => {
+    if (i === 1) return row.concat(['Tier', 'ALE IAs']);
+    return row.concat(staffing[row[1]] || ['', '']);
+  });
+}
+
+function setup(counts, staffing, rules) {
+  return loadProject({
+    active: new FakeSpreadsheet('active', {
+      'ALE Counts': aleCountsWithStaffing(staffing),
+      'Campus Registry': registryValues(),
+      'IA Staffing Rules': [['Level', 'Tier', 'Students Per IA', 'Minimum IAs', 'Maximum IAs'], ...rules],
+      ES: levelSheetValues(counts.ES || []),
+      MS: levelSheetValues(counts.MS || []),
+      HS: levelSheetValues([]),
+    }),
+  });
+}
+
+test('runCampusAggregation fills ALE IAs from the most specific rule and flags changed allocations', () => {
+  const { project, services } = setup(
+    { ES: [['es-adams', 23], ['es-bernal', 14]] },
+    { 'Adams Hill': ['Tier 1', 2], Bernal: [2, ''] },
+    [['', '', 8, '', ''], ['Elementary School', '', 10, 1, ''], ['ES', 'Tier 2', 5, '', 2]]
+  );
+
+  const result = project.runCampusAggregation('ES');
+
+  const sheet = services.active.getSheetByName('ALE Counts');
+  assert.deepEqual(sheet.dump().slice(3, 5).map(row => row.slice(3)), [['Tier 1', 3], [2, 2]]);
+  assert.equal(sheet.getRange(4, 5).getNote(),
+    '23 students ÷ 10 per IA, rounded up = 3 IAs (IA Staffing Rules row 3: ES, all tiers).\nChanged from 2 IAs in this run.');
+  assert.equal(sheet.getRange(5, 5).getNote(),
+    '14 students ÷ 5 per IA, rounded up = 3 IAs (IA Staffing Rules row 4: ES, tier 2). Capped at the maximum of 2.');
+  assert.deepEqual(plain(result.iaChanges), [
+    { level: 'ES', campus: 'Adams Hill', row: 4, total: 23, previous: 2, current: 3 },
+  ]);
+});
+
+test('campuses without a rule keep their IAs, campuses without data are cleared and Apply Preview recalculates', () => {
+  const { project, services } = setup(
+    { ES: [['es-adams', 0], ['es-bernal', 3]], MS: [['ms-connally', 5]] },
+    { 'Adams Hill': ['', 1], Bernal: ['', ''], Connally: ['', 4], Jordan: ['', 1] },
+    [['ES', '', 20, 2, '']]
+  );
+
+  project.runCampusAggregation('MS');
+  const sheet = services.active.getSheetByName('ALE Counts');
+  assert.deepEqual([sheet.getRange(7, 5).getValue(), sheet.getRange(8, 5).getValue()], [4, '']);
+  assert.match(sheet.getRange(7, 5).getNote(), /^No rule in the "IA Staffing Rules" sheet matches MS, no tier; value not changed\.$/);
+  assert.equal(sheet.getRange(8, 5).getNote(), 'No Total Enrolled value, so no IAs were calculated.');
+
+  project.buildAggregationPreview('ES');
+  project.applyAggregationPreviewRows();
+  assert.deepEqual([sheet.getRange(4, 5).getValue(), sheet.getRange(5, 5).getValue()], [0, 2]);
+  assert.match(sheet.getRange(5, 5).getNote(), /rounded up = 1 IAs .* Raised to the minimum of 2\.$/);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeSpreadsheet } from './helpers/gas-fakes.mjs';
+import { aleCountsValues, levelSheetValues, registryValues } from './helpers/fixtures.mjs';
+import { loadProject } from './helpers/load-project.mjs';
+
+function setup() {
+  const aleCounts = aleCountsValues();
+  aleCounts[3][2] = 4;   // Adams Hill
+  aleCounts[4][2] = '';  // Bernal, no data
+  aleCounts[6][2] = 5;   // Connally
+  return loadProject({
+    active: new FakeSpreadsheet('active', {
+      'ALE Counts': aleCounts,
+      'Campus Registry': registryValues(),
+      ES: levelSheetValues([['es-adams', 4]]),
+      MS: levelSheetValues([['ms-connally', 5], ['ms-jordan', '', 'No permission to access this spreadsheet']]),
+      HS: levelSheetValues([]),
+      'Count History': [
+        ['Snapshot Time', 'Level', 'Campus', 'Total Enrolled'],
+        [new Date('2025-01-06T08:00:00Z'), 'ES', 'Adams Hill', 3],
+        [new Date('2025-01-07T08:00:00Z'), 'ES', 'Adams Hill', 4],
+        [new Date('2025-01-05T08:00:00Z'), 'MS', 'Connally', 5],
+      ],
+    }),
+  });
+}
+
+function get(project, parameter) {
+  const output = project.doGet({ parameter });
+  assert.equal(output.getMimeType(), 'application/json');
+  return JSON.parse(output.getContent());
+}
+
+test('doGet returns the counts of a level with the last refresh time and a status per campus', () => {
+  const { project } = setup();
+
+  const body = get(project, { level: 'es' });
+
+  assert.equal(body.ok, true);
+  assert.equal(body.lastRefresh, '2025-01-07T08:00:00.000Z');
+  assert.deepEqual(body.campuses.map(entry => [entry.campus, entry.totalEnrolled, entry.status]), [
+    ['Adams Hill', 4, 'ok'],
+    ['Bernal', null, 'missing'],
+  ]);
+  assert.deepEqual(body.campuses[0].sourceSpreadsheetIds, ['es-adams']);
+});
+
+test('doGet filters by campus and reports campuses with extraction errors', () => {
+  const { project } = setup();
+
+  const body = get(project, { campus: 'jordan' });
+
+  assert.equal(body.campuses.length, 1);
+  assert.equal(body.campuses[0].status, 'error');
+  assert.match(body.campuses[0].detail, /ms-jordan: No permission/);
+  assert.deepEqual(body.levels, { ES: '2025-01-07T08:00:00.000Z', MS: '2025-01-05T08:00:00.000Z', HS: null });
+});
+
+test('doGet answers with a JSON error for an unknown level and never writes', () => {
+  const { project, services } = setup();
+  const before = services.active.getSheetByName('ALE Counts').dump();
+
+  const body = get(project, { level: 'PK' });
+
+  assert.equal(body.ok, false);
+  assert.match(body.error, /Unknown level "PK"/);
+  get(project, {});
+  assert.deepEqual(services.active.getSheetByName('ALE Counts').dump(), before);
+});
+
+test('doGet serves the values last written by aggregation, not a fresh count', () => {
+  const { project, services } = setup();
+  project.runCampusAggregation('ES');
+  services.active.getSheetByName('ES').getRange('D2').setValue(40);
+
+  const body = get(project, { campus: 'Adams Hill' });
+
+  assert.deepEqual(body.campuses.map(entry => [entry.totalEnrolled, entry.status, entry.detail]), [
+    [4, 'ok', 'Matched 1 spreadsheet'],
+  ]);
+});